@@ -0,0 +1,15 @@
+#!/usr/bin/env node
+
+'use strict';
+
+const { run } = require('../lib/cli');
+
+run(process.argv.slice(2), process).then(
+    code => {
+        process.exitCode = code;
+    },
+    err => {
+        process.stderr.write(`${err.stack}\n`);
+        process.exitCode = 2;
+    }
+);
@@ -1,21 +1,55 @@
 'use strict';
 
-const SCHEMA_CONFIG = require('screwdriver-data-schema').config.template.template;
+const Hoek = require('@hapi/hoek');
+const SCHEMA_TEMPLATE = require('screwdriver-data-schema').config.template.template;
+const SCHEMA_PIPELINE_TEMPLATE = require('screwdriver-data-schema').config.pipelineTemplate.template;
 const {
     parsePipelineTemplate: parseTemplate,
     validatePipelineTemplate: validateTemplate
 } = require('screwdriver-config-parser');
-const Yaml = require('js-yaml');
 const helper = require('./lib/helper');
+const { buildDependencyGraph, combineFactories, sortTopologically } = require('./lib/batch');
+const { createBuildPlan, formatBuildPlan } = require('./lib/buildPlan');
+const { CHANGE_TYPES, compareTemplates } = require('./lib/diff');
+const { extractTemplate } = require('./lib/extract');
+const { createFileTemplateFactory, createTemplateFactory } = require('./lib/fileTemplateFactory');
+const { FORMATTERS, formatResults } = require('./lib/formatters');
+const { joiToJsonSchema } = require('./lib/jsonSchema');
+const { BUILT_IN_RULES, lint } = require('./lib/lint');
+const { SCHEMA_MERGE_DIRECTIVES } = require('./lib/mergeDirectives');
+const { analyzeParameters } = require('./lib/parameters');
+const { expandPipelineJobs } = require('./lib/pipeline');
+const { checkJobTemplate, checkPipelineJobs } = require('./lib/policy');
+const { buildProvenance } = require('./lib/provenance');
+const { addSourceLocations } = require('./lib/sourceMap');
+const { createTemplateCache } = require('./lib/templateCache');
+const { SCHEMA_TEMPLATE_REFERENCE, getTemplateByReference } = require('./lib/templateReference');
+const {
+    discoverTemplateTests,
+    findFixtures,
+    formatTestReport,
+    runTemplateTest,
+    summarizeTests
+} = require('./lib/testHarness');
+const { SEVERITIES, WARNING_CODES, applyWarningPolicy, createWarning } = require('./lib/warnings');
+const { loadDocuments, loadYaml } = require('./lib/yamlLoader');
+
+// Template references may also use version ranges like ^1.2, ~1.2.3 or 1.x
+// Child templates may declare how to merge their fields with the parent's
+const SCHEMA_CONFIG = SCHEMA_TEMPLATE.fork(['config.template'], () => SCHEMA_TEMPLATE_REFERENCE).fork(
+    ['config'],
+    config => config.keys({ merge: SCHEMA_MERGE_DIRECTIVES })
+);
 
 /**
  * Loads the configuration from a stringified screwdriver-template.yaml
  * @method loadTemplate
  * @param  {String} yamlString Contents of screwdriver-template.yaml
+ * @param  {Object} [limits]   Limits on alias expansion, depth and size (see lib/yamlLoader)
  * @return {Promise}           Promise that resolves to the template as a config object
  */
-async function loadTemplate(yamlString) {
-    return Yaml.load(yamlString);
+async function loadTemplate(yamlString, limits) {
+    return loadYaml(yamlString, limits);
 }
 
 /**
@@ -38,27 +72,56 @@ async function validateTemplateStructure(templateObj, schema) {
  * @method flattenTemplate
  * @param  {Object}             templateObj         Template config after validation
  * @param  {TemplateFactory}    templateFactory     Template Factory to get template from
- * @return {Promise}            Resolves to new job object after merging template, warn messages
+ * @param  {Object}             [options]
+ * @param  {Boolean}            [options.provenance] Whether to report where each merged value came from
+ * @return {Promise}            Resolves to new job object after merging template, structured warnings,
+ *                              the resolved template chain, the unmerged levels and the provenance map
+ *                              if requested
  */
-async function flattenTemplate(templateObj, templateFactory) {
+async function flattenTemplate(templateObj, templateFactory, options = {}) {
     const order = templateObj.config.order || [];
     const { template } = templateObj.config;
-    let warnMessages = [];
+    let warnings = [];
+    let templateChain = [];
+    let levels = helper.snapshotLevels([], templateObj);
 
     // Validate order is used with template
     if (order.length > 0 && template === undefined) {
-        warnMessages = warnMessages.concat('"order" in template config cannot be used without "template"');
+        warnings = warnings.concat(
+            createWarning(
+                WARNING_CODES.ORDER_WITHOUT_TEMPLATE,
+                '"order" in template config cannot be used without "template"',
+                { path: ['config', 'order'] }
+            )
+        );
         delete templateObj.config.order;
     }
 
+    // Merge directives only apply to a parent template
+    if (templateObj.config.merge !== undefined && template === undefined) {
+        warnings = warnings.concat(
+            createWarning(
+                WARNING_CODES.MERGE_WITHOUT_TEMPLATE,
+                '"merge" in template config cannot be used without "template"',
+                { path: ['config', 'merge'] }
+            )
+        );
+        delete templateObj.config.merge;
+    }
+
     // If template is specified, then merge
     if (template && templateFactory) {
-        const { childJobConfig, parentTemplateImages, warnings } = await helper.mergeTemplateIntoJob(
-            templateObj,
-            templateFactory
-        );
+        const merged = await helper.mergeTemplateIntoJob(templateObj, templateFactory);
+        const { childJobConfig, parentTemplateImages, warnings: mergeWarnings } = merged;
 
-        warnMessages = warnMessages.concat(warnings);
+        // Merge warning paths are relative to the job config
+        mergeWarnings.forEach(warning => {
+            warning.path = ['config'].concat(warning.path);
+        });
+
+        warnings = warnings.concat(mergeWarnings);
+        templateChain = merged.templateChain;
+        levels = merged.levels;
         templateObj.config = childJobConfig;
 
         // Merge images object
@@ -76,9 +139,23 @@ async function flattenTemplate(templateObj, templateFactory) {
         ) {
             childJobConfig.image = templateObj.images[childJobConfig.image];
         }
+    } else if (template) {
+        warnings = warnings.concat(
+            createWarning(
+                WARNING_CODES.TEMPLATE_UNRESOLVED,
+                `Parent template ${template} is not resolved without a template factory, so it is not checked`,
+                { path: ['config', 'template'], template }
+            )
+        );
     }
 
-    return { flattenedConfig: templateObj, warnMessages };
+    return {
+        flattenedConfig: templateObj,
+        warnings,
+        templateChain,
+        levels,
+        provenance: options.provenance ? buildProvenance(levels, templateObj) : undefined
+    };
 }
 
 /**
@@ -86,28 +163,79 @@ async function flattenTemplate(templateObj, templateFactory) {
  * @method parseJobTemplate
  * @param  {String}             yamlString      Contents of screwdriver-template.yaml
  * @param  {TemplateFactory}    templateFactory Template Factory to get template from
+ * @param  {Object}             [options]
+ * @param  {Boolean}            [options.provenance] Report which template each merged value came from
+ * @param  {Boolean}            [options.strict]     Report warnings as errors
+ * @param  {Object}             [options.warningPolicy] Severity ("error", "warning" or "off") by warning code,
+ *                                                   takes precedence over strict
+ * @param  {Object|Boolean}     [options.lint]       Lint config (see lib/lint), or true for built-in rules
+ * @param  {Object}             [options.yamlLimits] Limits on alias expansion, depth and size of the YAML
+ * @param  {Boolean}            [options.buildPlan]  Report what a build of a job using the template would execute
+ * @param  {Object}             [options.policy]     Security policy (see lib/policy) the flattened job must
+ *                                                   satisfy; violations are reported as errors
  * @return {Promise}            Promise that rejects if the configuration cannot be parsed
  *                              The promise will eventually resolve into:
  * {Object}   result
  * {Object}   result.template  The parsed template that was validated
  * {Object[]} result.errors    An array of objects related to validating
- *                             the given template
+ *                             the given template, with line, column and
+ *                             snippet of the offending YAML when available
+ * {Object[]} [result.warnings]      Structured warnings with code, severity, message and path
+ * {String[]} [result.warnMessages]  Messages of the warnings above
+ * {Object[]} [result.templateChain] Parent templates that were merged, direct parent first, with
+ *                                   the reference as written and the exact version it resolved to
+ * {Object}   [result.provenance]    Map of field path (e.g. "environment.FOO", "steps.install")
+ *                                   to the source template name@version, or "local"
+ * {Object}   [result.buildPlan]     Steps in execution order, image, environment, secrets and parameters
+ *                                   of a build (see lib/buildPlan); formatBuildPlan renders it as text
  */
-async function parseJobTemplate(yamlString, templateFactory) {
+async function parseJobTemplate(yamlString, templateFactory, options = {}) {
     let configToValidate;
 
     try {
-        configToValidate = await loadTemplate(yamlString);
+        configToValidate = await loadTemplate(yamlString, options.yamlLimits);
         const config = await validateTemplateStructure(configToValidate, SCHEMA_CONFIG);
+        // Lint the template as written, before merging changes it
+        const lintWarnings = options.lint ? lint(config, options.lint) : [];
         // Retrieve parent template and merge into job config
-        const { flattenedConfig, warnMessages } = await flattenTemplate(config, templateFactory);
+        const { flattenedConfig, warnings, templateChain, levels, provenance } = await flattenTemplate(
+            config,
+            templateFactory,
+            options
+        );
+
+        const policyViolations = options.policy ? checkJobTemplate(flattenedConfig, levels, options.policy) : [];
+        const allWarnings = lintWarnings.concat(warnings, analyzeParameters(levels, flattenedConfig), policyViolations);
+
+        // Only warnings without a source template point into this YAML
+        addSourceLocations(
+            allWarnings.filter(warning => !warning.source),
+            yamlString
+        );
+
+        const { errors, warnings: remainingWarnings } = applyWarningPolicy(allWarnings, options);
         const res = {
-            errors: [],
+            errors,
             template: flattenedConfig
         };
 
-        if (warnMessages.length > 0) {
-            res.warnMessages = warnMessages;
+        if (remainingWarnings.length > 0) {
+            res.warnings = remainingWarnings;
+            res.warnMessages = remainingWarnings.map(warning => warning.message);
+        }
+
+        if (templateChain.length > 0) {
+            res.templateChain = templateChain;
+        }
+
+        if (provenance) {
+            res.provenance = provenance;
+        }
+
+        if (options.buildPlan) {
+            res.buildPlan = createBuildPlan(flattenedConfig, {
+                provenance: provenance || buildProvenance(levels, flattenedConfig)
+            });
         }
 
         return res;
@@ -117,40 +245,87 @@ async function parseJobTemplate(yamlString, templateFactory) {
         }
 
         return {
-            errors: err.details,
+            errors: addSourceLocations(err.details, yamlString),
             template: configToValidate
         };
     }
 }
 
+/**
+ * Add the effective config of every job to the result of a valid pipeline template, or the
+ * violations of a security policy by the effective configs
+ * @method addEffectiveJobs
+ * @param  {Object}             result              Result with errors and template
+ * @param  {Object}             templateObj         Template as loaded from YAML
+ * @param  {String}             yamlString          Contents of screwdriver-template.yaml
+ * @param  {TemplateFactory}    [templateFactory]   Template Factory to get job templates from
+ * @param  {Object}             [options]
+ * @param  {Boolean}            [options.expandJobs] Add the effective jobs
+ * @param  {Object}             [options.policy]    Security policy the effective jobs must satisfy
+ * @return {Promise}            Resolves to the result with effectiveJobs if requested, policy
+ *                              violations as errors, and warnings if any
+ */
+async function addEffectiveJobs(result, templateObj, yamlString, templateFactory, options = {}) {
+    const { effectiveJobs, warnings } = await expandPipelineJobs(templateObj.config, templateFactory);
+
+    if (options.expandJobs) {
+        result.effectiveJobs = effectiveJobs;
+    }
+
+    if (options.policy) {
+        result.errors = result.errors.concat(
+            addSourceLocations(checkPipelineJobs(templateObj, effectiveJobs, options.policy), yamlString)
+        );
+    }
+
+    if (warnings.length > 0) {
+        result.warnings = addSourceLocations(warnings, yamlString);
+        result.warnMessages = warnings.map(warning => warning.message);
+    }
+
+    return result;
+}
+
 /**
  * Parses the pipeline configuration from a screwdriver-template.yaml
  * @method parsePipelineTemplate
  * @param  {String}             yamlString      Contents of screwdriver-template.yaml
+ * @param  {Object}             [options]
+ * @param  {Boolean}            [options.expandJobs] Also report the effective config of every job
+ * @param  {Object}             [options.policy]     Security policy (see lib/policy) the effective config of
+ *                                                   every job must satisfy; violations are reported as errors
+ * @param  {Object}             [options.yamlLimits] Limits on alias expansion, depth and size of the YAML
  * @return {Promise}            Promise that rejects if the configuration cannot be parsed
  *                              The promise will eventually resolve into:
  * {Object}   result
  * {Object}   result.template  The parsed template that was validated
  * {Object[]} result.errors    An array of objects related to validating
- *                             the given template
+ *                             the given template, with line, column and
+ *                             snippet of the offending YAML when available
+ * {Object[]} [result.effectiveJobs] Effective config of every job with name, config and matrix
+ *                                   combination, with shared settings merged in and one entry per
+ *                                   combination of matrix values; job templates are not resolved
  */
-async function parsePipelineTemplate(yamlString) {
-    const configToValidate = await loadTemplate(yamlString);
+async function parsePipelineTemplate(yamlString, options = {}) {
+    const configToValidate = await loadTemplate(yamlString, options.yamlLimits);
 
     try {
         const config = await parseTemplate({ yaml: yamlString });
-
-        return {
+        const result = {
             errors: [],
             template: config
         };
+
+        return options.expandJobs || options.policy
+            ? addEffectiveJobs(result, configToValidate, yamlString, undefined, options)
+            : result;
     } catch (err) {
         if (!err.details) {
             throw err;
         }
 
         return {
-            errors: err.details,
+            errors: addSourceLocations(err.details, yamlString),
             template: configToValidate
         };
     }
@@ -161,37 +336,424 @@ async function parsePipelineTemplate(yamlString) {
  * @method validatePipelineTemplate
  * @param  {String}             yamlString      Contents of screwdriver-template.yaml
  * @param  {TemplateFactory}    templateFactory     Template Factory to get template from
+ * @param  {Object}             [options]
+ * @param  {Boolean}            [options.expandJobs] Also report the effective config of every job
+ * @param  {Object}             [options.policy]     Security policy (see lib/policy) the effective config of
+ *                                                   every job must satisfy; violations are reported as errors
+ * @param  {Object}             [options.yamlLimits] Limits on alias expansion, depth and size of the YAML
  * @return {Promise}            Promise that rejects if the configuration cannot be validated
  *                              The promise will eventually resolve into:
  * {Object}   result
  * {Object}   result.template  The validated template that was validated
  * {Object[]} result.errors    An array of objects related to validating
- *                             the given template
+ *                             the given template, with line, column and
+ *                             snippet of the offending YAML when available
+ * {Object[]} [result.effectiveJobs] Effective config of every job like parsePipelineTemplate,
+ *                                   with job templates resolved
+ * {Object[]} [result.warnings]      Structured warnings from merging job templates
+ * {String[]} [result.warnMessages]  Messages of the warnings above
  */
-async function validatePipelineTemplate(yamlString, templateFactory) {
-    const configToValidate = await loadTemplate(yamlString);
+async function validatePipelineTemplate(yamlString, templateFactory, options = {}) {
+    const configToValidate = await loadTemplate(yamlString, options.yamlLimits);
 
     try {
         const config = await validateTemplate({ yaml: yamlString, templateFactory });
-
-        return {
+        const result = {
             errors: [],
             template: config
         };
+
+        return options.expandJobs || options.policy
+            ? addEffectiveJobs(result, configToValidate, yamlString, templateFactory, options)
+            : result;
     } catch (err) {
         if (!err.details) {
             throw err;
         }
 
         return {
-            errors: err.details,
+            errors: addSourceLocations(err.details, yamlString),
             template: configToValidate
         };
     }
 }
 
+/**
+ * Detect the kind of template from its structure. Pipeline templates hold a set of jobs
+ * (and optionally shared settings), job templates hold a single job config.
+ * @method detectTemplateKind
+ * @param  {Object} templateObj Template as loaded from YAML
+ * @return {String}             "pipeline" or "job"
+ */
+function detectTemplateKind(templateObj) {
+    const config = (templateObj && templateObj.config) || {};
+
+    return config.jobs !== undefined || config.shared !== undefined ? 'pipeline' : 'job';
+}
+
+/**
+ * Validates any screwdriver-template.yaml, detecting whether it is a job or pipeline template
+ * @method validate
+ * @param  {String}             yamlString                  Contents of screwdriver-template.yaml
+ * @param  {Object}             [options]
+ * @param  {TemplateFactory}    [options.templateFactory]   Template Factory to get parent templates from.
+ *                                                          Pipeline templates are only parsed without one.
+ * @param  {Boolean}            [options.provenance]        Report provenance of merged values (job templates)
+ * @param  {Boolean}            [options.strict]            Report warnings as errors (job templates)
+ * @param  {Object}             [options.warningPolicy]     Severity by warning code (job templates)
+ * @param  {Object|Boolean}     [options.lint]              Lint config (job templates)
+ * @param  {Boolean}            [options.buildPlan]         Report the build plan (job templates)
+ * @param  {Boolean}            [options.expandJobs]        Report the effective config of every job
+ *                                                          (pipeline templates)
+ * @param  {Object}             [options.policy]            Security policy the flattened job or the effective
+ *                                                          config of every pipeline job must satisfy
+ * @param  {Object}             [options.yamlLimits]        Limits on alias expansion, depth and size of the YAML:
+ *                                                          maxAliasCount (default 100), maxDepth (64)
+ *                                                          and maxSize in characters (1 MiB)
+ * @return {Promise}            Promise that rejects if the YAML cannot be parsed or exceeds a limit
+ *                              The promise will eventually resolve into:
+ * {Object}   result
+ * {String}   result.kind      Detected kind of template, "job" or "pipeline"
+ * {Object}   result.template  The validated template
+ * {Object[]} result.errors    An array of objects related to validating the given template
+ * {Object[]} result.warnings  An array of structured warnings
+ * {String[]} result.warnMessages Messages of the warnings above
+ * {Object[]} [result.effectiveJobs] Effective config of every job, if requested for a pipeline template
+ */
+async function validate(yamlString, options = {}) {
+    const { templateFactory } = options;
+    const kind = detectTemplateKind(await loadTemplate(yamlString, options.yamlLimits));
+    let result;
+
+    if (kind === 'job') {
+        result = await parseJobTemplate(yamlString, templateFactory, options);
+    } else if (templateFactory) {
+        result = await validatePipelineTemplate(yamlString, templateFactory, options);
+    } else {
+        result = await parsePipelineTemplate(yamlString, options);
+    }
+
+    return {
+        kind,
+        warnings: [],
+        warnMessages: [],
+        ...result
+    };
+}
+
+/**
+ * Validates every document of a YAML string holding several templates separated by "---",
+ * like validate. Lines and columns of errors and warnings refer to the whole string.
+ * @method validateDocuments
+ * @param  {String}             yamlString  Contents of a multi-document YAML file
+ * @param  {Object}             [options]   Options as for validate
+ * @return {Promise}            Promise that rejects if the YAML cannot be parsed or exceeds a limit
+ *                              The promise will eventually resolve into an array with the result of
+ *                              validate for every document, with document (its 1-based position) and
+ *                              line (the line it starts at)
+ */
+async function validateDocuments(yamlString, options = {}) {
+    const loaded = loadDocuments(yamlString, options.yamlLimits);
+    // An empty string is still validated, as an empty template
+    const documents = loaded.length > 0 ? loaded : [{ yaml: yamlString, line: 1 }];
+    const results = [];
+
+    // Validate one by one to keep the results in the order of the documents
+    for (let i = 0; i < documents.length; i += 1) {
+        // eslint-disable-next-line no-await-in-loop
+        const result = await validate(documents[i].yaml, options);
+
+        results.push({ document: i + 1, line: documents[i].line, ...result });
+    }
+
+    return results;
+}
+
+/**
+ * Compare two versions of a job template, e.g. before publishing a new version, and classify
+ * the changes as breaking (major) or non-breaking (minor or patch) for child templates
+ * @method diffTemplates
+ * @param  {String}             beforeYaml      Contents of the previous screwdriver-template.yaml
+ * @param  {String}             afterYaml       Contents of the new screwdriver-template.yaml
+ * @param  {Object}             [options]
+ * @param  {Boolean}            [options.checkVersion] Report an error if the declared version is not bumped enough
+ * @param  {Object}             [options.yamlLimits]   Limits on alias expansion, depth and size of the YAML
+ * @return {Promise}            Promise that rejects if the YAML cannot be parsed
+ *                              The promise will eventually resolve into:
+ * {Object}   result
+ * {Object[]} result.changes          Changes with type, path, breaking, bump, message, before and after
+ * {Boolean}  result.breaking         Whether any change breaks child templates
+ * {String}   result.recommendedBump  "major", "minor", "patch" or "none"
+ * {String}   result.versionBump      Declared version bump, or undefined if the version went backwards
+ * {Object[]} result.errors           Version errors, with line, column and snippet in the new YAML
+ */
+async function diffTemplates(beforeYaml, afterYaml, options = {}) {
+    const [before, after] = await Promise.all([
+        loadTemplate(beforeYaml, options.yamlLimits),
+        loadTemplate(afterYaml, options.yamlLimits)
+    ]);
+
+    if (detectTemplateKind(before) !== 'job' || detectTemplateKind(after) !== 'job') {
+        throw new Error('Only job templates can be compared');
+    }
+
+    const result = compareTemplates(before, after, options);
+
+    addSourceLocations(result.errors, afterYaml);
+
+    return result;
+}
+
+/**
+ * Compare two published versions of a job template, like diffTemplates
+ * @method diffTemplateVersions
+ * @param  {String}             fullName        Template name with namespace, e.g. "namespace/name"
+ * @param  {String}             beforeVersion   Previous version or tag
+ * @param  {String}             afterVersion    New version or tag
+ * @param  {TemplateFactory}    templateFactory Template Factory to get the templates from
+ * @param  {Object}             [options]       Options as for diffTemplates
+ * @return {Promise}            Resolves to the result of diffTemplates, without source locations
+ */
+async function diffTemplateVersions(fullName, beforeVersion, afterVersion, templateFactory, options = {}) {
+    const [before, after] = await Promise.all(
+        [beforeVersion, afterVersion].map(async version => {
+            const template = await templateFactory.getTemplate(`${fullName}@${version}`);
+
+            if (!template) {
+                throw new Error(`Template ${fullName}@${version} does not exist`);
+            }
+
+            return template;
+        })
+    );
+
+    return compareTemplates(before, after, options);
+}
+
+/**
+ * Extract the minimal child template of a job config with a candidate parent template: the job
+ * config with a "template" reference that flattens back to the job, e.g. to move copy-pasted job
+ * configs onto a shared template
+ * @method extractChildTemplate
+ * @param  {Object}             jobConfig                   Job config to extract the child template of
+ * @param  {Object|String}      parent                      Parent template object, or a reference to it
+ * @param  {Object}             [options]
+ * @param  {TemplateFactory}    [options.templateFactory]   Template Factory to get the parent and its own
+ *                                                          parents from
+ * @param  {String}             [options.reference]         Template reference for the child to use; defaults
+ *                                                          to the given reference or name@version of the parent
+ * @return {Promise}            Resolves to object with config of the child template and structured
+ *                              warnings about differences a child template cannot express
+ */
+async function extractChildTemplate(jobConfig, parent, options = {}) {
+    const { templateFactory } = options;
+    let parentObj = parent;
+
+    if (typeof parent === 'string') {
+        parentObj = templateFactory ? await getTemplateByReference(parent, templateFactory) : null;
+
+        if (!parentObj) {
+            throw new Error(`Template ${parent} does not exist`);
+        }
+    }
+
+    parentObj = Hoek.clone(parentObj);
+
+    // Extract against what the parent flattens to, including its own parents
+    if (parentObj.config.template) {
+        ({ flattenedConfig: parentObj } = await flattenTemplate(parentObj, templateFactory));
+    }
+
+    return extractTemplate(jobConfig, parentObj, {
+        reference: options.reference || (typeof parent === 'string' ? parent : undefined)
+    });
+}
+
+/**
+ * Generate a JSON Schema (draft 2020-12) of templates from the schemas the validator uses,
+ * e.g. for the YAML extension of VS Code to complete and check sd-template.yaml while editing
+ * @method generateJsonSchema
+ * @param  {String}             [kind]          "job", "pipeline" or "template" (default) for either
+ * @param  {Object}             [options]
+ * @param  {String}             [options.id]    $id of the JSON Schema
+ * @return {Object}             JSON Schema
+ */
+function generateJsonSchema(kind = 'template', options = {}) {
+    const schemas = {
+        job: [SCHEMA_CONFIG, 'Screwdriver job template'],
+        pipeline: [SCHEMA_PIPELINE_TEMPLATE, 'Screwdriver pipeline template'],
+        template: [[SCHEMA_CONFIG, SCHEMA_PIPELINE_TEMPLATE], 'Screwdriver template']
+    };
+
+    if (!schemas[kind]) {
+        throw new Error(`Unknown template kind ${kind}; use one of: ${Object.keys(schemas).join(', ')}`);
+    }
+
+    const [schema, title] = schemas[kind];
+
+    return joiToJsonSchema(schema, { id: options.id, title });
+}
+
+/**
+ * Validate a set of template files, e.g. all templates of a repository. Parent templates of the
+ * set are resolved from the set itself before the template factory is asked, so children can be
+ * validated against parents that are not published yet. Parents are validated before their children.
+ * @method validateTemplates
+ * @param  {Object[]}           files                       Files with file (a name or path) and yaml;
+ *                                                          documents of multi-document files are reported
+ *                                                          as file#1, file#2, ...
+ * @param  {Object}             [options]                   Options as for validate
+ * @param  {TemplateFactory}    [options.templateFactory]   Template Factory to get published templates from
+ * @return {Promise}            Resolves to an aggregated report:
+ * {Object}   report
+ * {Boolean}  report.valid      Whether no file has errors
+ * {Object[]} report.results    Result of every file in validation order, with file, kind, name,
+ *                              version, errors, warnings and, for multi-document files, document
+ * {Object[]} report.graph      Dependency graph, with file, name, version, dependsOn (files of the set)
+ *                              and external (references to templates outside the set)
+ * {String[]} report.order      Files in validation order
+ * {Object}   report.summary    Number of files, valid files, invalid files, errors and warnings
+ */
+async function validateTemplates(files, options = {}) {
+    // Every document of a multi-document file is a template of its own
+    const entries = files.flatMap(({ file, yaml }) => {
+        try {
+            const documents = loadDocuments(yaml, options.yamlLimits);
+
+            if (documents.length <= 1) {
+                return [{ file, yaml, template: documents.length === 1 ? documents[0].template : undefined }];
+            }
+
+            return documents.map((document, i) => ({ file: `${file}#${i + 1}`, document: i + 1, ...document }));
+        } catch (err) {
+            return [{ file, yaml, error: err }];
+        }
+    });
+    const localFactory = createTemplateFactory(
+        entries
+            .map(({ template }) => template)
+            .filter(template => template && template.name && template.version !== undefined)
+    );
+    const templateFactory = combineFactories(localFactory, options.templateFactory);
+    const graph = await buildDependencyGraph(entries, localFactory);
+    const order = sortTopologically(graph);
+    const results = [];
+
+    // Validate one by one so results come in dependency order
+    for (let i = 0; i < order.length; i += 1) {
+        const entry = entries.find(({ file }) => file === order[i]);
+        const node = graph.find(({ file }) => file === order[i]);
+        const result = { file: entry.file, kind: undefined, name: node.name, version: node.version };
+
+        if (entry.document !== undefined) {
+            result.document = entry.document;
+        }
+
+        try {
+            if (entry.error) {
+                throw entry.error;
+            }
+
+            // eslint-disable-next-line no-await-in-loop
+            const res = await validate(entry.yaml, { ...options, templateFactory });
+
+            result.kind = res.kind;
+            result.errors = res.errors;
+            result.warnings = res.warnings;
+        } catch (err) {
+            result.errors = [{ message: err.message }];
+            result.warnings = [];
+        }
+
+        results.push(result);
+    }
+
+    const invalid = results.filter(result => result.errors.length > 0).length;
+
+    return {
+        valid: invalid === 0,
+        results,
+        graph,
+        order,
+        summary: {
+            files: results.length,
+            valid: results.length - invalid,
+            invalid,
+            errors: results.reduce((count, result) => count + result.errors.length, 0),
+            warnings: results.reduce((count, result) => count + result.warnings.length, 0)
+        }
+    };
+}
+
+/**
+ * Run the template tests of a directory. Every YAML file is a template to test, checked against
+ * the snapshot of its expected output in <name>.json and the assertions in <name>.assertions.yaml,
+ * e.g. [{ stepsInOrder: ['install', 'test'] }, { environment: { FOO: 'bar' } }, { warnings: ['LINT'] }].
+ * Job templates are run through parseJobTemplate and pipeline templates through validatePipelineTemplate.
+ * @method runTemplateTests
+ * @param  {String}             location                    Path to the test directory
+ * @param  {Object}             [options]                   Options as for parseJobTemplate and validatePipelineTemplate
+ * @param  {String}             [options.templates]         Directory or fixture file with the templates the tested
+ *                                                          templates refer to; defaults to the templates directory
+ *                                                          of the test directory
+ * @param  {TemplateFactory}    [options.templateFactory]   Template Factory to use instead of fixture templates
+ * @param  {Boolean}            [options.update]            Write snapshots of the output instead of comparing them
+ * @return {Promise}            Resolves to a report:
+ * {Object}   report
+ * {Boolean}  report.passed     Whether all tests passed
+ * {Object[]} report.results   The name, file, failures and whether a snapshot was updated, for every test
+ * {Object}   report.summary    Number of tests, passed, failed and updated ones
+ */
+async function runTemplateTests(location, options = {}) {
+    const { templates, update, ...validatorOptions } = options;
+    const tests = await discoverTemplateTests(location);
+    const fixtures = templates || (await findFixtures(location));
+    let { templateFactory } = options;
+
+    if (!templateFactory) {
+        templateFactory = fixtures ? await createFileTemplateFactory(fixtures) : createTemplateFactory([]);
+    }
+
+    const runTemplate = async yamlString => {
+        const kind = detectTemplateKind(await loadTemplate(yamlString, options.yamlLimits));
+
+        return kind === 'job'
+            ? parseJobTemplate(yamlString, templateFactory, validatorOptions)
+            : validatePipelineTemplate(yamlString, templateFactory, validatorOptions);
+    };
+    const results = [];
+
+    // Run one by one, so the output follows the order of the tests
+    for (let i = 0; i < tests.length; i += 1) {
+        // eslint-disable-next-line no-await-in-loop
+        results.push(await runTemplateTest(tests[i], runTemplate, { update }));
+    }
+
+    return summarizeTests(results);
+}
+
 module.exports = {
+    BUILT_IN_RULES,
+    CHANGE_TYPES,
+    FORMATTERS,
+    SEVERITIES,
+    WARNING_CODES,
+    createBuildPlan,
+    createFileTemplateFactory,
+    createTemplateCache,
+    detectTemplateKind,
+    diffTemplateVersions,
+    diffTemplates,
+    extractChildTemplate,
+    formatBuildPlan,
+    formatResults,
+    formatTestReport,
+    generateJsonSchema,
     parseJobTemplate,
     parsePipelineTemplate,
-    validatePipelineTemplate
+    runTemplateTests,
+    validate,
+    validateDocuments,
+    validatePipelineTemplate,
+    validateTemplates
 };
@@ -0,0 +1,158 @@
+'use strict';
+
+const { getFullName } = require('./helper');
+const { getTemplateByReference } = require('./templateReference');
+
+/**
+ * Get the template references of a template: the parent of a job template, or the
+ * templates used by the shared settings and jobs of a pipeline template
+ * @method getTemplateReferences
+ * @param  {Object}   templateObj Template as loaded from YAML
+ * @return {String[]}             Unique template references
+ */
+function getTemplateReferences(templateObj) {
+    const config = (templateObj && templateObj.config) || {};
+    const jobs = Object.values(config.jobs || {});
+    const references = [config, config.shared || {}]
+        .concat(jobs)
+        .map(job => job && job.template)
+        .filter(reference => typeof reference === 'string');
+
+    return Array.from(new Set(references));
+}
+
+/**
+ * Combine a template factory of in-repo templates with a fallback factory. Templates, and the
+ * versions of templates, found in the repo take precedence over published ones.
+ * @method combineFactories
+ * @param  {TemplateFactory} localFactory      Factory of the templates in the repo
+ * @param  {TemplateFactory} [fallbackFactory] Factory of published templates
+ * @return {Object}                            Factory with getTemplate, listVersions and getFullNameAndVersion
+ */
+function combineFactories(localFactory, fallbackFactory) {
+    if (!fallbackFactory) {
+        return localFactory;
+    }
+
+    return {
+        /**
+         * Get a template from the repo, or the published one if the repo does not have it
+         * @method getTemplate
+         * @param  {String}  fullTemplateName Template name with version or tag
+         * @return {Promise}                  Resolves to the template, or null if not found
+         */
+        async getTemplate(fullTemplateName) {
+            const template = await localFactory.getTemplate(fullTemplateName);
+
+            return template || fallbackFactory.getTemplate(fullTemplateName);
+        },
+
+        /**
+         * List the versions of a template in the repo, or the published ones if the repo has none
+         * and the fallback factory can list them
+         * @method listVersions
+         * @param  {String}  templateName Template name including namespace
+         * @return {Promise}              Resolves to array of versions, or undefined if they cannot be listed
+         */
+        async listVersions(templateName) {
+            const versions = await localFactory.listVersions(templateName);
+
+            if (versions.length > 0) {
+                return versions;
+            }
+
+            return typeof fallbackFactory.listVersions === 'function'
+                ? fallbackFactory.listVersions(templateName)
+                : undefined;
+        },
+
+        /**
+         * Split a full template name into name and version or tag
+         * @method getFullNameAndVersion
+         * @param  {String} fullTemplateName Template name with optional version or tag
+         * @return {Object}                  Result of the fallback factory
+         */
+        getFullNameAndVersion(fullTemplateName) {
+            return fallbackFactory.getFullNameAndVersion(fullTemplateName);
+        }
+    };
+}
+
+/**
+ * Build the dependency graph of a set of template files. References to templates of the set
+ * become edges between files, all other references are listed as external.
+ * @method buildDependencyGraph
+ * @param  {Object[]}        entries      Loaded files with file and template
+ * @param  {TemplateFactory} localFactory Factory of the templates of the set
+ * @return {Promise}                      Resolves to nodes with file, name, version, dependsOn and external
+ */
+async function buildDependencyGraph(entries, localFactory) {
+    const filesByTemplate = {};
+
+    entries.forEach(({ file, template }) => {
+        if (template && template.name && template.version !== undefined) {
+            filesByTemplate[`${getFullName(template)}@${template.version}`] = file;
+        }
+    });
+
+    return Promise.all(
+        entries.map(async ({ file, template }) => {
+            const node = {
+                file,
+                name: template ? template.name : undefined,
+                version: template && template.version !== undefined ? String(template.version) : undefined,
+                dependsOn: [],
+                external: []
+            };
+
+            await Promise.all(
+                getTemplateReferences(template).map(async reference => {
+                    // Invalid references are reported when the file is validated
+                    const parent = await getTemplateByReference(reference, localFactory).catch(() => null);
+                    const parentFile = parent && filesByTemplate[`${getFullName(parent)}@${parent.version}`];
+
+                    if (parentFile && parentFile !== file) {
+                        node.dependsOn.push(parentFile);
+                    } else {
+                        node.external.push(reference);
+                    }
+                })
+            );
+
+            node.dependsOn = Array.from(new Set(node.dependsOn)).sort();
+            node.external.sort();
+
+            return node;
+        })
+    );
+}
+
+/**
+ * Order the files of a dependency graph so that parents come before their children.
+ * Files keep their original order where possible; files in a cycle come last.
+ * @method sortTopologically
+ * @param  {Object[]} graph Nodes from buildDependencyGraph
+ * @return {String[]}       Files in validation order
+ */
+function sortTopologically(graph) {
+    const pending = graph.slice();
+    const order = [];
+    let ready = pending.filter(node => node.dependsOn.every(file => order.includes(file)));
+
+    while (ready.length > 0) {
+        const [next] = ready;
+
+        order.push(next.file);
+        pending.splice(pending.indexOf(next), 1);
+        ready = pending.filter(node => node.dependsOn.every(file => order.includes(file)));
+    }
+
+    return order.concat(pending.map(node => node.file));
+}
+
+module.exports = {
+    buildDependencyGraph,
+    combineFactories,
+    getTemplateReferences,
+    sortTopologically
+};
@@ -0,0 +1,163 @@
+'use strict';
+
+const { getFullName } = require('./helper');
+const { getParameterDefaults, substituteParameters } = require('./parameters');
+const { LOCAL_SOURCE } = require('./provenance');
+
+const TEARDOWN_PREFIX = 'teardown-';
+
+/**
+ * Get the environment a build of a job using the template gets injected, naming the template itself
+ * @method getInjectedEnvironment
+ * @param  {Object} templateObj Template object with name, optional namespace and version
+ * @return {Object}             SD_TEMPLATE_* variables, or an empty object if the template has no name
+ */
+function getInjectedEnvironment(templateObj) {
+    if (!templateObj.name) {
+        return {};
+    }
+
+    let { namespace, name } = templateObj;
+
+    // Templates that are not published yet carry the namespace in their name, e.g. "ns/name"
+    if (!namespace && name.includes('/')) {
+        [namespace, name] = [name.slice(0, name.indexOf('/')), name.slice(name.indexOf('/') + 1)];
+    }
+
+    return {
+        SD_TEMPLATE_FULLNAME: getFullName({ namespace, name }),
+        SD_TEMPLATE_NAME: name,
+        SD_TEMPLATE_NAMESPACE: namespace || '',
+        SD_TEMPLATE_VERSION: templateObj.version === undefined ? '' : String(templateObj.version)
+    };
+}
+
+/**
+ * Turn a flattened job template into the plan of what a build of a job using it would execute,
+ * without running anything. Parameter references in commands and environment values are replaced
+ * by the parameter defaults.
+ * @method createBuildPlan
+ * @param  {Object}   templateObj            Flattened template object, e.g. the template of a parseJobTemplate result
+ * @param  {Object}   [options]
+ * @param  {Object}   [options.provenance]   Provenance map, to report the template each step came from
+ * @return {Object}                          Plan with:
+ *                                           - template: name@version of the template
+ *                                           - image: image with template image labels resolved
+ *                                           - environment: environment including the injected variables
+ *                                           - injectedEnvironment: names of the injected variables
+ *                                           - secrets: names of the secrets the build gets
+ *                                           - parameters: default value by parameter name
+ *                                           - steps: steps in execution order with name, command, teardown,
+ *                                             locked and source if known; teardown steps run last
+ */
+function createBuildPlan(templateObj, options = {}) {
+    const job = templateObj.config || {};
+    const images = templateObj.images || {};
+    const parameters = getParameterDefaults(job.parameters);
+    const injected = getInjectedEnvironment(templateObj);
+    const environment = {};
+
+    // Injected variables replace those of parent templates and come last
+    Object.keys(job.environment || {})
+        .filter(key => !(key in injected))
+        .forEach(key => {
+            environment[key] = substituteParameters(job.environment[key], parameters);
+        });
+
+    const steps = (job.steps || [])
+        .filter(step => step && typeof step === 'object')
+        .map(step => {
+            const name = Object.keys(step)[0];
+            const definition = step[name];
+            const command = definition && typeof definition === 'object' ? definition.command : definition;
+            const planned = {
+                name,
+                command: substituteParameters(command, parameters),
+                teardown: name.startsWith(TEARDOWN_PREFIX),
+                locked: Boolean(definition && definition.locked)
+            };
+
+            if (options.provenance && options.provenance[`steps.${name}`]) {
+                planned.source = options.provenance[`steps.${name}`];
+            }
+
+            return planned;
+        });
+
+    return {
+        template: templateObj.name ? `${injected.SD_TEMPLATE_FULLNAME}@${templateObj.version}` : undefined,
+        image: images[job.image] || job.image,
+        environment: { ...environment, ...injected },
+        injectedEnvironment: Object.keys(injected),
+        secrets: [].concat(job.secrets || []),
+        parameters,
+        // Teardown steps run after all other steps, even when one of them fails
+        steps: steps.filter(step => !step.teardown).concat(steps.filter(step => step.teardown))
+    };
+}
+
+/**
+ * Quote a value for a POSIX shell
+ * @method quote
+ * @param  {String} value Value
+ * @return {String}       Value in single quotes
+ */
+function quote(value) {
+    return `'${String(value).replace(/'/g, "'\\''")}'`;
+}
+
+/**
+ * Render a build plan as a shell-script-like preview. The preview is for reading only: steps
+ * run in separate shells, teardown steps run even if a step fails and secrets are only
+ * available during a build.
+ * @method formatBuildPlan
+ * @param  {Object} plan Plan from createBuildPlan
+ * @return {String}      Preview
+ */
+function formatBuildPlan(plan) {
+    const lines = ['#!/bin/sh', `# Build plan${plan.template ? ` of ${plan.template}` : ''} (dry run)`];
+
+    if (plan.image) {
+        lines.push(`# image: ${plan.image}`);
+    }
+
+    if (plan.secrets.length > 0) {
+        lines.push(`# secrets: ${plan.secrets.join(', ')}`);
+    }
+
+    Object.keys(plan.parameters).forEach(name => {
+        lines.push(`# parameter ${name}: ${plan.parameters[name]}`);
+    });
+
+    const environment = Object.keys(plan.environment);
+
+    if (environment.length > 0) {
+        lines.push('');
+        environment.forEach(key => {
+            const comment = plan.injectedEnvironment.includes(key) ? '  # injected' : '';
+
+            lines.push(`export ${key}=${quote(plan.environment[key])}${comment}`);
+        });
+    }
+
+    plan.steps.forEach((step, i) => {
+        const notes = [
+            step.teardown && 'teardown',
+            step.locked && 'locked',
+            step.source && step.source !== LOCAL_SOURCE && `from ${step.source}`
+        ]
+            .filter(Boolean)
+            .join(', ');
+
+        lines.push('');
+        lines.push(`# ${i + 1}. ${step.name}${notes ? ` (${notes})` : ''}`);
+        lines.push(String(step.command));
+    });
+
+    return `${lines.join('\n')}\n`;
+}
+
+module.exports = {
+    createBuildPlan,
+    formatBuildPlan
+};
@@ -0,0 +1,432 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const validator = require('../index');
+const { createFileTemplateFactory } = require('./fileTemplateFactory');
+const { FORMATTERS, formatResults } = require('./formatters');
+const { validatePolicy } = require('./policy');
+const { formatTestReport, summarizeTests } = require('./testHarness');
+const { loadYaml } = require('./yamlLoader');
+
+const USAGE = `Usage: sd-template-validate [options] <file...>
+       sd-template-validate --batch [options] <file or directory...>
+       sd-template-validate --test [options] <directory...>
+       sd-template-validate --json-schema [kind]
+
+Validates Screwdriver job and pipeline template files.
+
+Options:
+  -t, --templates <path>  Directory or JSON/YAML fixture file with parent templates
+  -f, --format <format>   Output format: human (default), json, junit or sarif
+  -s, --strict            Report warnings as errors
+  -l, --lint              Run the built-in lint rules on job templates
+  -p, --policy <file>     JSON/YAML security policy the templates must satisfy
+  -b, --batch             Validate the templates together, resolving parents from the given
+                          files first; directories are searched for YAML files
+  --test                  Run the template tests of the given directories: every YAML file is
+                          checked against <name>.json and <name>.assertions.yaml, with parent
+                          templates from --templates or the templates directory of each
+  -u, --update            Write the output of template tests as their expected output
+  --json-schema [kind]    Print the JSON Schema of job, pipeline or either kind of template
+                          (job, pipeline or template, the default) for editors
+  -h, --help              Show this help
+`;
+const FORMATS = ['human'].concat(FORMATTERS.map(({ name }) => name));
+const TEST_FORMATS = ['human', 'json'];
+const YAML_FILE_EXTENSIONS = ['.yaml', '.yml'];
+
+/**
+ * Create a handler for a flag that turns an option on
+ * @method setFlag
+ * @param  {String}   option Option name
+ * @return {Function}        Handler called with options, returning the number of values it took
+ */
+function setFlag(option) {
+    return options => {
+        options[option] = true;
+
+        return 0;
+    };
+}
+
+/**
+ * Create a handler for a flag that takes the next argument as value
+ * @method setValue
+ * @param  {String}   option    Option name, which is also the long flag
+ * @param  {String}   valueName Name of the value in the error for a missing value
+ * @return {Function}           Handler called with options and the next argument, returning the number
+ *                              of values it took
+ * @throws {Error}              From the handler, if the next argument is missing or another option
+ */
+function setValue(option, valueName) {
+    return (options, value) => {
+        if (value === undefined || value.startsWith('-')) {
+            throw new Error(`Missing ${valueName} for --${option}`);
+        }
+
+        options[option] = value;
+
+        return 1;
+    };
+}
+
+/**
+ * Handlers by command-line flag
+ * @type {Object}
+ */
+const FLAG_HANDLERS = {
+    '-h': setFlag('help'),
+    '--help': setFlag('help'),
+    '-b': setFlag('batch'),
+    '--batch': setFlag('batch'),
+    '--test': setFlag('test'),
+    '-u': setFlag('update'),
+    '--update': setFlag('update'),
+    '-l': setFlag('lint'),
+    '--lint': setFlag('lint'),
+    '-s': setFlag('strict'),
+    '--strict': setFlag('strict'),
+    '-t': setValue('templates', 'path'),
+    '--templates': setValue('templates', 'path'),
+    '-p': setValue('policy', 'path'),
+    '--policy': setValue('policy', 'path'),
+    '-f': setValue('format', 'format'),
+    '--format': setValue('format', 'format'),
+    '--json-schema': (options, value) => {
+        // The kind is optional, so a following option is not taken as the kind
+        if (value !== undefined && !value.startsWith('-')) {
+            options.jsonSchema = value;
+
+            return 1;
+        }
+
+        options.jsonSchema = 'template';
+
+        return 0;
+    }
+};
+
+/**
+ * Parse command-line arguments
+ * @method parseArgs
+ * @param  {String[]} argv Arguments, without node and script path
+ * @return {Object}        Parsed options with files, templates, policy, format, batch, test, update, jsonSchema,
+ *                         lint, strict and help
+ */
+function parseArgs(argv) {
+    const options = {
+        files: [],
+        format: 'human',
+        batch: false,
+        help: false,
+        lint: false,
+        strict: false,
+        test: false,
+        update: false
+    };
+
+    for (let i = 0; i < argv.length; i += 1) {
+        const arg = argv[i];
+
+        if (!arg.startsWith('-')) {
+            options.files.push(arg);
+        } else if (FLAG_HANDLERS[arg]) {
+            i += FLAG_HANDLERS[arg](options, argv[i + 1]);
+        } else {
+            throw new Error(`Unknown option ${arg}`);
+        }
+    }
+
+    if (!options.help && options.jsonSchema === undefined && options.files.length === 0) {
+        throw new Error('No template file given');
+    }
+
+    if (!FORMATS.includes(options.format)) {
+        throw new Error(`Unknown format ${options.format}; use one of: ${FORMATS.join(', ')}`);
+    }
+
+    if (options.test && !TEST_FORMATS.includes(options.format)) {
+        throw new Error(`Unknown format ${options.format} for --test; use one of: ${TEST_FORMATS.join(', ')}`);
+    }
+
+    return options;
+}
+
+/**
+ * Convert an error thrown while validating into a reported error, located when it is a YAML error
+ * @method toError
+ * @param  {Error}  err Error
+ * @return {Object}     Error with message, and line and column if known
+ */
+function toError(err) {
+    if (!err.mark) {
+        return { message: err.message };
+    }
+
+    return { message: err.reason, line: err.mark.line + 1, column: err.mark.column + 1 };
+}
+
+/**
+ * Validate a template file, which may hold several templates separated by "---"
+ * @method validateFile
+ * @param  {String}          file            Path to the template file
+ * @param  {Object}          options         Options passed to the validator
+ * @return {Promise}                         Resolves to results with file, kind, errors and warnings,
+ *                                           one per template; templates of a multi-document file are
+ *                                           reported as file#1, file#2, ... with their document
+ */
+async function validateFile(file, options) {
+    try {
+        const yamlString = await fs.promises.readFile(file, 'utf-8');
+        const results = await validator.validateDocuments(yamlString, options);
+
+        if (results.length === 1) {
+            const [{ kind, errors, warnings }] = results;
+
+            return [{ file, kind, errors, warnings }];
+        }
+
+        return results.map(({ document, kind, errors, warnings }) => ({
+            file: `${file}#${document}`,
+            document,
+            kind,
+            errors,
+            warnings
+        }));
+    } catch (err) {
+        return [{ file, kind: undefined, errors: [toError(err)], warnings: [] }];
+    }
+}
+
+/**
+ * Find the YAML files of the given files and directories, searching directories recursively
+ * @method findTemplateFiles
+ * @param  {String[]} locations Paths to files or directories
+ * @return {Promise}            Resolves to array of file paths
+ */
+async function findTemplateFiles(locations) {
+    const found = await Promise.all(
+        locations.map(async location => {
+            const stat = await fs.promises.stat(location);
+
+            if (!stat.isDirectory()) {
+                return [location];
+            }
+
+            const entries = await fs.promises.readdir(location, { withFileTypes: true });
+            const nested = entries
+                .filter(entry => entry.isDirectory() || YAML_FILE_EXTENSIONS.includes(path.extname(entry.name)))
+                .map(entry => path.join(location, entry.name))
+                .sort();
+
+            return findTemplateFiles(nested);
+        })
+    );
+
+    return [].concat(...found);
+}
+
+/**
+ * Validate a set of template files together
+ * @method validateBatch
+ * @param  {String[]} locations Paths to template files or directories with template files
+ * @param  {Object}   options   Options passed to the validator
+ * @return {Promise}            Resolves to the aggregated report of the validator
+ */
+async function validateBatch(locations, options) {
+    const files = await findTemplateFiles(locations);
+    const yamls = await Promise.all(files.map(file => fs.promises.readFile(file, 'utf-8')));
+
+    return validator.validateTemplates(
+        files.map((file, i) => ({ file, yaml: yamls[i] })),
+        options
+    );
+}
+
+/**
+ * Run the template tests of several directories
+ * @method runTests
+ * @param  {String[]} locations Paths to test directories
+ * @param  {Object}   options   Options passed to the validator, with update
+ * @return {Promise}            Resolves to the report of all tests
+ */
+async function runTests(locations, options) {
+    let results = [];
+
+    // Run one directory after the other, so the output follows the order given
+    for (let i = 0; i < locations.length; i += 1) {
+        // eslint-disable-next-line no-await-in-loop
+        const report = await validator.runTemplateTests(locations[i], options);
+
+        results = results.concat(report.results);
+    }
+
+    return summarizeTests(results);
+}
+
+/**
+ * Format a location prefix like "9:10" for an error or warning
+ * @method formatLocation
+ * @param  {Object} item Error or warning
+ * @return {String}      Location, or empty string if unknown
+ */
+function formatLocation(item) {
+    return item.line ? `${item.line}:${item.column}` : '';
+}
+
+/**
+ * Render results in a human readable format
+ * @method formatHuman
+ * @param  {Object[]} results Results from validateFile
+ * @return {String}           Report
+ */
+function formatHuman(results) {
+    let errorCount = 0;
+    let warningCount = 0;
+    const lines = [];
+
+    results.forEach(({ file, kind, errors, warnings }) => {
+        errorCount += errors.length;
+        warningCount += warnings.length;
+
+        if (errors.length === 0 && warnings.length === 0) {
+            lines.push(`${file}${kind ? ` (${kind} template)` : ''}: valid`);
+
+            return;
+        }
+
+        lines.push(`${file}${kind ? ` (${kind} template)` : ''}`);
+        errors.forEach(error => {
+            lines.push(`  ${formatLocation(error).padEnd(7)} error    ${error.message}`);
+        });
+        warnings.forEach(warning => {
+            lines.push(`  ${formatLocation(warning).padEnd(7)} warning  ${warning.message}  ${warning.code}`);
+        });
+    });
+
+    lines.push('');
+    lines.push(
+        `${errorCount > 0 ? '✖' : '✔'} ${errorCount} error${errorCount === 1 ? '' : 's'}, ` +
+            `${warningCount} warning${warningCount === 1 ? '' : 's'}`
+    );
+
+    return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Render results in the chosen format
+ * @method formatReport
+ * @param  {Object[]} results Results from validateFile
+ * @param  {String}   format  Output format
+ * @return {String}           Report
+ */
+function formatReport(results, format) {
+    return format === 'human' ? formatHuman(results) : formatResults(results, format, { basePath: process.cwd() });
+}
+
+/**
+ * Run the command-line interface
+ * @method run
+ * @param  {String[]} argv          Arguments, without node and script path
+ * @param  {Object}   io            Streams to write to
+ * @param  {Object}   io.stdout     Stream for the report
+ * @param  {Object}   io.stderr     Stream for usage errors
+ * @return {Promise}                Resolves to exit code: 0 if valid, 1 on validation errors, 2 on usage errors
+ */
+async function run(argv, { stdout, stderr }) {
+    let options;
+    let templateFactory;
+    let policy;
+
+    try {
+        options = parseArgs(argv);
+
+        if (options.templates) {
+            templateFactory = await createFileTemplateFactory(options.templates);
+        }
+
+        if (options.policy) {
+            policy = validatePolicy(loadYaml(await fs.promises.readFile(options.policy, 'utf-8')));
+        }
+    } catch (err) {
+        stderr.write(`${err.message}\n\n${USAGE}`);
+
+        return 2;
+    }
+
+    if (options.help) {
+        stdout.write(USAGE);
+
+        return 0;
+    }
+
+    if (options.jsonSchema !== undefined) {
+        try {
+            stdout.write(`${JSON.stringify(validator.generateJsonSchema(options.jsonSchema), null, 2)}\n`);
+        } catch (err) {
+            stderr.write(`${err.message}\n`);
+
+            return 2;
+        }
+
+        return 0;
+    }
+
+    const validatorOptions = { templateFactory, policy, lint: options.lint, strict: options.strict };
+
+    if (options.test) {
+        let report;
+
+        try {
+            report = await runTests(options.files, { ...validatorOptions, update: options.update });
+        } catch (err) {
+            stderr.write(`${err.message}\n`);
+
+            return 2;
+        }
+
+        stdout.write(options.format === 'json' ? `${JSON.stringify(report, null, 2)}\n` : formatTestReport(report));
+
+        return report.passed ? 0 : 1;
+    }
+
+    if (options.batch) {
+        let report;
+
+        try {
+            report = await validateBatch(options.files, validatorOptions);
+        } catch (err) {
+            stderr.write(`${err.message}\n`);
+
+            return 2;
+        }
+
+        // The JSON report of a batch also holds the dependency graph
+        stdout.write(
+            options.format === 'json'
+                ? `${JSON.stringify(report, null, 2)}\n`
+                : formatReport(report.results, options.format)
+        );
+
+        return report.valid ? 0 : 1;
+    }
+
+    const results = [];
+
+    // Validate one by one to keep the output in the order given
+    for (let i = 0; i < options.files.length; i += 1) {
+        // eslint-disable-next-line no-await-in-loop
+        results.push(...(await validateFile(options.files[i], validatorOptions)));
+    }
+
+    stdout.write(formatReport(results, options.format));
+
+    return results.some(result => result.errors.length > 0) ? 1 : 0;
+}
+
+module.exports = {
+    parseArgs,
+    run,
+    validateFile
+};
@@ -0,0 +1,94 @@
+'use strict';
+
+const { replacesSteps } = require('./mergeDirectives');
+const { getStepNames, isLocked, stepsToObject } = require('./steps');
+const { WARNING_CODES, createWarning } = require('./warnings');
+
+// preinstall, postinstall
+const HOOK = /^(pre|post)(.+)$/;
+
+/**
+ * Check the steps of a child job against the job of its parent template, before they are merged:
+ * without "order", pre/post hooks for steps the parent does not have are dropped, and teardown
+ * steps with the name of a parent teardown step replace it
+ * @method checkSteps
+ * @param  {Object}   parentJob Job config of the parent template, merged with its own ancestors
+ * @param  {Object}   childJob  Job config of the child
+ * @param  {String}   template  Parent template name@version
+ * @return {Object[]}           Structured warnings, with paths relative to the child job config
+ */
+function checkSteps(parentJob, childJob, template) {
+    const parentSteps = getStepNames(parentJob);
+    const warnings = [];
+    // Hooks are plain steps when the child lists its steps in "order" or replaces the parent's
+    const ordered = Boolean(childJob.order) || replacesSteps(childJob);
+
+    getStepNames(childJob).forEach((stepName, index) => {
+        if (stepName === undefined) {
+            return;
+        }
+
+        const hook = HOOK.exec(stepName);
+        const path = ['steps', index];
+
+        if (!ordered && hook && !parentSteps.includes(stepName) && !parentSteps.includes(hook[2])) {
+            warnings.push(
+                createWarning(
+                    WARNING_CODES.HOOK_TARGET_MISSING,
+                    `Hook ${stepName} is dropped; template ${template} has no step ${hook[2]}`,
+                    { step: stepName, path, template }
+                )
+            );
+        }
+
+        const used = !childJob.order || childJob.order.includes(stepName);
+
+        if (
+            stepName.startsWith('teardown-') &&
+            used &&
+            parentSteps.includes(stepName) &&
+            !isLocked(stepsToObject(parentJob.steps)[stepName])
+        ) {
+            warnings.push(
+                createWarning(
+                    WARNING_CODES.TEARDOWN_SHADOWED,
+                    `Teardown step ${stepName} replaces the one of template ${template}`,
+                    { step: stepName, path, template }
+                )
+            );
+        }
+    });
+
+    return warnings;
+}
+
+/**
+ * Check that an image that looks like a label resolves in the images of the child or its parents
+ * @method checkImageLabel
+ * @param  {String}   image    Image of the child job config
+ * @param  {Object}   images   Images of the child and its parents by label
+ * @param  {String}   template Parent template name@version
+ * @return {Object[]}          Structured warnings, with paths relative to the child job config
+ */
+function checkImageLabel(image, images, template) {
+    const labels = Object.keys(images);
+
+    // Names with a tag, digest or registry are images, not labels
+    if (image === undefined || labels.length === 0 || labels.includes(image) || !/^[\w.-]+$/.test(image)) {
+        return [];
+    }
+
+    return [
+        createWarning(
+            WARNING_CODES.IMAGE_LABEL_UNRESOLVED,
+            `Image ${image} is not a label of template ${template} or this template; ` +
+                `use one of ${labels.join(', ')} or an image with a tag`,
+            { path: ['image'], template }
+        )
+    ];
+}
+
+module.exports = {
+    checkImageLabel,
+    checkSteps
+};
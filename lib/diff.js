@@ -0,0 +1,440 @@
+'use strict';
+
+const Hoek = require('@hapi/hoek');
+const semver = require('semver');
+const { getCommand, isLocked, stepsToObject } = require('./steps');
+
+/**
+ * Kinds of changes between two versions of a job template
+ * @type {Object}
+ */
+const CHANGE_TYPES = {
+    ENVIRONMENT_ADDED: 'ENVIRONMENT_ADDED',
+    ENVIRONMENT_CHANGED: 'ENVIRONMENT_CHANGED',
+    ENVIRONMENT_REMOVED: 'ENVIRONMENT_REMOVED',
+    IMAGE_CHANGED: 'IMAGE_CHANGED',
+    IMAGE_LABEL_ADDED: 'IMAGE_LABEL_ADDED',
+    IMAGE_LABEL_CHANGED: 'IMAGE_LABEL_CHANGED',
+    IMAGE_LABEL_REMOVED: 'IMAGE_LABEL_REMOVED',
+    PARAMETER_ADDED: 'PARAMETER_ADDED',
+    PARAMETER_CHANGED: 'PARAMETER_CHANGED',
+    PARAMETER_REMOVED: 'PARAMETER_REMOVED',
+    SECRET_ADDED: 'SECRET_ADDED',
+    SECRET_REMOVED: 'SECRET_REMOVED',
+    STEP_ADDED: 'STEP_ADDED',
+    STEP_CHANGED: 'STEP_CHANGED',
+    STEP_LOCKED: 'STEP_LOCKED',
+    STEP_REMOVED: 'STEP_REMOVED',
+    STEP_UNLOCKED: 'STEP_UNLOCKED'
+};
+
+const BUMPS = ['none', 'patch', 'minor', 'major'];
+
+/**
+ * Create a change
+ * @method createChange
+ * @param  {String}  type     One of CHANGE_TYPES
+ * @param  {Array}   path     Path to the changed value in the template
+ * @param  {String}  bump     Version bump the change requires: "patch", "minor" or "major"
+ * @param  {String}  message  Human readable message
+ * @param  {Object}  values   Object with the value before and after the change
+ * @return {Object}           Change with type, path, breaking, bump, message, before and after
+ */
+function createChange(type, path, bump, message, { before, after }) {
+    const change = { type, path, breaking: bump === 'major', bump, message };
+
+    if (before !== undefined) {
+        change.before = before;
+    }
+
+    if (after !== undefined) {
+        change.after = after;
+    }
+
+    return change;
+}
+
+/**
+ * Compare the keys of two objects
+ * @method diffKeys
+ * @param  {Object}   before Object before the change
+ * @param  {Object}   after  Object after the change
+ * @return {Object}          Object with added, removed and changed keys
+ */
+function diffKeys(before = {}, after = {}) {
+    return {
+        added: Object.keys(after).filter(key => before[key] === undefined),
+        removed: Object.keys(before).filter(key => after[key] === undefined),
+        changed: Object.keys(after).filter(key => before[key] !== undefined && !Hoek.deepEqual(before[key], after[key]))
+    };
+}
+
+/**
+ * Check whether a value is a plain object, as opposed to an array or null
+ * @method isObject
+ * @param  {*}       value Value
+ * @return {Boolean}
+ */
+function isObject(value) {
+    return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Find the differences between an expected and an actual value, down to the values that differ
+ * @method diffValues
+ * @param  {*}        expected Expected value
+ * @param  {*}        actual   Actual value
+ * @param  {Array}    [path]   Path of the values
+ * @return {Object[]}          Differences with path, expected and actual value; undefined means missing
+ */
+function diffValues(expected, actual, path = []) {
+    if (Hoek.deepEqual(expected, actual)) {
+        return [];
+    }
+
+    if (isObject(expected) && isObject(actual)) {
+        const keys = [...new Set(Object.keys(expected).concat(Object.keys(actual)))];
+
+        return keys.flatMap(key => diffValues(expected[key], actual[key], path.concat(key)));
+    }
+
+    if (Array.isArray(expected) && Array.isArray(actual)) {
+        const length = Math.max(expected.length, actual.length);
+
+        return Array.from({ length }, (_, i) => diffValues(expected[i], actual[i], path.concat(i))).flat();
+    }
+
+    return [{ path, expected, actual }];
+}
+
+/**
+ * Compare the steps of two job configs. Children refer to steps by name in "order" and
+ * override them by name, so removing a step or locking it breaks them.
+ * @method diffSteps
+ * @param  {Object}   before Job config before the change
+ * @param  {Object}   after  Job config after the change
+ * @return {Object[]}        Changes
+ */
+function diffSteps(before, after) {
+    const beforeSteps = stepsToObject(before.steps);
+    const afterSteps = stepsToObject(after.steps);
+    const { added, removed, changed } = diffKeys(beforeSteps, afterSteps);
+    const changes = [];
+
+    removed.forEach(name => {
+        changes.push(
+            createChange(CHANGE_TYPES.STEP_REMOVED, ['config', 'steps', name], 'major', `Step ${name} was removed`, {
+                before: beforeSteps[name]
+            })
+        );
+    });
+
+    changed.forEach(name => {
+        const path = ['config', 'steps', name];
+        const values = { before: beforeSteps[name], after: afterSteps[name] };
+
+        if (!isLocked(values.before) && isLocked(values.after)) {
+            changes.push(createChange(CHANGE_TYPES.STEP_LOCKED, path, 'major', `Step ${name} is now locked`, values));
+        } else if (isLocked(values.before) && !isLocked(values.after)) {
+            changes.push(
+                createChange(CHANGE_TYPES.STEP_UNLOCKED, path, 'minor', `Step ${name} is no longer locked`, values)
+            );
+        }
+
+        if (getCommand(values.before) !== getCommand(values.after)) {
+            changes.push(
+                createChange(CHANGE_TYPES.STEP_CHANGED, path, 'patch', `Step ${name} command changed`, values)
+            );
+        }
+    });
+
+    added.forEach(name => {
+        changes.push(
+            createChange(CHANGE_TYPES.STEP_ADDED, ['config', 'steps', name], 'minor', `Step ${name} was added`, {
+                after: afterSteps[name]
+            })
+        );
+    });
+
+    return changes;
+}
+
+/**
+ * Get the values of a parameter declaration, given as value or { value, description }
+ * @method getParameterValues
+ * @param  {String|Array|Object} declaration Parameter declaration
+ * @return {String[]}                        Values; more than one means the allowed values
+ */
+function getParameterValues(declaration) {
+    const value =
+        declaration && typeof declaration === 'object' && !Array.isArray(declaration) ? declaration.value : declaration;
+
+    return [].concat(value);
+}
+
+/**
+ * Compare the parameters of two job configs. Removing a parameter or one of its allowed
+ * values breaks children that set it.
+ * @method diffParameters
+ * @param  {Object}   before Job config before the change
+ * @param  {Object}   after  Job config after the change
+ * @return {Object[]}        Changes
+ */
+function diffParameters(before, after) {
+    const { added, removed, changed } = diffKeys(before.parameters, after.parameters);
+    const changes = [];
+
+    removed.forEach(name => {
+        changes.push(
+            createChange(
+                CHANGE_TYPES.PARAMETER_REMOVED,
+                ['config', 'parameters', name],
+                'major',
+                `Parameter ${name} was removed`,
+                { before: before.parameters[name] }
+            )
+        );
+    });
+
+    changed.forEach(name => {
+        const beforeValues = getParameterValues(before.parameters[name]);
+        const afterValues = getParameterValues(after.parameters[name]);
+        const dropped = beforeValues.length > 1 ? beforeValues.filter(value => !afterValues.includes(value)) : [];
+        const values = { before: before.parameters[name], after: after.parameters[name] };
+        const [bump, message] =
+            dropped.length > 0
+                ? ['major', `Parameter ${name} no longer allows ${dropped.join(', ')}`]
+                : ['patch', `Parameter ${name} changed`];
+
+        changes.push(
+            createChange(CHANGE_TYPES.PARAMETER_CHANGED, ['config', 'parameters', name], bump, message, values)
+        );
+    });
+
+    added.forEach(name => {
+        changes.push(
+            createChange(
+                CHANGE_TYPES.PARAMETER_ADDED,
+                ['config', 'parameters', name],
+                'minor',
+                `Parameter ${name} was added`,
+                { after: after.parameters[name] }
+            )
+        );
+    });
+
+    return changes;
+}
+
+/**
+ * Compare the environment of two job configs. Children inherit the environment as defaults,
+ * so removing or changing a variable changes how they run.
+ * @method diffEnvironment
+ * @param  {Object}   before Job config before the change
+ * @param  {Object}   after  Job config after the change
+ * @return {Object[]}        Changes
+ */
+function diffEnvironment(before, after) {
+    const { added, removed, changed } = diffKeys(before.environment, after.environment);
+    const path = name => ['config', 'environment', name];
+
+    return [].concat(
+        removed.map(name =>
+            createChange(
+                CHANGE_TYPES.ENVIRONMENT_REMOVED,
+                path(name),
+                'major',
+                `Environment variable ${name} was removed`,
+                {
+                    before: before.environment[name]
+                }
+            )
+        ),
+        changed.map(name =>
+            createChange(
+                CHANGE_TYPES.ENVIRONMENT_CHANGED,
+                path(name),
+                'major',
+                `Environment variable ${name} default changed`,
+                { before: before.environment[name], after: after.environment[name] }
+            )
+        ),
+        added.map(name =>
+            createChange(
+                CHANGE_TYPES.ENVIRONMENT_ADDED,
+                path(name),
+                'minor',
+                `Environment variable ${name} was added`,
+                {
+                    after: after.environment[name]
+                }
+            )
+        )
+    );
+}
+
+/**
+ * Compare the secrets of two job configs. A new secret must be provided by every pipeline
+ * using the template.
+ * @method diffSecrets
+ * @param  {Object}   before Job config before the change
+ * @param  {Object}   after  Job config after the change
+ * @return {Object[]}        Changes
+ */
+function diffSecrets(before, after) {
+    const beforeSecrets = before.secrets || [];
+    const afterSecrets = after.secrets || [];
+
+    return [].concat(
+        afterSecrets
+            .filter(name => !beforeSecrets.includes(name))
+            .map(name =>
+                createChange(
+                    CHANGE_TYPES.SECRET_ADDED,
+                    ['config', 'secrets'],
+                    'major',
+                    `Secret ${name} is now required`,
+                    {
+                        after: name
+                    }
+                )
+            ),
+        beforeSecrets
+            .filter(name => !afterSecrets.includes(name))
+            .map(name =>
+                createChange(
+                    CHANGE_TYPES.SECRET_REMOVED,
+                    ['config', 'secrets'],
+                    'patch',
+                    `Secret ${name} is no longer used`,
+                    {
+                        before: name
+                    }
+                )
+            )
+    );
+}
+
+/**
+ * Compare the image and image labels of two templates. Children refer to labels by name.
+ * @method diffImages
+ * @param  {Object}   before Template before the change
+ * @param  {Object}   after  Template after the change
+ * @return {Object[]}        Changes
+ */
+function diffImages(before, after) {
+    const { added, removed, changed } = diffKeys(before.images, after.images);
+    const path = label => ['images', label];
+    const changes = [].concat(
+        removed.map(label =>
+            createChange(CHANGE_TYPES.IMAGE_LABEL_REMOVED, path(label), 'major', `Image label ${label} was removed`, {
+                before: before.images[label]
+            })
+        ),
+        changed.map(label =>
+            createChange(CHANGE_TYPES.IMAGE_LABEL_CHANGED, path(label), 'patch', `Image label ${label} changed`, {
+                before: before.images[label],
+                after: after.images[label]
+            })
+        ),
+        added.map(label =>
+            createChange(CHANGE_TYPES.IMAGE_LABEL_ADDED, path(label), 'minor', `Image label ${label} was added`, {
+                after: after.images[label]
+            })
+        )
+    );
+
+    if (before.config.image !== after.config.image) {
+        changes.push(
+            createChange(CHANGE_TYPES.IMAGE_CHANGED, ['config', 'image'], 'patch', 'Image changed', {
+                before: before.config.image,
+                after: after.config.image
+            })
+        );
+    }
+
+    return changes;
+}
+
+/**
+ * Find the version bump a declared version change is
+ * @method getVersionBump
+ * @param  {String} before Version before the change
+ * @param  {String} after  Version after the change
+ * @return {String}        "major", "minor", "patch" or "none"; undefined if the version went backwards
+ */
+function getVersionBump(before, after) {
+    const beforeVersion = semver.coerce(String(before));
+    const afterVersion = semver.coerce(String(after));
+
+    if (!beforeVersion || !afterVersion || semver.lt(afterVersion, beforeVersion)) {
+        return undefined;
+    }
+
+    return semver.eq(afterVersion, beforeVersion) ? 'none' : semver.diff(beforeVersion, afterVersion);
+}
+
+/**
+ * Compare two versions of a job template and classify the changes by the version bump
+ * they require for child templates: breaking changes require a major version
+ * @method compareTemplates
+ * @param  {Object}   before                Template before the change
+ * @param  {Object}   after                 Template after the change
+ * @param  {Object}   [options]
+ * @param  {Boolean}  [options.checkVersion] Report an error if the declared version bump is too small
+ * @return {Object}                         Object with:
+ *                                          - changes with type, path, breaking, bump, message, before and after
+ *                                          - breaking, whether any change is breaking
+ *                                          - recommendedBump: "major", "minor", "patch" or "none"
+ *                                          - versionBump, the declared version bump
+ *                                          - errors, with a version error if requested
+ */
+function compareTemplates(before, after, options = {}) {
+    const beforeTemplate = { images: {}, ...before, config: before.config || {} };
+    const afterTemplate = { images: {}, ...after, config: after.config || {} };
+    const changes = [].concat(
+        diffSteps(beforeTemplate.config, afterTemplate.config),
+        diffParameters(beforeTemplate.config, afterTemplate.config),
+        diffEnvironment(beforeTemplate.config, afterTemplate.config),
+        diffSecrets(beforeTemplate.config, afterTemplate.config),
+        diffImages(beforeTemplate, afterTemplate)
+    );
+    const recommendedBump = changes.reduce(
+        (bump, change) => (BUMPS.indexOf(change.bump) > BUMPS.indexOf(bump) ? change.bump : bump),
+        'none'
+    );
+    const versionBump = getVersionBump(beforeTemplate.version, afterTemplate.version);
+    const errors = [];
+
+    if (options.checkVersion) {
+        if (versionBump === undefined) {
+            errors.push({
+                message: `Version ${afterTemplate.version} must not be lower than ${beforeTemplate.version}`,
+                path: ['version']
+            });
+        } else if (BUMPS.indexOf(versionBump) < BUMPS.indexOf(recommendedBump)) {
+            const declared =
+                versionBump === 'none' ? 'is unchanged' : `is a ${versionBump} bump from ${beforeTemplate.version}`;
+
+            errors.push({
+                message: `Version ${afterTemplate.version} ${declared}, but the changes require a ${recommendedBump} bump`,
+                path: ['version']
+            });
+        }
+    }
+
+    return {
+        changes,
+        breaking: changes.some(change => change.breaking),
+        recommendedBump,
+        versionBump,
+        errors
+    };
+}
+
+module.exports = {
+    CHANGE_TYPES,
+    compareTemplates,
+    diffValues,
+    getVersionBump
+};
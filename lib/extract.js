@@ -0,0 +1,281 @@
+'use strict';
+
+const Hoek = require('@hapi/hoek');
+const { diffValues } = require('./diff');
+const { getFullName, merge } = require('./helper');
+const { KEYED_FIELDS, LIST_FIELDS } = require('./provenance');
+const { getCommand, normalizeStep, stepsToObject } = require('./steps');
+const { WARNING_CODES, createWarning } = require('./warnings');
+
+// Fields a child template replaces as a whole when it sets them
+const REPLACED_FIELDS = ['image', 'requires', 'blockedBy', 'freezeWindows', 'cache'];
+const LIST_REPLACED_FIELDS = ['requires', 'blockedBy', 'freezeWindows'];
+// Fields that do not describe the job itself, but how it was flattened
+const IGNORED_FIELDS = ['merge', 'order', 'template', 'templateId'];
+const INJECTED_PREFIX = 'SD_TEMPLATE_';
+
+/**
+ * Flatten a child job config with a parent template the way a build would, but without injecting
+ * template environment variables
+ * @method flattenChild
+ * @param  {Object} parent Flattened parent template object with config and images
+ * @param  {Object} child  Child job config
+ * @return {Object}        Flattened job config
+ */
+function flattenChild(parent, child) {
+    const job = Hoek.clone(parent.config || {});
+    const images = parent.images || {};
+
+    merge(job, Hoek.clone(child), true);
+
+    if (images[job.image] !== undefined) {
+        job.image = images[job.image];
+    }
+
+    return job;
+}
+
+/**
+ * Normalize a job config, so configs that flatten to the same job compare equal
+ * @method normalizeJob
+ * @param  {Object} job Job config
+ * @return {Object}     Job config with defaults, lists and compressed steps, without injected
+ *                      environment variables and fields about flattening
+ */
+function normalizeJob(job) {
+    const normalized = {};
+
+    Object.keys(job)
+        .filter(field => !IGNORED_FIELDS.includes(field) && job[field] !== undefined)
+        .forEach(field => {
+            normalized[field] = Hoek.clone(job[field]);
+        });
+
+    KEYED_FIELDS.forEach(field => {
+        normalized[field] = normalized[field] || {};
+    });
+    LIST_FIELDS.concat(LIST_REPLACED_FIELDS)
+        .filter(field => normalized[field] !== undefined || LIST_FIELDS.includes(field))
+        .forEach(field => {
+            normalized[field] = [].concat(normalized[field] || []);
+        });
+    Object.keys(normalized.environment)
+        .filter(key => key.startsWith(INJECTED_PREFIX))
+        .forEach(key => {
+            delete normalized.environment[key];
+        });
+    normalized.steps = (normalized.steps || []).map(step => {
+        const name = Object.keys(step)[0];
+
+        return { [name]: normalizeStep(step[name]) };
+    });
+
+    return normalized;
+}
+
+/**
+ * Find the values of keyed fields (e.g. environment) a child has to set, and the parent values it
+ * has to remove with merge directives
+ * @method extractKeyedFields
+ * @param  {Object}   job        Normalized job config
+ * @param  {Object}   parentJob  Normalized job config of the parent
+ * @param  {Object}   child      Child job config to add the fields to
+ * @param  {Object}   directives Merge directives to add removals to
+ */
+function extractKeyedFields(job, parentJob, child, directives) {
+    KEYED_FIELDS.forEach(field => {
+        const changed = Object.keys(job[field]).filter(key => !Hoek.deepEqual(job[field][key], parentJob[field][key]));
+
+        if (changed.length > 0) {
+            child[field] = changed.reduce((obj, key) => ({ ...obj, [key]: job[field][key] }), {});
+        }
+
+        const removed = Object.keys(parentJob[field]).filter(key => !(key in job[field]));
+
+        if (removed.length > 0) {
+            directives[field] = { remove: removed };
+        }
+    });
+}
+
+/**
+ * Find the items of list fields (e.g. secrets) a child has to add, and the parent items it has to
+ * remove with merge directives
+ * @method extractListFields
+ * @param  {Object}   job        Normalized job config
+ * @param  {Object}   parentJob  Normalized job config of the parent
+ * @param  {Object}   child      Child job config to add the fields to
+ * @param  {Object}   directives Merge directives to add removals to
+ */
+function extractListFields(job, parentJob, child, directives) {
+    LIST_FIELDS.forEach(field => {
+        const added = job[field].filter(item => !parentJob[field].includes(item));
+
+        if (added.length > 0) {
+            child[field] = added;
+        }
+
+        const removed = parentJob[field].filter(item => !job[field].includes(item));
+
+        if (removed.length > 0) {
+            directives[field] = { remove: removed };
+        }
+    });
+}
+
+/**
+ * Find the fields a child has to replace (e.g. image), and report parent values the job does not
+ * have, since children cannot unset them
+ * @method extractReplacedFields
+ * @param  {Object}   job       Normalized job config
+ * @param  {Object}   parentJob Normalized job config of the parent
+ * @param  {Object}   child     Child job config to add the fields to
+ * @param  {String}   reference Parent template reference
+ * @return {Object[]}           Structured warnings
+ */
+function extractReplacedFields(job, parentJob, child, reference) {
+    return REPLACED_FIELDS.flatMap(field => {
+        if (job[field] === undefined) {
+            return parentJob[field] === undefined
+                ? []
+                : createWarning(
+                      WARNING_CODES.EXTRACT_NOT_EXPRESSIBLE,
+                      `Cannot unset ${field} of template ${reference}`,
+                      { path: [field], template: reference }
+                  );
+        }
+
+        if (!Hoek.deepEqual(job[field], parentJob[field])) {
+            child[field] = job[field];
+        }
+
+        return [];
+    });
+}
+
+/**
+ * Find the steps a child has to define, with pre/post hooks around the parent steps if possible,
+ * otherwise with an order, and report changes to locked parent steps
+ * @method extractSteps
+ * @param  {Object}   job       Normalized job config; steps with the command of a locked parent step
+ *                              are set to the parent step
+ * @param  {Object}   parent    Flattened parent template object
+ * @param  {Object}   child     Child job config to add the steps and order to
+ * @param  {String}   reference Parent template reference
+ * @return {Object[]}           Structured warnings
+ */
+function extractSteps(job, parent, child, reference) {
+    const parentSteps = stepsToObject(parent.config.steps);
+    const names = job.steps.map(step => Object.keys(step)[0]);
+    const locked = Object.keys(parentSteps).filter(name => Hoek.reach(parentSteps[name], 'locked'));
+    const warnings = [];
+
+    locked.forEach(name => {
+        const index = names.indexOf(name);
+
+        if (index < 0) {
+            warnings.push(
+                createWarning(
+                    WARNING_CODES.EXTRACT_NOT_EXPRESSIBLE,
+                    `Cannot remove locked step ${name} of template ${reference}`,
+                    { step: name, path: ['steps'], template: reference }
+                )
+            );
+        } else if (getCommand(job.steps[index][name]) === getCommand(parentSteps[name])) {
+            // Flattening uses the locked step of the parent, which only differs in keys like "locked"
+            job.steps[index] = { [name]: parentSteps[name] };
+        } else {
+            warnings.push(
+                createWarning(
+                    WARNING_CODES.EXTRACT_NOT_EXPRESSIBLE,
+                    `Cannot change locked step ${name} of template ${reference}`,
+                    { step: name, path: ['steps', index], template: reference }
+                )
+            );
+        }
+    });
+
+    // Locked steps always come from the parent, so the child does not define them
+    const changed = job.steps.filter(step => {
+        const name = Object.keys(step)[0];
+
+        return !locked.includes(name) && !Hoek.deepEqual(step[name], parentSteps[name]);
+    });
+    const order = names.concat(locked.filter(name => !names.includes(name)));
+    const candidates = [
+        changed.length > 0 ? { steps: changed } : {},
+        changed.length > 0 ? { order, steps: changed } : { order }
+    ];
+    const matches = candidates.find(candidate => {
+        try {
+            return Hoek.deepEqual(normalizeJob(flattenChild(parent, candidate)).steps, job.steps);
+        } catch (err) {
+            return false;
+        }
+    });
+
+    Object.assign(child, matches || candidates[1]);
+
+    return warnings;
+}
+
+/**
+ * Extract the minimal child template of a job config: the config that, with a "template" reference
+ * to the parent, flattens back to the job. Parent values the job does not have are removed with
+ * merge directives. Differences a child template cannot express, such as changed locked steps,
+ * are reported as warnings; the config is as close to the job as possible then.
+ * @method extractTemplate
+ * @param  {Object}   job                   Job config, e.g. copied from a screwdriver.yaml
+ * @param  {Object}   parent                Flattened parent template object with name, namespace, version,
+ *                                          config and images
+ * @param  {Object}   [options]
+ * @param  {String}   [options.reference]   Template reference to use, defaults to the parent's name@version
+ * @return {Object}                         Object with config of the child and structured warnings
+ */
+function extractTemplate(job, parent, options = {}) {
+    const reference = options.reference || `${getFullName(parent)}@${parent.version}`;
+    const normalized = normalizeJob(job);
+    const parentJob = normalizeJob(flattenChild(parent, {}));
+    const child = { template: reference };
+    const directives = {};
+    const warnings = extractReplacedFields(normalized, parentJob, child, reference);
+
+    extractKeyedFields(normalized, parentJob, child, directives);
+    extractListFields(normalized, parentJob, child, directives);
+
+    if (Object.keys(directives).length > 0) {
+        child.merge = directives;
+    }
+
+    warnings.push(...extractSteps(normalized, parent, child, reference));
+
+    // Report what still differs after flattening, e.g. fields child templates cannot set at all
+    let flattened;
+
+    try {
+        flattened = normalizeJob(flattenChild(parent, child));
+    } catch (err) {
+        flattened = parentJob;
+    }
+
+    const reported = warnings.map(warning => warning.path[0]);
+
+    diffValues(normalized, flattened).forEach(({ path }) => {
+        if (!reported.includes(path[0])) {
+            reported.push(path[0]);
+            warnings.push(
+                createWarning(
+                    WARNING_CODES.EXTRACT_NOT_EXPRESSIBLE,
+                    `Cannot express ${path[0]} with a child template of ${reference}`,
+                    { path: [path[0]], template: reference }
+                )
+            );
+        }
+    });
+
+    return { config: child, warnings };
+}
+
+module.exports = {
+    extractTemplate
+};
@@ -0,0 +1,179 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const Hoek = require('@hapi/hoek');
+const Regex = require('screwdriver-data-schema').config.regex;
+const semver = require('semver');
+const { getFullName } = require('./helper');
+const { parseTemplateReference, satisfiesVersion } = require('./templateReference');
+const { loadDocuments } = require('./yamlLoader');
+
+const TEMPLATE_FILE_EXTENSIONS = ['.yaml', '.yml', '.json'];
+const LATEST_TAG = 'latest';
+
+/**
+ * Read template definitions from a directory of template files or a single fixture file
+ * @method readTemplates
+ * @param  {String}  location Path to a directory or a YAML/JSON file
+ * @return {Promise}          Resolves to array of template objects
+ */
+async function readTemplates(location) {
+    const stat = await fs.promises.stat(location);
+    let files = [location];
+
+    if (stat.isDirectory()) {
+        const entries = await fs.promises.readdir(location);
+
+        files = entries
+            .filter(entry => TEMPLATE_FILE_EXTENSIONS.includes(path.extname(entry)))
+            .sort()
+            .map(entry => path.join(location, entry));
+    }
+
+    const contents = await Promise.all(files.map(file => fs.promises.readFile(file, 'utf-8')));
+
+    // A fixture file can hold a single template, an array of them or several YAML documents.
+    // Fixtures are local files, so they may be larger than templates sent for validation.
+    return contents.reduce(
+        (templates, content) =>
+            templates.concat(...loadDocuments(content, { maxSize: Infinity }).map(({ template }) => template || [])),
+        []
+    );
+}
+
+/**
+ * Get the semver of a template version, as versions like "1.2" are not full semver
+ * @method coerceVersion
+ * @param  {String} version Template version
+ * @return {SemVer}         Version, 0.0.0 if it has no version number
+ */
+function coerceVersion(version) {
+    return semver.coerce(String(version), { includePrerelease: true }) || semver.parse('0.0.0');
+}
+
+/**
+ * Convert a template definition, as authored or as returned by the API, into the API shape.
+ * Templates authored as "namespace/name" get split into namespace and name,
+ * and templates without an id get one based on their load order.
+ * @method normalizeTemplate
+ * @param  {Object} definition Template definition
+ * @param  {Number} index      Position of the definition in load order
+ * @return {Object}            Template with id, namespace, name, version, labels and config
+ */
+function normalizeTemplate(definition, index) {
+    const template = Hoek.clone(definition);
+    const [, namespace, name] = Regex.TEMPLATE_NAME_ALLOW_SLASH.exec(template.name) || [];
+
+    if (!template.namespace) {
+        template.namespace = namespace || 'default';
+        template.name = name || template.name;
+    }
+
+    template.id = template.id || index + 1;
+    template.version = String(template.version);
+    template.labels = template.labels || [];
+    delete template.tags;
+
+    return template;
+}
+
+/**
+ * Create a template factory which resolves templates from the given definitions instead of the
+ * Screwdriver API. Definitions are in the sd-template.yaml format or as returned by the API.
+ * An optional "tags" list on a definition tags that version; "latest" defaults to the highest version.
+ * @method createTemplateFactory
+ * @param  {Object[]} definitions Template definitions
+ * @return {Object}               Factory with getTemplate, listVersions and getFullNameAndVersion
+ */
+function createTemplateFactory(definitions) {
+    const templates = definitions.map(normalizeTemplate);
+    const tags = {};
+
+    definitions.forEach((definition, i) => {
+        [].concat(definition.tags || []).forEach(tag => {
+            tags[`${getFullName(templates[i])}@${tag}`] = templates[i].version;
+        });
+    });
+
+    const factory = {
+        /**
+         * Split a full template name into name and version or tag
+         * @method getFullNameAndVersion
+         * @param  {String} fullTemplateName Template name with optional version or tag, e.g. "ns/name@1.2"
+         * @return {Object}                  Object with templateName, versionOrTag, isExactVersion, isVersion, isTag
+         */
+        getFullNameAndVersion(fullTemplateName) {
+            const [, templateName, versionOrTag] = Regex.FULL_TEMPLATE_NAME.exec(fullTemplateName) || [];
+            const hasVersionOrTag = versionOrTag !== undefined;
+
+            return {
+                templateName: templateName || fullTemplateName,
+                versionOrTag,
+                isExactVersion: hasVersionOrTag && Regex.EXACT_VERSION.test(versionOrTag),
+                isVersion: hasVersionOrTag && Regex.VERSION.test(versionOrTag),
+                isTag: hasVersionOrTag && Regex.TEMPLATE_TAG_NAME.test(versionOrTag)
+            };
+        },
+
+        /**
+         * List the published versions of a template
+         * @method listVersions
+         * @param  {String}  templateName Template name including namespace, e.g. "ns/name"
+         * @return {Promise}              Resolves to array of versions
+         */
+        async listVersions(templateName) {
+            return templates.filter(t => getFullName(t) === templateName).map(t => t.version);
+        },
+
+        /**
+         * Get the template for a name with an exact version, version range (e.g. "@1" or "@^1.2")
+         * or tag (e.g. "@stable"). Without a version, the latest version is used.
+         * @method getTemplate
+         * @param  {String}  fullTemplateName Template name with optional version or tag
+         * @return {Promise}                  Resolves to a copy of the template, or null if not found
+         */
+        async getTemplate(fullTemplateName) {
+            const parsed = parseTemplateReference(fullTemplateName);
+
+            if (!parsed) {
+                return null;
+            }
+
+            let version = parsed.exactVersion || parsed.range;
+
+            if (parsed.tag) {
+                version = tags[`${parsed.fullName}@${parsed.tag}`];
+
+                if (version === undefined && parsed.tag !== LATEST_TAG) {
+                    return null;
+                }
+            }
+
+            const [template] = templates
+                .filter(t => getFullName(t) === parsed.fullName && satisfiesVersion(t.version, version))
+                .sort((a, b) => semver.rcompare(coerceVersion(a.version), coerceVersion(b.version)));
+
+            // Merging mutates the template, so never hand out the loaded one
+            return template ? Hoek.clone(template) : null;
+        }
+    };
+
+    return factory;
+}
+
+/**
+ * Create a template factory which resolves templates from local files instead of the Screwdriver API.
+ * Each file holds a template (or an array of templates), see createTemplateFactory.
+ * @method createFileTemplateFactory
+ * @param  {String}  location Path to a directory of template files, or a JSON/YAML fixture file
+ * @return {Promise}          Resolves to a factory with getTemplate, listVersions and getFullNameAndVersion
+ */
+async function createFileTemplateFactory(location) {
+    return createTemplateFactory(await readTemplates(location));
+}
+
+module.exports = {
+    createFileTemplateFactory,
+    createTemplateFactory
+};
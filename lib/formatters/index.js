@@ -0,0 +1,91 @@
+'use strict';
+
+const { SEVERITIES } = require('../warnings');
+const json = require('./json');
+const junit = require('./junit');
+const sarif = require('./sarif');
+
+const FORMATTERS = [json, junit, sarif];
+
+// Codes for errors and warnings that come without one, e.g. plain warning messages
+const DEFAULT_CODES = {
+    [SEVERITIES.ERROR]: 'TEMPLATE_INVALID',
+    [SEVERITIES.WARNING]: 'TEMPLATE_WARNING'
+};
+
+/**
+ * Convert an error or warning into the shape every formatter works with
+ * @method normalizeIssue
+ * @param  {Object|String} item     Error, structured warning or warning message
+ * @param  {String}        severity "error" or "warning"
+ * @return {Object}                 Issue with severity, code, message and, when known, rule, path,
+ *                                  line, column and snippet
+ */
+function normalizeIssue(item, severity) {
+    const { code, type, rule, message, path, line, column, snippet } =
+        typeof item === 'string' ? { message: item } : item;
+    const issue = { severity, code: code || type || DEFAULT_CODES[severity], message: String(message) };
+
+    Object.entries({ rule, path, line, column, snippet }).forEach(([key, value]) => {
+        if (value !== undefined) {
+            issue[key] = value;
+        }
+    });
+
+    return issue;
+}
+
+/**
+ * Convert validation results into the shape every formatter works with
+ * @method normalizeResults
+ * @param  {Object|Object[]} results Result of validate, parseJobTemplate or validatePipelineTemplate,
+ *                                   or array of them, each optionally with the file it is for and,
+ *                                   for a multi-document file, the document (file is then file#document)
+ * @return {Object[]}                Results with file, kind, valid, errors, warnings and document if given
+ */
+function normalizeResults(results) {
+    return [].concat(results).map(result => {
+        const errors = (result.errors || []).map(error => normalizeIssue(error, SEVERITIES.ERROR));
+        // Results from before structured warnings only have the messages
+        const warnings = result.warnings && result.warnings.length > 0 ? result.warnings : result.warnMessages || [];
+
+        const normalized = {
+            file: result.file,
+            kind: result.kind,
+            valid: errors.length === 0,
+            errors,
+            warnings: warnings.map(warning => normalizeIssue(warning, SEVERITIES.WARNING))
+        };
+
+        if (result.document !== undefined) {
+            normalized.document = result.document;
+        }
+
+        return normalized;
+    });
+}
+
+/**
+ * Render validation results in a format for CI dashboards and code scanning tools
+ * @method formatResults
+ * @param  {Object|Object[]} results             Results as accepted by normalizeResults
+ * @param  {String}          format              Name of the formatter: "json", "junit" or "sarif"
+ * @param  {Object}          [options]
+ * @param  {String}          [options.basePath]  Directory file paths are made relative to, where the format needs it
+ * @return {String}                              Report
+ */
+function formatResults(results, format, options = {}) {
+    const formatter = FORMATTERS.find(({ name }) => name === format);
+
+    if (!formatter) {
+        throw new Error(`Unknown format ${format}; use one of: ${FORMATTERS.map(({ name }) => name).join(', ')}`);
+    }
+
+    return formatter.format(normalizeResults(results), options);
+}
+
+module.exports = {
+    FORMATTERS,
+    formatResults,
+    normalizeResults
+};
@@ -0,0 +1,29 @@
+'use strict';
+
+// Bumped on every change that is not backwards compatible for consumers of the report
+const SCHEMA_VERSION = '1.0';
+
+module.exports = {
+    name: 'json',
+    description: 'JSON report with a versioned schema',
+    format(results) {
+        const invalid = results.filter(result => !result.valid).length;
+
+        return `${JSON.stringify(
+            {
+                schemaVersion: SCHEMA_VERSION,
+                valid: invalid === 0,
+                summary: {
+                    files: results.length,
+                    valid: results.length - invalid,
+                    invalid,
+                    errors: results.reduce((count, result) => count + result.errors.length, 0),
+                    warnings: results.reduce((count, result) => count + result.warnings.length, 0)
+                },
+                results
+            },
+            null,
+            2
+        )}\n`;
+    }
+};
@@ -0,0 +1,69 @@
+'use strict';
+
+const XML_ENTITIES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&apos;' };
+
+/**
+ * Escape text for use in XML content and attributes
+ * @method escape
+ * @param  {String} text Text
+ * @return {String}      Escaped text
+ */
+function escape(text) {
+    return String(text).replace(/[&<>"']/g, char => XML_ENTITIES[char]);
+}
+
+/**
+ * Render an error or warning as a test case: errors fail, warnings are skipped
+ * @method formatTestCase
+ * @param  {String} file  File name used as class name
+ * @param  {Object} issue Normalized error or warning
+ * @return {String}       XML
+ */
+function formatTestCase(file, issue) {
+    const location = issue.line ? `${issue.line}:${issue.column}` : '';
+    const name = `${issue.rule || issue.code}${location ? ` (${location})` : ''}`;
+    const details = [issue.message, location && `at ${file}:${location}`, issue.snippet].filter(Boolean).join('\n');
+    const outcome =
+        issue.severity === 'error'
+            ? `<failure type="${escape(issue.code)}" message="${escape(issue.message)}">${escape(details)}</failure>`
+            : `<skipped message="${escape(issue.message)}"/>`;
+
+    return `    <testcase classname="${escape(file)}" name="${escape(name)}">${outcome}</testcase>`;
+}
+
+module.exports = {
+    name: 'junit',
+    description: 'JUnit XML with a test suite per file; errors fail and warnings are skipped',
+    format(results) {
+        const count = key => results.reduce((total, result) => total + result[key].length, 0);
+        const tests = results.reduce(
+            (total, result) => total + Math.max(result.errors.length + result.warnings.length, 1),
+            0
+        );
+        const lines = [
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            `<testsuites name="sd-template-validate" tests="${tests}" failures="${count('errors')}" ` +
+                `skipped="${count('warnings')}">`
+        ];
+
+        results.forEach(({ file = 'template', errors, warnings }) => {
+            const issues = errors.concat(warnings);
+
+            lines.push(
+                `  <testsuite name="${escape(file)}" tests="${Math.max(issues.length, 1)}" ` +
+                    `failures="${errors.length}" skipped="${warnings.length}">`
+            );
+
+            if (issues.length === 0) {
+                lines.push(`    <testcase classname="${escape(file)}" name="valid"/>`);
+            }
+
+            issues.forEach(issue => lines.push(formatTestCase(file, issue)));
+            lines.push('  </testsuite>');
+        });
+
+        lines.push('</testsuites>');
+
+        return `${lines.join('\n')}\n`;
+    }
+};
@@ -0,0 +1,110 @@
+'use strict';
+
+const path = require('path');
+const { homepage, name, version } = require('../../package.json');
+
+/**
+ * Get the SARIF rule id of an error or warning, e.g. "any.required" or "LINT/image-tag"
+ * @method getRuleId
+ * @param  {Object} issue Normalized error or warning
+ * @return {String}       Rule id
+ */
+function getRuleId(issue) {
+    return issue.rule ? `${issue.code}/${issue.rule}` : issue.code;
+}
+
+/**
+ * Get the URI of a file, relative to the base path when given, with forward slashes
+ * @method getUri
+ * @param  {String} file       File path
+ * @param  {String} [basePath] Directory to make the path relative to
+ * @return {String}            URI
+ */
+function getUri(file, basePath) {
+    const relative = basePath && path.isAbsolute(file) ? path.relative(basePath, file) : file;
+
+    return relative.split(path.sep).join('/');
+}
+
+/**
+ * Get the path of the file of a result. Results for the documents of a multi-document file are
+ * named file#1, file#2, ..., which is not a file SARIF consumers can open.
+ * @method getFilePath
+ * @param  {Object} result Normalized result with file and, for a multi-document file, document
+ * @return {String}        File path
+ */
+function getFilePath({ file, document }) {
+    const suffix = `#${document}`;
+
+    return document !== undefined && file.endsWith(suffix) ? file.slice(0, -suffix.length) : file;
+}
+
+/**
+ * Render an error or warning as a SARIF result
+ * @method formatResult
+ * @param  {Object} fileResult Normalized result the issue belongs to, with file and document if known
+ * @param  {Object} issue      Normalized error or warning
+ * @param  {String} [basePath] Directory to make file paths relative to
+ * @return {Object}            SARIF result
+ */
+function formatResult(fileResult, issue, basePath) {
+    const result = { ruleId: getRuleId(issue), level: issue.severity, message: { text: issue.message } };
+
+    if (fileResult.file) {
+        const physicalLocation = { artifactLocation: { uri: getUri(getFilePath(fileResult), basePath) } };
+
+        if (issue.line) {
+            physicalLocation.region = { startLine: issue.line, startColumn: issue.column };
+
+            if (issue.snippet) {
+                physicalLocation.region.snippet = { text: issue.snippet };
+            }
+        }
+
+        result.locations = [{ physicalLocation }];
+    }
+
+    if (fileResult.document !== undefined) {
+        result.properties = { document: fileResult.document };
+    }
+
+    return result;
+}
+
+module.exports = {
+    name: 'sarif',
+    description: 'SARIF 2.1.0 log for code scanning',
+    format(results, { basePath } = {}) {
+        const sarifResults = [];
+
+        results.forEach(result => {
+            result.errors
+                .concat(result.warnings)
+                .forEach(issue => sarifResults.push(formatResult(result, issue, basePath)));
+        });
+
+        const ruleIds = Array.from(new Set(sarifResults.map(result => result.ruleId))).sort();
+
+        return `${JSON.stringify(
+            {
+                $schema: 'https://json.schemastore.org/sarif-2.1.0.json',
+                version: '2.1.0',
+                runs: [
+                    {
+                        tool: {
+                            driver: {
+                                name,
+                                version,
+                                informationUri: homepage,
+                                rules: ruleIds.map(id => ({ id }))
+                            }
+                        },
+                        results: sarifResults
+                    }
+                ]
+            },
+            null,
+            2
+        )}\n`;
+    }
+};
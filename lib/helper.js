@@ -1,6 +1,21 @@
 'use strict';
 
 const Hoek = require('@hapi/hoek');
+const { checkImageLabel, checkSteps } = require('./compatibility');
+const {
+    checkLockedSteps,
+    checkStepTargets,
+    getDirectives,
+    getStepsDirective,
+    mergeWithDirectives,
+    overrideCommands
+} = require('./mergeDirectives');
+const { LOCAL_SOURCE } = require('./provenance');
+const { getStepNames } = require('./steps');
+const { getTemplateByReference } = require('./templateReference');
+const { WARNING_CODES, createWarning } = require('./warnings');
+
+const MAX_TEMPLATE_DEPTH = 10;
 
 /**
  * Convert job steps from array to object for faster lookup
@@ -34,26 +49,60 @@ function convertFromArrayToObject(steps) {
 
     return { stepObj, lockedStepNames };
 }
+
 /**
- * Merge oldJob into newJob
- * "oldJob" takes precedence over "newJob". For ex: child template job settings > parent template job settings
- * @param  {Object}   newJob        Job to be merged into. For ex: parent template
- * @param  {Object}   oldJob        Job to merge. For ex: child template
- * @param  {Boolean}  fromTemplate  Whether this is merged from template. If true, perform extra actions such as wrapping.
+ * Find the index of a named step in a job step array
+ * @method findStepIndex
+ * @param  {Array}  steps    Job step array of objects
+ * @param  {String} stepName Step name to look for
+ * @return {Number}          Index of the step, or -1 if not found
  */
-function merge(newJob, oldJob, fromTemplate) {
-    let warnings = [];
+function findStepIndex(steps, stepName) {
+    return (steps || []).findIndex(item => Object.keys(item)[0] === stepName);
+}
 
-    // Intialize new job with default fields (environment, settings, and secrets)
-    newJob.annotations = newJob.annotations || {};
-    newJob.environment = newJob.environment || {};
-    newJob.settings = newJob.settings || {};
+/**
+ * Add the steps a child inserts before or after a template step
+ * @method insertSteps
+ * @param  {Array}    mergedSteps Merged job step array of objects to add the steps to
+ * @param  {Object}   oldSteps    Child step definitions by name
+ * @param  {String[]} [stepNames] Names of the steps to insert
+ */
+function insertSteps(mergedSteps, oldSteps, stepNames) {
+    (stepNames || [])
+        .filter(name => oldSteps[name] !== undefined)
+        .forEach(name => mergedSteps.push({ [name]: oldSteps[name] }));
+}
 
-    // Merge
+/**
+ * Create warning for a child step that tries to override a locked template step
+ * @method lockedStepWarning
+ * @param  {Object} oldJob   Child job config
+ * @param  {String} stepName Locked step name
+ * @return {Object}          Structured warning
+ */
+function lockedStepWarning(oldJob, stepName) {
+    return createWarning(
+        WARNING_CODES.LOCKED_STEP_OVERRIDE,
+        `Cannot override locked step ${stepName}; using step definition from template ${oldJob.template}`,
+        {
+            step: stepName,
+            path: ['steps', findStepIndex(oldJob.steps, stepName)],
+            template: oldJob.template
+        }
+    );
+}
+
+/**
+ * Merge the fields of oldJob into newJob, except for steps, without merge directives
+ * @method mergeFields
+ * @param  {Object}   newJob        Job to be merged into. For ex: parent template
+ * @param  {Object}   oldJob        Job to merge. For ex: child template
+ */
+function mergeFields(newJob, oldJob) {
     Object.assign(newJob.annotations, oldJob.annotations || {});
     Object.assign(newJob.environment, oldJob.environment || {});
     Object.assign(newJob.settings, oldJob.settings || {});
-    newJob.image = oldJob.image || newJob.image;
 
     if (oldJob.requires) {
         newJob.requires = [].concat(oldJob.requires);
@@ -67,10 +116,6 @@ function merge(newJob, oldJob, fromTemplate) {
         newJob.freezeWindows = [].concat(oldJob.freezeWindows);
     }
 
-    if (oldJob.cache || oldJob.cache === false) {
-        newJob.cache = oldJob.cache;
-    }
-
     // Merge secrets
     const newSecrets = newJob.secrets || [];
     const oldSecrets = oldJob.secrets || [];
@@ -92,10 +137,46 @@ function merge(newJob, oldJob, fromTemplate) {
     if (!Hoek.deepEqual(newParams, {}) || !Hoek.deepEqual(oldParams, {})) {
         newJob.parameters = { ...newParams, ...oldParams };
     }
+}
+
+/**
+ * Merge oldJob into newJob
+ * "oldJob" takes precedence over "newJob". For ex: child template job settings > parent template job settings
+ * @param  {Object}   newJob        Job to be merged into. For ex: parent template
+ * @param  {Object}   oldJob        Job to merge. For ex: child template
+ * @param  {Boolean}  fromTemplate  Whether this is merged from template. If true, perform extra actions such as wrapping.
+ * @return {Object[]}               Structured warnings, see lib/warnings
+ */
+function merge(newJob, oldJob, fromTemplate) {
+    let warnings = [];
+
+    // Intialize new job with default fields (environment, settings, and secrets)
+    newJob.annotations = newJob.annotations || {};
+    newJob.environment = newJob.environment || {};
+    newJob.settings = newJob.settings || {};
+
+    newJob.image = oldJob.image || newJob.image;
+
+    if (oldJob.cache || oldJob.cache === false) {
+        newJob.cache = oldJob.cache;
+    }
+
+    // Child templates can declare how to merge each field
+    const directives = fromTemplate && oldJob.merge ? getDirectives(oldJob) : undefined;
+
+    if (directives) {
+        warnings = warnings.concat(mergeWithDirectives(newJob, oldJob, directives));
+    } else {
+        mergeFields(newJob, oldJob);
+    }
+
+    // Replacing steps is like an order of the child's own steps
+    const stepsDirective = getStepsDirective(directives);
+    let order = oldJob.order || (stepsDirective.strategy === 'replace' ? getStepNames(oldJob) : undefined);
 
     // Use "order" to get steps, ignore all other steps;
     // current template has precedence over external template
-    if (fromTemplate && oldJob.order) {
+    if (fromTemplate && order) {
         let stepName;
         const mergedSteps = [];
         const teardownSteps = [];
@@ -104,18 +185,27 @@ function merge(newJob, oldJob, fromTemplate) {
         const { stepObj: oldSteps } = convertFromArrayToObject(oldJob.steps);
         const { stepObj: newSteps, lockedStepNames } = convertFromArrayToObject(newJob.steps);
 
+        warnings = warnings.concat(directives ? checkStepTargets(newJob, oldJob, stepsDirective, true) : []);
+        overrideCommands(newJob.steps, oldSteps, stepsDirective);
+
         // Order must contain locked steps
-        const orderContainsLockedSteps = lockedStepNames.every(v => oldJob.order.includes(v));
+        const orderContainsLockedSteps = lockedStepNames.every(v => order.includes(v));
 
-        if (!orderContainsLockedSteps) {
+        if (!orderContainsLockedSteps && oldJob.order) {
             // eslint-disable-next-line max-len
             throw new Error(`Order must contain template ${oldJob.template} locked steps: ${lockedStepNames}`);
         }
 
-        for (let i = 0; i < oldJob.order.length; i += 1) {
+        if (!orderContainsLockedSteps) {
+            // Replaced steps keep the locked steps of the parent
+            warnings = warnings.concat(checkLockedSteps(oldJob, lockedStepNames, order));
+            order = order.concat(lockedStepNames.filter(v => !order.includes(v)));
+        }
+
+        for (let i = 0; i < order.length; i += 1) {
             let step;
 
-            stepName = oldJob.order[i];
+            stepName = order[i];
 
             const stepLocked = Hoek.reach(newSteps[stepName], 'locked');
 
@@ -124,13 +214,16 @@ function merge(newJob, oldJob, fromTemplate) {
             } else if (stepLocked || Hoek.reach(newSteps, stepName)) {
                 step = { [stepName]: newSteps[stepName] };
                 if (stepLocked && Hoek.reach(oldSteps, stepName)) {
-                    // eslint-disable-next-line max-len
-                    warnings = warnings.concat(
-                        `Cannot override locked step ${stepName}; using step definition from template ${oldJob.template}`
-                    );
+                    warnings = warnings.concat(lockedStepWarning(oldJob, stepName));
                 }
             } else {
-                warnings = warnings.concat(`${stepName} step definition not found; skipping`);
+                warnings = warnings.concat(
+                    createWarning(WARNING_CODES.ORDER_STEP_MISSING, `${stepName} step definition not found; skipping`, {
+                        step: stepName,
+                        path: ['order', i],
+                        template: oldJob.template
+                    })
+                );
             }
 
             if (step) {
@@ -144,19 +237,22 @@ function merge(newJob, oldJob, fromTemplate) {
 
         newJob.steps = mergedSteps.concat(teardownSteps);
         // Basic step merge with template
-    } else if (fromTemplate && oldJob.steps) {
+    } else if (fromTemplate && (oldJob.steps || directives)) {
         let stepName;
         let preStepName;
         let postStepName;
         const mergedSteps = [];
         const teardownSteps = [];
+        const { before, after, remove, inserted } = stepsDirective;
+
+        warnings = warnings.concat(directives ? checkStepTargets(newJob, oldJob, stepsDirective, false) : []);
 
         // Convert steps from oldJob from array to object for faster lookup
-        const oldSteps = oldJob.steps.reduce((obj, item) => {
+        const oldSteps = (oldJob.steps || []).reduce((obj, item) => {
             const key = Object.keys(item)[0];
             const substepKeys = typeof item[key] === 'object' ? Object.keys(item[key]) : undefined;
 
-            if (key.startsWith('teardown-')) {
+            if (key.startsWith('teardown-') && !inserted.includes(key)) {
                 teardownSteps.push(key);
             }
 
@@ -170,11 +266,15 @@ function merge(newJob, oldJob, fromTemplate) {
             return obj;
         }, {});
 
-        for (let i = 0; i < newJob.steps.length; i += 1) {
+        overrideCommands(newJob.steps, oldSteps, stepsDirective);
+
+        for (let i = 0; i < (newJob.steps || []).length; i += 1) {
             [stepName] = Object.keys(newJob.steps[i]);
             preStepName = `pre${stepName}`;
             postStepName = `post${stepName}`;
 
+            insertSteps(mergedSteps, oldSteps, before[stepName]);
+
             // Add pre-step
             if (oldSteps[preStepName]) {
                 mergedSteps.push({ [preStepName]: oldSteps[preStepName] });
@@ -182,16 +282,16 @@ function merge(newJob, oldJob, fromTemplate) {
 
             const stepLocked = Hoek.reach(newJob.steps[i][stepName], 'locked');
 
+            // Skip steps the user removes, unless they are locked
+            const removed = !stepLocked && remove.includes(stepName);
+
             // If template step is locked or user doesn't define the same step, add it
-            if (stepLocked || !oldSteps[stepName]) {
+            if (!removed && (stepLocked || !oldSteps[stepName])) {
                 mergedSteps.push(newJob.steps[i]);
                 if (stepLocked && oldSteps[stepName]) {
-                    // eslint-disable-next-line max-len
-                    warnings = warnings.concat(
-                        `Cannot override locked step ${stepName}; using step definition from template ${oldJob.template}`
-                    );
+                    warnings = warnings.concat(lockedStepWarning(oldJob, stepName));
                 }
-            } else if (!stepName.startsWith('teardown-')) {
+            } else if (!removed && !stepName.startsWith('teardown-')) {
                 // If user defines the same step, only add if it's not teardown and not locked
                 // otherwise, skip (it will be overwritten later, otherwise will get duplicate steps)
                 mergedSteps.push({ [stepName]: oldSteps[stepName] });
@@ -201,6 +301,8 @@ function merge(newJob, oldJob, fromTemplate) {
             if (oldSteps[postStepName]) {
                 mergedSteps.push({ [postStepName]: oldSteps[postStepName] });
             }
+
+            insertSteps(mergedSteps, oldSteps, after[stepName]);
         }
 
         for (let i = 0; i < teardownSteps.length; i += 1) {
@@ -215,58 +317,201 @@ function merge(newJob, oldJob, fromTemplate) {
 }
 
 /**
- * Retrieve template and merge into job config
+ * Construct the full name of a template, including namespace unless it is the default one
+ * @method getFullName
+ * @param  {Object} template Template object
+ * @return {String}          Full template name
+ */
+function getFullName(template) {
+    if (template.namespace && template.namespace !== 'default') {
+        return `${template.namespace}/${template.name}`;
+    }
+
+    return template.name;
+}
+
+/**
+ * Construct the full name and version of a template, e.g. "ns/name@1.2.3"
+ * @method getNameAndVersion
+ * @param  {Object} template Template object
+ * @return {String}          Full name and version, or only the full name if the template has no version
+ */
+function getNameAndVersion(template) {
+    const fullName = getFullName(template);
+
+    return template.version === undefined ? fullName : `${fullName}@${template.version}`;
+}
+
+/**
+ * Retrieve copies of every template in the inheritance chain of a job config.
+ * Version ranges in template references are resolved to exact versions on the way.
+ * @method resolveTemplateChain
+ * @param  {Object}           templateObj       Template object with job config
+ * @param  {TemplateFactory}  templateFactory   Template Factory to get template from
+ * @return {Promise}                            Resolves with array of templates, direct parent first
+ */
+async function resolveTemplateChain(templateObj, templateFactory) {
+    const chain = [];
+    // A template may extend another version of itself, so only the same name and version is a cycle
+    const visited = [getNameAndVersion(templateObj)];
+    let templateName = templateObj.config.template;
+
+    while (templateName) {
+        if (chain.length >= MAX_TEMPLATE_DEPTH) {
+            throw new Error(
+                `Template chain exceeds maximum depth of ${MAX_TEMPLATE_DEPTH}: ${visited.join(' -> ')} -> ${templateName}`
+            );
+        }
+
+        // Parent templates have to be fetched one by one since each refers to the next.
+        // Merging mutates them, so keep the factory's objects intact by working on copies.
+        // eslint-disable-next-line no-await-in-loop
+        const template = Hoek.clone(await getTemplateByReference(templateName, templateFactory));
+
+        if (!template) {
+            throw new Error(`Template ${templateName} does not exist`);
+        }
+
+        const nameAndVersion = getNameAndVersion(template);
+
+        if (visited.includes(nameAndVersion)) {
+            throw new Error(`Template chain contains a cycle: ${visited.join(' -> ')} -> ${nameAndVersion}`);
+        }
+
+        visited.push(nameAndVersion);
+        chain.push(template);
+        templateName = Hoek.reach(template, 'config.template');
+    }
+
+    return chain;
+}
+
+/**
+ * Take a copy of every job config in a template chain before it gets merged
+ * @method snapshotLevels
+ * @param  {Object[]} chain       Parent templates, direct parent first
+ * @param  {Object}   templateObj Child template object with job config
+ * @return {Object[]}             Levels with source, config and images; root template first, child last
+ */
+function snapshotLevels(chain, templateObj) {
+    return chain
+        .map(template => ({
+            source: `${getFullName(template)}@${template.version}`,
+            config: Hoek.clone(template.config || {}),
+            images: Hoek.clone(template.images || {})
+        }))
+        .reverse()
+        .concat({
+            source: LOCAL_SOURCE,
+            config: Hoek.clone(templateObj.config || {}),
+            images: Hoek.clone(templateObj.images || {})
+        });
+}
+
+/**
+ * Retrieve template and its ancestors and merge them into job config
  * @method mergeTemplateIntoJob
  * @param  {Object}           templateObj       Template object with job config
  * @param  {TemplateFactory}  templateFactory   Template Factory to get template from
  * @return {Promise}                            Resolves with obj with:
  *                                              - new flattened job config
  *                                              - parent template images object
+ *                                              - resolved template chain, direct parent first
+ *                                              - unmerged levels, root first
+ *                                              - structured warnings with the parent template name@version;
+ *                                                those raised while merging intermediate templates
+ *                                                have a "source" template
  */
 async function mergeTemplateIntoJob(templateObj, templateFactory) {
-    // Child template config
-    const oldJob = templateObj.config;
+    const chain = await resolveTemplateChain(templateObj, templateFactory);
+    const levels = snapshotLevels(chain, templateObj);
+    const templateChain = chain.map((template, i) => ({
+        name: getFullName(template),
+        reference: i > 0 ? chain[i - 1].config.template : templateObj.config.template,
+        version: template.version,
+        id: template.id
+    }));
+    let warnings = [];
 
-    // Try to get the parent template
-    return templateFactory.getTemplate(oldJob.template).then(template => {
-        if (!template) {
-            throw new Error(`Template ${oldJob.template} does not exist`);
-        }
+    // Flatten from the root template down to the child job config
+    const newJob = chain[chain.length - 1].config;
 
-        // Parent template config
-        const newJob = template.config;
+    for (let i = chain.length - 1; i >= 0; i -= 1) {
+        const template = chain[i];
+        const oldJob = i > 0 ? chain[i - 1].config : templateObj.config;
         const environment = newJob.environment || {};
+        const fullName = getFullName(template);
 
-        // Construct full template name
-        let fullName = template.name;
-
-        if (template.namespace && template.namespace !== 'default') {
-            fullName = `${template.namespace}/${template.name}`;
-        }
-
-        // Inject template full name, name, namespace, and version to env
-        newJob.environment = Hoek.merge(environment, {
+        const injected = {
             SD_TEMPLATE_FULLNAME: fullName,
             SD_TEMPLATE_NAME: template.name,
             SD_TEMPLATE_NAMESPACE: template.namespace || '',
             SD_TEMPLATE_VERSION: template.version
+        };
+
+        // Inject template full name, name, namespace, and version to env
+        newJob.environment = Hoek.merge(environment, injected);
+
+        const nameAndVersion = `${fullName}@${template.version}`;
+        // Messages cite the resolved template rather than the reference, e.g. a version range
+        const levelWarnings = checkSteps(newJob, oldJob, nameAndVersion).concat(
+            merge(newJob, { ...oldJob, template: nameAndVersion }, true)
+        );
+
+        // Merge directives replacing or removing environment variables keep the injected ones
+        Object.keys(injected)
+            .filter(key => newJob.environment[key] === undefined)
+            .forEach(key => {
+                newJob.environment[key] = injected[key];
+            });
+
+        levelWarnings.forEach(warning => {
+            warning.template = nameAndVersion;
         });
 
-        const warnings = merge(newJob, oldJob, true);
+        // Warnings from intermediate templates do not point into the child template
+        if (i > 0) {
+            levelWarnings.forEach(warning => {
+                warning.source = `${getFullName(chain[i - 1])}@${chain[i - 1].version}`;
+            });
+        }
+
+        warnings = warnings.concat(levelWarnings);
 
         delete newJob.template;
+        delete newJob.merge;
 
         newJob.templateId = template.id;
+    }
 
-        return {
-            childJobConfig: newJob,
-            parentTemplateImages: template.images,
-            warnings
-        };
-    });
+    // Images closer to the child job take precedence
+    const parentTemplateImages = chain.reduceRight(
+        (images, template) => (template.images ? Object.assign(images || {}, template.images) : images),
+        undefined
+    );
+
+    warnings = warnings.concat(
+        checkImageLabel(
+            levels[levels.length - 1].config.image,
+            { ...parentTemplateImages, ...templateObj.images },
+            `${getFullName(chain[0])}@${chain[0].version}`
+        )
+    );
+
+    return {
+        childJobConfig: newJob,
+        levels,
+        parentTemplateImages,
+        templateChain,
+        warnings
+    };
 }
 
 module.exports = {
+    MAX_TEMPLATE_DEPTH,
+    getFullName,
     merge,
-    mergeTemplateIntoJob
+    mergeTemplateIntoJob,
+    resolveTemplateChain,
+    snapshotLevels
 };
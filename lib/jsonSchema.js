@@ -0,0 +1,283 @@
+'use strict';
+
+const DRAFT_2020_12 = 'https://json-schema.org/draft/2020-12/schema';
+
+// Joi types that map directly to a JSON Schema type
+const TYPES = {
+    array: 'array',
+    boolean: 'boolean',
+    number: 'number',
+    object: 'object',
+    string: 'string'
+};
+
+/**
+ * Convert a regular expression as described by Joi, e.g. "/^[\w-]+$/", into a JSON Schema pattern.
+ * JSON Schema patterns have no flags, so patterns with flags are left out rather than
+ * reporting valid values as invalid.
+ * @method toPattern
+ * @param  {String} regex Regular expression source with slashes and flags
+ * @return {String}       Pattern, or undefined if it cannot be expressed
+ */
+function toPattern(regex) {
+    const [, source, flags] = /^\/(.*)\/([a-z]*)$/s.exec(regex) || [];
+
+    return source !== undefined && flags === '' ? source : undefined;
+}
+
+/**
+ * Apply the rules of a Joi description, e.g. min, max, pattern or email, to a JSON Schema
+ * @method applyRules
+ * @param  {Object} schema      JSON Schema to add keywords to
+ * @param  {Object} description Joi description
+ */
+function applyRules(schema, { type, rules = [] }) {
+    const limits = {
+        array: ['minItems', 'maxItems'],
+        object: ['minProperties', 'maxProperties'],
+        string: ['minLength', 'maxLength'],
+        number: ['minimum', 'maximum']
+    }[type];
+
+    // Limits given as references to other values cannot be expressed
+    const limit = args => (typeof args.limit === 'number' ? args.limit : undefined);
+    const keywords = {};
+
+    rules.forEach(({ name, args = {} }) => {
+        switch (name) {
+            case 'min':
+                keywords[limits[0]] = limit(args);
+                break;
+            case 'max':
+                keywords[limits[1]] = limit(args);
+                break;
+            case 'length':
+                keywords[limits[0]] = limit(args);
+                keywords[limits[1]] = limit(args);
+                break;
+            case 'greater':
+                keywords.exclusiveMinimum = limit(args);
+                break;
+            case 'less':
+                keywords.exclusiveMaximum = limit(args);
+                break;
+            case 'sign':
+                keywords[args.sign === 'positive' ? 'exclusiveMinimum' : 'exclusiveMaximum'] = 0;
+                break;
+            case 'integer':
+                keywords.type = 'integer';
+                break;
+            case 'unique':
+                keywords.uniqueItems = true;
+                break;
+            case 'pattern':
+                keywords.pattern = toPattern(args.regex);
+                break;
+            case 'email':
+                keywords.format = 'email';
+                break;
+            case 'uri':
+                keywords.format = args.options && args.options.relativeOnly ? 'uri-reference' : 'uri';
+                break;
+            default:
+            // Custom rules like cron or branchFilter have no JSON Schema equivalent
+        }
+    });
+
+    Object.keys(keywords)
+        .filter(key => keywords[key] !== undefined)
+        .forEach(key => {
+            schema[key] = keywords[key];
+        });
+
+    // Joi rejects empty strings unless they are allowed explicitly
+    if (type === 'string' && schema.minLength === undefined) {
+        schema.minLength = 1;
+    }
+}
+
+/**
+ * Convert object dependencies like Joi.object().or('image', 'template') into JSON Schema
+ * @method convertDependencies
+ * @param  {Object[]} dependencies Dependencies from a Joi description
+ * @return {Object[]}              JSON Schemas the object must also match
+ */
+function convertDependencies(dependencies = []) {
+    return dependencies
+        .map(({ rel, peers, key }) => {
+            const required = peers.map(peer => ({ required: [peer] }));
+
+            switch (rel) {
+                case 'or':
+                    return { anyOf: required };
+                case 'xor':
+                    return { oneOf: required };
+                case 'oxor':
+                    return { not: { anyOf: peers.slice(1).map(peer => ({ required: [peers[0], peer] })) } };
+                case 'and':
+                    return { anyOf: [{ required: peers }, { not: { anyOf: required } }] };
+                case 'nand':
+                    return { not: { required: peers } };
+                case 'with':
+                    return { dependentRequired: { [key]: peers } };
+                case 'without':
+                    return { dependentSchemas: { [key]: { not: { anyOf: required } } } };
+                default:
+                    return undefined;
+            }
+        })
+        .filter(Boolean);
+}
+
+/**
+ * Convert a Joi description into JSON Schema
+ * @method convert
+ * @param  {Object} description Joi description, from schema.describe()
+ * @return {Object}             JSON Schema
+ */
+function convert(description) {
+    const { type, flags = {}, allow = [], examples } = description;
+    let schema = {};
+
+    if (TYPES[type]) {
+        schema.type = TYPES[type];
+    }
+
+    if (type === 'object') {
+        const keys = description.keys || {};
+        const properties = {};
+        const required = [];
+
+        Object.keys(keys)
+            .filter(key => (keys[key].flags || {}).presence !== 'forbidden')
+            .forEach(key => {
+                properties[key] = convert(keys[key]);
+
+                if ((keys[key].flags || {}).presence === 'required') {
+                    required.push(key);
+                }
+            });
+
+        if (description.keys) {
+            schema.properties = properties;
+        }
+
+        if (required.length > 0) {
+            schema.required = required;
+        }
+
+        const patterns = description.patterns || [];
+        // Patterns with a schema for the key, like Joi.object().pattern(Joi.string(), rule)
+        const keySchemas = patterns.filter(pattern => pattern.schema);
+
+        patterns
+            .filter(pattern => pattern.regex && toPattern(pattern.regex) !== undefined)
+            .forEach(pattern => {
+                schema.patternProperties = schema.patternProperties || {};
+                schema.patternProperties[toPattern(pattern.regex)] = convert(pattern.rule);
+            });
+
+        if (keySchemas.length > 0) {
+            const rules = keySchemas.map(pattern => convert(pattern.rule));
+            const names = keySchemas.map(pattern => convert(pattern.schema));
+
+            schema.additionalProperties = rules.length === 1 ? rules[0] : { anyOf: rules };
+
+            if (!description.keys && names.every(name => Object.keys(name).length > 0)) {
+                schema.propertyNames = names.length === 1 ? names[0] : { anyOf: names };
+            }
+        } else if ((description.keys || patterns.length > 0) && flags.unknown !== true) {
+            // Joi rejects unknown keys once keys or patterns are given, unless told otherwise
+            schema.additionalProperties = false;
+        }
+
+        const dependencies = convertDependencies(description.dependencies);
+
+        if (dependencies.length > 0) {
+            schema.allOf = dependencies;
+        }
+    }
+
+    if (type === 'array' && description.items && description.items.length > 0) {
+        const items = description.items.map(convert);
+
+        schema.items = items.length === 1 ? items[0] : { anyOf: items };
+    }
+
+    if (type === 'alternatives') {
+        // Conditions on other keys cannot be expressed, so any branch is accepted
+        const matches = (description.matches || []).flatMap(match =>
+            match.schema ? [convert(match.schema)] : [match.then, match.otherwise].filter(Boolean).map(convert)
+        );
+
+        schema[flags.match === 'one' ? 'oneOf' : 'anyOf'] = matches;
+    }
+
+    applyRules(schema, description);
+
+    // Conditions on other keys cannot be expressed, so any branch is accepted
+    if (description.whens) {
+        const branches = description.whens
+            .flatMap(when => [when].concat(when.switch || []))
+            .flatMap(when => [when.then, when.otherwise].filter(Boolean).map(convert));
+
+        schema = { anyOf: Object.keys(schema).length > 0 ? [schema].concat(branches) : branches };
+    }
+
+    const values = allow.filter(value => typeof value !== 'object' || value === null || Array.isArray(value));
+
+    if (flags.only) {
+        schema.enum = values;
+    } else if (values.length > 0) {
+        schema = { anyOf: [schema, { enum: values }] };
+    }
+
+    if (flags.label) {
+        schema.title = flags.label;
+    }
+
+    if (flags.description) {
+        schema.description = flags.description;
+    }
+
+    // Defaults computed by functions cannot be serialized
+    if (flags.default !== undefined && typeof flags.default !== 'function' && !(flags.default || {}).special) {
+        schema.default = flags.default;
+    }
+
+    if (examples) {
+        schema.examples = examples;
+    }
+
+    return schema;
+}
+
+/**
+ * Convert a Joi schema into a JSON Schema (draft 2020-12) document, e.g. for editors to offer
+ * completion and validation while writing a template
+ * @method joiToJsonSchema
+ * @param  {Object|Object[]} joiSchema       Joi schema, or array of Joi schemas a document may match any of
+ * @param  {Object}          [options]
+ * @param  {String}          [options.id]    $id of the document
+ * @param  {String}          [options.title] Title of the document
+ * @return {Object}                          JSON Schema document
+ */
+function joiToJsonSchema(joiSchema, { id, title } = {}) {
+    const schemas = [].concat(joiSchema).map(schema => convert(schema.describe()));
+    const document = { $schema: DRAFT_2020_12 };
+
+    if (id) {
+        document.$id = id;
+    }
+
+    if (title) {
+        document.title = title;
+    }
+
+    return { ...document, ...(schemas.length === 1 ? schemas[0] : { anyOf: schemas }) };
+}
+
+module.exports = {
+    DRAFT_2020_12,
+    joiToJsonSchema
+};
@@ -0,0 +1,106 @@
+'use strict';
+
+const path = require('path');
+const { SEVERITIES, WARNING_CODES, createWarning } = require('../warnings');
+const descriptionLength = require('./rules/descriptionLength');
+const imageTag = require('./rules/imageTag');
+const maintainerEmail = require('./rules/maintainerEmail');
+const noDuplicateSteps = require('./rules/noDuplicateSteps');
+const noSecretsInEnvironment = require('./rules/noSecretsInEnvironment');
+const stepNamePattern = require('./rules/stepNamePattern');
+const teardownAtEnd = require('./rules/teardownAtEnd');
+
+const BUILT_IN_RULES = [
+    descriptionLength,
+    imageTag,
+    maintainerEmail,
+    noDuplicateSteps,
+    noSecretsInEnvironment,
+    stepNamePattern,
+    teardownAtEnd
+];
+
+/**
+ * Load a custom rule, given as a rule object or a path to a module exporting one
+ * @method loadRule
+ * @param  {Object|String} rule Rule with name and check(templateObj, options), or module path
+ * @return {Object}             Rule
+ */
+function loadRule(rule) {
+    // eslint-disable-next-line global-require, import/no-dynamic-require
+    const loaded = typeof rule === 'string' ? require(path.resolve(rule)) : rule;
+
+    if (!loaded || typeof loaded.name !== 'string' || typeof loaded.check !== 'function') {
+        throw new Error(
+            `Lint rule ${typeof rule === 'string' ? rule : loaded && loaded.name} must have a name and a check function`
+        );
+    }
+
+    return loaded;
+}
+
+/**
+ * Normalize a rule setting, given as severity or [severity, options]
+ * @method normalizeSetting
+ * @param  {String|Array} setting Rule setting from the lint config
+ * @param  {Object}       rule    Rule the setting is for
+ * @return {Object}               Object with severity and options
+ */
+function normalizeSetting(setting, rule) {
+    const [severity = rule.severity || SEVERITIES.WARNING, options = {}] = [].concat(
+        setting === undefined ? [] : setting
+    );
+
+    if (!Object.values(SEVERITIES).includes(severity)) {
+        throw new Error(
+            `Invalid severity ${severity} for lint rule ${rule.name}; use one of: ${Object.values(SEVERITIES).join(', ')}`
+        );
+    }
+
+    return { severity, options };
+}
+
+/**
+ * Run lint rules against a template that passed structural validation
+ * @method lint
+ * @param  {Object}         templateObj             Template config after validation
+ * @param  {Object|Boolean} [config]                Lint config, or true to run built-in rules with defaults
+ * @param  {Object}         [config.rules]          Setting by rule name: "error", "warning", "off" or
+ *                                                  [severity, options], e.g. { 'description-length': ['error', { min: 30 }] }
+ * @param  {Array}          [config.customRules]    Additional rules, or paths to modules exporting a rule
+ * @return {Object[]}                               Structured warnings with rule name and severity
+ */
+function lint(templateObj, config = {}) {
+    const { rules: settings = {}, customRules = [] } = config === true ? {} : config;
+    const rules = BUILT_IN_RULES.concat(customRules.map(loadRule));
+    const ruleNames = rules.map(rule => rule.name);
+    const results = [];
+
+    Object.keys(settings).forEach(name => {
+        if (!ruleNames.includes(name)) {
+            throw new Error(`Unknown lint rule ${name}`);
+        }
+    });
+
+    rules.forEach(rule => {
+        const { severity, options } = normalizeSetting(settings[rule.name], rule);
+
+        if (severity === SEVERITIES.OFF) {
+            return;
+        }
+
+        (rule.check(templateObj, options) || []).forEach(({ message, path: resultPath }) => {
+            const warning = createWarning(WARNING_CODES.LINT, message, { rule: rule.name, path: resultPath });
+
+            warning.severity = severity;
+            results.push(warning);
+        });
+    });
+
+    return results;
+}
+
+module.exports = {
+    BUILT_IN_RULES,
+    lint
+};
@@ -0,0 +1,23 @@
+'use strict';
+
+const DEFAULT_MIN_LENGTH = 10;
+
+module.exports = {
+    name: 'description-length',
+    description: `Description must be at least ${DEFAULT_MIN_LENGTH} characters long, or the configured min`,
+    severity: 'warning',
+    check(templateObj, { min = DEFAULT_MIN_LENGTH }) {
+        const description = String(templateObj.description || '').trim();
+
+        if (description.length < min) {
+            return [
+                {
+                    message: `Description should be at least ${min} characters long`,
+                    path: ['description']
+                }
+            ];
+        }
+
+        return [];
+    }
+};
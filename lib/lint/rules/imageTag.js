@@ -0,0 +1,63 @@
+'use strict';
+
+/**
+ * Get the tag of a docker image, e.g. "18" for "node:18"
+ * @method getTag
+ * @param  {String} image Image name
+ * @return {String}       Tag, or undefined if the image has none
+ */
+function getTag(image) {
+    const lastSegment = String(image).split('/').pop();
+    const index = lastSegment.indexOf(':');
+
+    return index === -1 ? undefined : lastSegment.slice(index + 1);
+}
+
+/**
+ * Check that an image is pinned to a tag or digest other than "latest"
+ * @method isPinned
+ * @param  {String}  image Image name
+ * @return {Boolean}
+ */
+function isPinned(image) {
+    if (String(image).includes('@sha256:')) {
+        return true;
+    }
+
+    const tag = getTag(image);
+
+    return tag !== undefined && tag !== 'latest';
+}
+
+module.exports = {
+    name: 'image-tag',
+    description: 'Images must be pinned to a tag other than "latest"',
+    severity: 'warning',
+    check(templateObj) {
+        const images = templateObj.images || {};
+        const { image } = templateObj.config || {};
+        const results = [];
+
+        // Labels are checked through the images they point to; plain names in templates
+        // that extend a parent may be labels of the parent
+        const isLabel = images[image] !== undefined || (templateObj.config.template && /^[\w.-]+$/.test(image));
+
+        if (image !== undefined && !isLabel && !isPinned(image)) {
+            results.push({
+                message: `Image ${image} should be pinned to a tag other than "latest"`,
+                path: ['config', 'image']
+            });
+        }
+
+        Object.keys(images).forEach(label => {
+            if (!isPinned(images[label])) {
+                results.push({
+                    message: `Image ${images[label]} for label ${label} should be pinned to a tag other than "latest"`,
+                    path: ['images', label]
+                });
+            }
+        });
+
+        return results;
+    }
+};
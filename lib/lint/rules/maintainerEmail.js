@@ -0,0 +1,31 @@
+'use strict';
+
+const Joi = require('joi');
+
+const SCHEMA_EMAIL = Joi.string().email();
+
+module.exports = {
+    name: 'maintainer-email',
+    description: 'Maintainer must be a valid email, optionally from one of the allowed domains',
+    severity: 'warning',
+    check(templateObj, { domains = [] }) {
+        const { maintainer } = templateObj;
+
+        if (SCHEMA_EMAIL.validate(maintainer).error) {
+            return [{ message: `Maintainer ${maintainer} should be a valid email`, path: ['maintainer'] }];
+        }
+
+        const domain = maintainer.split('@').pop().toLowerCase();
+
+        if (domains.length > 0 && !domains.map(d => d.toLowerCase()).includes(domain)) {
+            return [
+                {
+                    message: `Maintainer ${maintainer} should have an email from one of: ${domains.join(', ')}`,
+                    path: ['maintainer']
+                }
+            ];
+        }
+
+        return [];
+    }
+};
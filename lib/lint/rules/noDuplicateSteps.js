@@ -0,0 +1,26 @@
+'use strict';
+
+const { getStepNames } = require('../../steps');
+
+module.exports = {
+    name: 'no-duplicate-steps',
+    description: 'Step names must be unique',
+    severity: 'error',
+    check(templateObj) {
+        const seen = new Set();
+        const results = [];
+
+        getStepNames(templateObj.config || {}).forEach((stepName, i) => {
+            if (stepName === undefined) {
+                return;
+            }
+
+            if (seen.has(stepName)) {
+                results.push({ message: `Step ${stepName} is defined more than once`, path: ['config', 'steps', i] });
+            }
+            seen.add(stepName);
+        });
+
+        return results;
+    }
+};
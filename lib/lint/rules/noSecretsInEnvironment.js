@@ -0,0 +1,42 @@
+'use strict';
+
+const SECRET_LIKE_NAME = /(PASSWORD|PASSWD|SECRET|TOKEN|API_?KEY|PRIVATE_?KEY|CREDENTIAL)/i;
+const VARIABLE_REFERENCE = /\$\{?([A-Za-z_][A-Za-z0-9_]*)\}?/g;
+
+module.exports = {
+    name: 'no-secrets-in-environment',
+    description: 'Environment values must not reference secrets or contain plain-text credentials',
+    severity: 'error',
+    check(templateObj) {
+        const config = templateObj.config || {};
+        const environment = config.environment || {};
+        const secrets = config.secrets || [];
+        const results = [];
+
+        Object.keys(environment).forEach(name => {
+            const value = environment[name];
+
+            if (typeof value !== 'string' || value === '') {
+                return;
+            }
+
+            const referenced = [...value.matchAll(VARIABLE_REFERENCE)]
+                .map(match => match[1])
+                .filter(variable => secrets.includes(variable));
+
+            if (referenced.length > 0) {
+                results.push({
+                    message: `Environment variable ${name} should not reference secret ${referenced[0]}; use the secret directly`,
+                    path: ['config', 'environment', name]
+                });
+            } else if (SECRET_LIKE_NAME.test(name) && !value.includes('$')) {
+                results.push({
+                    message: `Environment variable ${name} looks like a plain-text credential; use a secret instead`,
+                    path: ['config', 'environment', name]
+                });
+            }
+        });
+
+        return results;
+    }
+};
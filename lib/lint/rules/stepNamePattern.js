@@ -0,0 +1,26 @@
+'use strict';
+
+const { getStepNames } = require('../../steps');
+
+const DEFAULT_PATTERN = '^[a-z][a-z0-9_-]*$';
+
+module.exports = {
+    name: 'step-name-pattern',
+    description: `Step names must match ${DEFAULT_PATTERN}, or the configured pattern`,
+    severity: 'warning',
+    check(templateObj, { pattern = DEFAULT_PATTERN }) {
+        const regex = new RegExp(pattern);
+        const results = [];
+
+        getStepNames(templateObj.config || {}).forEach((stepName, i) => {
+            if (stepName !== undefined && !regex.test(stepName)) {
+                results.push({
+                    message: `Step name ${stepName} should match ${pattern}`,
+                    path: ['config', 'steps', i]
+                });
+            }
+        });
+
+        return results;
+    }
+};
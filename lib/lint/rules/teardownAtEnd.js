@@ -0,0 +1,28 @@
+'use strict';
+
+const { getStepNames } = require('../../steps');
+
+module.exports = {
+    name: 'teardown-at-end',
+    description: 'Teardown steps must come after all other steps',
+    severity: 'warning',
+    check(templateObj) {
+        const stepNames = getStepNames(templateObj.config || {});
+        const lastRegularStep = stepNames.reduce(
+            (last, stepName, i) => (stepName !== undefined && !stepName.startsWith('teardown-') ? i : last),
+            -1
+        );
+        const results = [];
+
+        stepNames.slice(0, lastRegularStep).forEach((stepName, i) => {
+            if (stepName !== undefined && stepName.startsWith('teardown-')) {
+                results.push({
+                    message: `Teardown step ${stepName} should come after all other steps`,
+                    path: ['config', 'steps', i]
+                });
+            }
+        });
+
+        return results;
+    }
+};
@@ -0,0 +1,406 @@
+'use strict';
+
+const Hoek = require('@hapi/hoek');
+const Joi = require('joi');
+const { SEVERITIES, WARNING_CODES, createWarning } = require('./warnings');
+
+// Fields merged key by key, a child value taking precedence
+const KEYED_FIELDS = ['annotations', 'environment', 'parameters', 'settings'];
+// Fields holding lists of names
+const LIST_FIELDS = ['blockedBy', 'freezeWindows', 'requires', 'secrets', 'sourcePaths'];
+const KEYED_STRATEGIES = ['merge', 'deep', 'replace'];
+const LIST_STRATEGIES = ['append', 'replace'];
+const STEP_STRATEGIES = ['merge', 'replace'];
+// How a child step overrides the parent step with the same name: as a whole, or only the substep
+// keys it sets (e.g. the command), inheriting the others
+const STEP_OVERRIDES = ['step', 'command'];
+const INSERT_POSITIONS = ['before', 'after'];
+// Strategies used without a merge directive
+const DEFAULT_STRATEGIES = {
+    blockedBy: 'replace',
+    freezeWindows: 'replace',
+    requires: 'replace',
+    secrets: 'append',
+    sourcePaths: 'append'
+};
+
+/**
+ * Schema of a directive: a strategy, or an object with an optional strategy and inherited
+ * keys or items to remove
+ * @method directiveSchema
+ * @param  {String[]} strategies Allowed strategies
+ * @return {Object}              Joi schema
+ */
+function directiveSchema(strategies) {
+    return Joi.alternatives().try(
+        Joi.string().valid(...strategies),
+        Joi.object({
+            strategy: Joi.string().valid(...strategies),
+            remove: Joi.array().items(Joi.string()).min(1)
+        }).min(1)
+    );
+}
+
+const SCHEMA_MERGE_DIRECTIVES = Joi.object({
+    ...KEYED_FIELDS.reduce((keys, field) => ({ ...keys, [field]: directiveSchema(KEYED_STRATEGIES) }), {}),
+    ...LIST_FIELDS.reduce((keys, field) => ({ ...keys, [field]: directiveSchema(LIST_STRATEGIES) }), {}),
+    steps: Joi.alternatives().try(
+        Joi.string().valid(...STEP_STRATEGIES),
+        Joi.object({
+            strategy: Joi.string().valid(...STEP_STRATEGIES),
+            remove: Joi.array().items(Joi.string()).min(1),
+            ...INSERT_POSITIONS.reduce(
+                (keys, position) => ({
+                    ...keys,
+                    [position]: Joi.object().pattern(
+                        Joi.string(),
+                        Joi.alternatives().try(Joi.string(), Joi.array().items(Joi.string()).min(1))
+                    )
+                }),
+                {}
+            ),
+            override: Joi.string().valid(...STEP_OVERRIDES)
+        }).min(1)
+    )
+}).description('How to merge each field with the parent template');
+
+/**
+ * Get the merge directives of a child job config, each as an object with strategy and remove
+ * @method getDirectives
+ * @param  {Object} job Child job config
+ * @return {Object}     Directives by field
+ * @throws {Error}      If the directives are invalid
+ */
+function getDirectives(job) {
+    const { error, value } = SCHEMA_MERGE_DIRECTIVES.validate(job.merge || {});
+
+    if (error) {
+        throw new Error(`Invalid merge directives of template ${job.template}: ${error.message}`);
+    }
+
+    return Object.keys(value).reduce((directives, field) => {
+        const directive = typeof value[field] === 'string' ? { strategy: value[field] } : value[field];
+
+        directives[field] = { remove: [], ...directive };
+
+        return directives;
+    }, {});
+}
+
+/**
+ * Get the steps directive of a child job config, with the steps to insert before and after each
+ * parent step as lists
+ * @method getStepsDirective
+ * @param  {Object} directives Directives from getDirectives, or undefined if the child has none
+ * @return {Object}            Directive with strategy, remove, before, after, override and the
+ *                             names of all inserted steps
+ */
+function getStepsDirective(directives) {
+    const directive = { remove: [], override: 'step', ...((directives && directives.steps) || {}) };
+
+    INSERT_POSITIONS.forEach(position => {
+        const targets = directive[position] || {};
+
+        directive[position] = Object.keys(targets).reduce(
+            (insertions, target) => ({ ...insertions, [target]: [].concat(targets[target]) }),
+            {}
+        );
+    });
+
+    directive.inserted = INSERT_POSITIONS.flatMap(position => Object.values(directive[position]).flat());
+
+    return directive;
+}
+
+/**
+ * Check whether a job config replaces the steps of its parent template
+ * @method replacesSteps
+ * @param  {Object}  job Child job config
+ * @return {Boolean}
+ */
+function replacesSteps(job) {
+    const directive = Hoek.reach(job, 'merge.steps');
+
+    return directive === 'replace' || Hoek.reach(directive, 'strategy') === 'replace';
+}
+
+/**
+ * Create error for a steps directive that refers to a step that does not exist
+ * @method stepTargetError
+ * @param  {Object} oldJob  Child job config
+ * @param  {String} message Message
+ * @param  {Array}  path    Path in the steps directive
+ * @return {Object}         Structured warning with severity "error"
+ */
+function stepTargetError(oldJob, message, path) {
+    const warning = createWarning(WARNING_CODES.STEP_TARGET_MISSING, message, {
+        path: ['merge', 'steps'].concat(path),
+        template: oldJob.template
+    });
+
+    warning.severity = SEVERITIES.ERROR;
+
+    return warning;
+}
+
+/**
+ * Check that the steps a steps directive removes or inserts steps around exist in the parent, and
+ * that the steps to insert are defined by the child. Locked parent steps cannot be removed. A child
+ * with an "order" or replaced steps lists all the steps it runs, so it cannot remove or insert steps.
+ * @method checkStepTargets
+ * @param  {Object}   newJob    Parent job config
+ * @param  {Object}   oldJob    Child job config
+ * @param  {Object}   directive Directive from getStepsDirective
+ * @param  {Boolean}  ordered   Whether the child lists its steps in "order" or replaces the parent's
+ * @return {Object[]}           Structured warnings, errors for missing steps
+ */
+function checkStepTargets(newJob, oldJob, directive, ordered) {
+    const parentSteps = newJob.steps || [];
+    const parentNames = parentSteps.map(item => Object.keys(item)[0]);
+    const childNames = (oldJob.steps || []).map(item => Object.keys(item)[0]);
+    const warnings = [];
+
+    if (ordered) {
+        return ['remove', ...INSERT_POSITIONS]
+            .filter(key => Object.keys(directive[key]).length > 0)
+            .map(key =>
+                stepTargetError(
+                    oldJob,
+                    `Cannot ${key === 'remove' ? 'remove' : `insert ${key}`} steps of template ${
+                        oldJob.template
+                    } when steps are listed in order or replaced`,
+                    [key]
+                )
+            );
+    }
+
+    directive.remove.forEach((stepName, i) => {
+        const index = parentNames.indexOf(stepName);
+
+        if (index < 0) {
+            warnings.push(
+                stepTargetError(
+                    oldJob,
+                    `Cannot remove step ${stepName}; template ${oldJob.template} has no such step`,
+                    ['remove', i]
+                )
+            );
+        } else if (Hoek.reach(parentSteps[index][stepName], 'locked')) {
+            warnings.push(
+                createWarning(
+                    WARNING_CODES.LOCKED_STEP_OVERRIDE,
+                    `Cannot remove locked step ${stepName}; using step definition from template ${oldJob.template}`,
+                    { step: stepName, path: ['merge', 'steps', 'remove', i], template: oldJob.template }
+                )
+            );
+        }
+    });
+
+    INSERT_POSITIONS.forEach(position => {
+        Object.keys(directive[position]).forEach(target => {
+            if (!parentNames.includes(target)) {
+                warnings.push(
+                    stepTargetError(
+                        oldJob,
+                        `Cannot insert steps ${position} ${target}; template ${oldJob.template} has no such step`,
+                        [position, target]
+                    )
+                );
+            }
+
+            directive[position][target]
+                .filter(stepName => !childNames.includes(stepName))
+                .forEach(stepName => {
+                    warnings.push(
+                        stepTargetError(
+                            oldJob,
+                            `Cannot insert step ${stepName} ${position} ${target}; it is not defined in steps`,
+                            [position, target]
+                        )
+                    );
+                });
+        });
+    });
+
+    return warnings;
+}
+
+/**
+ * Check that a child replacing the steps of its parent template keeps the locked ones
+ * @method checkLockedSteps
+ * @param  {Object}   oldJob          Child job config
+ * @param  {String[]} lockedStepNames Names of the locked steps of the parent
+ * @param  {String[]} order           Names of the steps of the child
+ * @return {Object[]}                 Structured errors
+ */
+function checkLockedSteps(oldJob, lockedStepNames, order) {
+    if (lockedStepNames.every(stepName => order.includes(stepName))) {
+        return [];
+    }
+
+    const warning = createWarning(
+        WARNING_CODES.LOCKED_STEP_MISSING,
+        `Steps must contain template ${oldJob.template} locked steps to replace its steps: ${lockedStepNames}`,
+        { path: ['merge', 'steps'], template: oldJob.template }
+    );
+
+    warning.severity = SEVERITIES.ERROR;
+
+    return [warning];
+}
+
+/**
+ * With override "command", override only the substep keys a child step sets, e.g. its command,
+ * inheriting the other keys of the unlocked parent step with the same name
+ * @method overrideCommands
+ * @param  {Object[]} parentSteps Parent job step array of objects
+ * @param  {Object}   childSteps  Child step definitions by name, changed in place
+ * @param  {Object}   directive   Directive from getStepsDirective
+ */
+function overrideCommands(parentSteps, childSteps, directive) {
+    if (directive.override !== 'command') {
+        return;
+    }
+
+    (parentSteps || []).forEach(item => {
+        const stepName = Object.keys(item)[0];
+        const parentStep = item[stepName];
+        const childStep = childSteps[stepName];
+
+        if (childStep === undefined || typeof parentStep !== 'object' || parentStep.locked) {
+            return;
+        }
+
+        const step = { ...parentStep, ...(typeof childStep === 'object' ? childStep : { command: childStep }) };
+
+        // Compress step if only has command key
+        childSteps[stepName] = Object.keys(step).length === 1 ? step.command : step;
+    });
+}
+
+/**
+ * Create warning for a remove directive whose target the parent does not have
+ * @method removeTargetWarning
+ * @param  {Object} oldJob Child job config
+ * @param  {String} field  Field of the directive
+ * @param  {Number} index  Index of the target in the remove list
+ * @return {Object}        Structured warning
+ */
+function removeTargetWarning(oldJob, field, index) {
+    const target = oldJob.merge[field].remove[index];
+
+    return createWarning(
+        WARNING_CODES.MERGE_REMOVE_MISSING,
+        `Cannot remove ${target} from ${field}; template ${oldJob.template} does not define it`,
+        {
+            path: ['merge', field, 'remove', index],
+            template: oldJob.template
+        }
+    );
+}
+
+/**
+ * Merge a keyed field (e.g. environment) of a child into its parent
+ * @method mergeKeyed
+ * @param  {Object}   newJob    Parent job config to merge into
+ * @param  {Object}   oldJob    Child job config
+ * @param  {String}   field     Field name
+ * @param  {Object}   directive Directive with strategy and remove
+ * @return {Object[]}           Structured warnings
+ */
+function mergeKeyed(newJob, oldJob, field, { strategy = 'merge', remove }) {
+    const inherited = newJob[field] || {};
+    const warnings = [];
+
+    remove.forEach((key, i) => {
+        if (key in inherited) {
+            delete inherited[key];
+        } else {
+            warnings.push(removeTargetWarning(oldJob, field, i));
+        }
+    });
+
+    const value = Hoek.clone(oldJob[field] || {});
+    let merged;
+
+    switch (strategy) {
+        case 'deep':
+            merged = Hoek.merge(inherited, value, { mergeArrays: false });
+            break;
+        case 'replace':
+            merged = value;
+            break;
+        default:
+            merged = Object.assign(inherited, value);
+    }
+
+    // Like without directives, parameters are only set if there are any
+    if (newJob[field] !== undefined || Object.keys(merged).length > 0) {
+        newJob[field] = merged;
+    }
+
+    return warnings;
+}
+
+/**
+ * Merge a list field (e.g. secrets) of a child into its parent
+ * @method mergeList
+ * @param  {Object}   newJob    Parent job config to merge into
+ * @param  {Object}   oldJob    Child job config
+ * @param  {String}   field     Field name
+ * @param  {Object}   directive Directive with strategy and remove
+ * @return {Object[]}           Structured warnings
+ */
+function mergeList(newJob, oldJob, field, { strategy, remove }) {
+    const warnings = [];
+    let inherited = newJob[field] === undefined ? undefined : [].concat(newJob[field]);
+
+    remove.forEach((item, i) => {
+        if ((inherited || []).includes(item)) {
+            inherited = inherited.filter(value => value !== item);
+        } else {
+            warnings.push(removeTargetWarning(oldJob, field, i));
+        }
+    });
+
+    if ((strategy || DEFAULT_STRATEGIES[field]) === 'append') {
+        inherited = [...new Set([...(inherited || []), ...[].concat(oldJob[field] || [])])];
+    } else if (oldJob[field] !== undefined || strategy === 'replace') {
+        // Replace with the child's value; an explicit "replace" also replaces with nothing
+        inherited = [].concat(oldJob[field] || []);
+    }
+
+    if (inherited !== undefined) {
+        newJob[field] = inherited;
+    }
+
+    return warnings;
+}
+
+/**
+ * Merge the fields of a child that has merge directives into its parent, except for steps
+ * @method mergeWithDirectives
+ * @param  {Object}   newJob     Parent job config to merge into
+ * @param  {Object}   oldJob     Child job config with merge directives
+ * @param  {Object}   directives Directives from getDirectives
+ * @return {Object[]}            Structured warnings
+ */
+function mergeWithDirectives(newJob, oldJob, directives) {
+    const none = { remove: [] };
+
+    return [].concat(
+        KEYED_FIELDS.flatMap(field => mergeKeyed(newJob, oldJob, field, directives[field] || none)),
+        LIST_FIELDS.flatMap(field => mergeList(newJob, oldJob, field, directives[field] || none))
+    );
+}
+
+module.exports = {
+    SCHEMA_MERGE_DIRECTIVES,
+    checkLockedSteps,
+    checkStepTargets,
+    getDirectives,
+    getStepsDirective,
+    mergeWithDirectives,
+    overrideCommands,
+    replacesSteps
+};
@@ -0,0 +1,227 @@
+'use strict';
+
+const { LOCAL_SOURCE, buildProvenance } = require('./provenance');
+const { WARNING_CODES, createWarning } = require('./warnings');
+
+// $(meta get parameters.name.value) or ${{ parameters.name }}
+const PARAMETER_REFERENCE = /\$(?:\(|\{\{)[^)}]*?\bparameters\.([\w-]+)/g;
+// A whole reference, to be replaced by the value of the parameter
+const PARAMETER_EXPRESSION =
+    /\$\(\s*meta get parameters\.([\w-]+)(?:\.value)?\s*\)|\$\{\{\s*parameters\.([\w-]+)\s*\}\}/g;
+
+/**
+ * Find the parameters referenced in a command or environment value
+ * @method findReferences
+ * @param  {String}   value Command or environment value
+ * @return {String[]}       Referenced parameter names
+ */
+function findReferences(value) {
+    if (typeof value !== 'string') {
+        return [];
+    }
+
+    return [...new Set([...value.matchAll(PARAMETER_REFERENCE)].map(match => match[1]))];
+}
+
+/**
+ * Collect the parameter references of the steps and environment of a job
+ * @method collectUsages
+ * @param  {Object}   job Job config
+ * @return {Object[]}     Usages with parameter name, field ("steps" or "environment") and key
+ */
+function collectUsages(job) {
+    const usages = [];
+
+    (job.steps || []).forEach(step => {
+        if (!step || typeof step !== 'object') {
+            return;
+        }
+
+        const key = Object.keys(step)[0];
+        const definition = step[key];
+        const command = definition && typeof definition === 'object' ? definition.command : definition;
+
+        findReferences(command).forEach(name => usages.push({ name, field: 'steps', key }));
+    });
+
+    Object.keys(job.environment || {}).forEach(key => {
+        findReferences(job.environment[key]).forEach(name => usages.push({ name, field: 'environment', key }));
+    });
+
+    return usages;
+}
+
+/**
+ * Get the value of a parameter declaration, given as value or { value, description }
+ * @method getValue
+ * @param  {String|Array|Object} declaration Parameter declaration
+ * @return {String|Array}                    Value; a list means the allowed values
+ */
+function getValue(declaration) {
+    return declaration && typeof declaration === 'object' && !Array.isArray(declaration)
+        ? declaration.value
+        : declaration;
+}
+
+/**
+ * Get the default value of every declared parameter. Parameters declared with a list of
+ * allowed values default to the first one, as in the UI.
+ * @method getParameterDefaults
+ * @param  {Object} parameters Parameter declarations by name
+ * @return {Object}            Default value by name
+ */
+function getParameterDefaults(parameters = {}) {
+    return Object.keys(parameters).reduce((defaults, name) => {
+        const value = getValue(parameters[name]);
+
+        defaults[name] = Array.isArray(value) ? value[0] : value;
+
+        return defaults;
+    }, {});
+}
+
+/**
+ * Replace the parameter references in a command or environment value by parameter values.
+ * References to parameters without a value are left as they are.
+ * @method substituteParameters
+ * @param  {String} value  Command or environment value
+ * @param  {Object} values Value by parameter name, e.g. from getParameterDefaults
+ * @return {String}        Value with references replaced
+ */
+function substituteParameters(value, values) {
+    if (typeof value !== 'string') {
+        return value;
+    }
+
+    return value.replace(PARAMETER_EXPRESSION, (expression, metaName, exprName) => {
+        const name = metaName || exprName;
+
+        return values[name] === undefined ? expression : String(values[name]);
+    });
+}
+
+/**
+ * Build warning details pointing at a usage in the template it came from
+ * @method locateUsage
+ * @param  {Object}   usage      Usage from collectUsages
+ * @param  {Object[]} levels     Levels with source and config; root template first, child last
+ * @param  {Object}   provenance Provenance map of the flattened job
+ * @return {Object}              Details with step, path and, for parent templates, source
+ */
+function locateUsage({ field, key }, levels, provenance) {
+    const source = provenance[`${field}.${key}`];
+    const level = levels.find(l => l.source === source) || levels[levels.length - 1];
+    const details = { path: ['config', field, key] };
+
+    if (field === 'steps') {
+        const index = (level.config.steps || []).findIndex(step => step && Object.keys(step)[0] === key);
+
+        details.step = key;
+        details.path = ['config', 'steps', index];
+    }
+
+    if (level.source !== LOCAL_SOURCE) {
+        details.source = level.source;
+    }
+
+    return details;
+}
+
+/**
+ * Check that a child's parameter value is compatible with the parent's declaration
+ * @method checkCompatibility
+ * @param  {String}       name         Parameter name
+ * @param  {String|Array} childValue   Value declared by the child
+ * @param  {String|Array} parentValue  Value declared by the parent; a list means the allowed values
+ * @param  {String}       parentSource Parent template name@version
+ * @return {String}                    Problem description, or undefined if compatible
+ */
+function checkCompatibility(name, childValue, parentValue, parentSource) {
+    if (Array.isArray(parentValue)) {
+        const notAllowed = [].concat(childValue).filter(value => !parentValue.includes(value));
+
+        return notAllowed.length > 0
+            ? `Parameter ${name} value ${notAllowed.join(', ')} is not allowed by ${parentSource}; ` +
+                  `use one of: ${parentValue.join(', ')}`
+            : undefined;
+    }
+
+    return Array.isArray(childValue)
+        ? `Parameter ${name} is a list, but ${parentSource} declares a single value`
+        : undefined;
+}
+
+/**
+ * Report parameters that are used but not declared, declared by the child but not used,
+ * or declared by the child with a value the parent template does not allow
+ * @method analyzeParameters
+ * @param  {Object[]} levels      Levels with source and config; root template first, child last
+ * @param  {Object}   templateObj Flattened template object
+ * @return {Object[]}             Structured warnings
+ */
+function analyzeParameters(levels, templateObj) {
+    const job = templateObj.config || {};
+    const declared = job.parameters || {};
+    const child = levels[levels.length - 1];
+    const parents = levels.slice(0, -1).reverse();
+    const childParameters = child.config.parameters || {};
+    const usages = collectUsages(job);
+    const used = new Set(usages.map(usage => usage.name));
+    const provenance = buildProvenance(levels, templateObj);
+    const warnings = [];
+
+    usages
+        .filter(usage => !(usage.name in declared))
+        .forEach(usage => {
+            const where = usage.field === 'steps' ? `step ${usage.key}` : `environment variable ${usage.key}`;
+
+            warnings.push(
+                createWarning(
+                    WARNING_CODES.PARAMETER_UNDECLARED,
+                    `Parameter ${usage.name} is used in ${where} but not declared`,
+                    locateUsage(usage, levels, provenance)
+                )
+            );
+        });
+
+    Object.keys(childParameters).forEach(name => {
+        const parent = parents.find(level => level.config.parameters && name in level.config.parameters);
+        const path = ['config', 'parameters', name];
+
+        if (!parent) {
+            if (!used.has(name)) {
+                warnings.push(
+                    createWarning(
+                        WARNING_CODES.PARAMETER_UNUSED,
+                        `Parameter ${name} is declared but not used in any step or environment variable`,
+                        { path }
+                    )
+                );
+            }
+
+            return;
+        }
+
+        const problem = checkCompatibility(
+            name,
+            getValue(childParameters[name]),
+            getValue(parent.config.parameters[name]),
+            parent.source
+        );
+
+        if (problem) {
+            warnings.push(
+                createWarning(WARNING_CODES.PARAMETER_TYPE_MISMATCH, problem, { path, template: parent.source })
+            );
+        }
+    });
+
+    return warnings;
+}
+
+module.exports = {
+    analyzeParameters,
+    findReferences,
+    getParameterDefaults,
+    substituteParameters
+};
@@ -0,0 +1,151 @@
+'use strict';
+
+const Hoek = require('@hapi/hoek');
+const { merge, mergeTemplateIntoJob } = require('./helper');
+
+// Fields a job replaces as a whole rather than merges with shared settings
+const REPLACED_FIELDS = [
+    'image',
+    'matrix',
+    'steps',
+    'template',
+    'order',
+    'description',
+    'cache',
+    'parameters',
+    'provider'
+];
+
+/**
+ * Merge shared settings into a job, the job taking precedence
+ * @method mergeShared
+ * @param  {Object} shared Shared settings of the pipeline template
+ * @param  {Object} job    Job config
+ * @return {Object}        New job config
+ */
+function mergeShared(shared, job) {
+    const newJob = Hoek.clone(shared || {});
+    const oldJob = Hoek.clone(job || {});
+
+    REPLACED_FIELDS.forEach(field => {
+        if (oldJob[field] !== undefined) {
+            newJob[field] = oldJob[field];
+        }
+    });
+
+    merge(newJob, oldJob, false);
+
+    return newJob;
+}
+
+/**
+ * Merge the template a job refers to into the job
+ * @method resolveJobTemplate
+ * @param  {Object}          job             Job config with template
+ * @param  {TemplateFactory} templateFactory Template Factory to get template from
+ * @return {Promise}                         Resolves to object with the job config and merge warnings
+ */
+async function resolveJobTemplate(job, templateFactory) {
+    const { childJobConfig, parentTemplateImages, warnings } = await mergeTemplateIntoJob(
+        { config: job },
+        templateFactory
+    );
+
+    // Keep job fields the template merge does not handle, e.g. matrix
+    Object.keys(job)
+        .filter(field => !['template', 'order', 'merge'].includes(field) && childJobConfig[field] === undefined)
+        .forEach(field => {
+            childJobConfig[field] = job[field];
+        });
+
+    // The job image may be a label of the template images
+    if (parentTemplateImages && parentTemplateImages[childJobConfig.image] !== undefined) {
+        childJobConfig.image = parentTemplateImages[childJobConfig.image];
+    }
+
+    return { config: childJobConfig, warnings };
+}
+
+/**
+ * Expand the matrix of a job into one variant per combination of axis values,
+ * each with the values set as environment variables
+ * @method expandMatrix
+ * @param  {Object}   job Job config
+ * @return {Object[]}     Variants with config, and the matrix combination if the job has a matrix
+ */
+function expandMatrix(job) {
+    const { matrix = {}, ...config } = job;
+    const axes = Object.keys(matrix);
+
+    if (axes.length === 0) {
+        return [{ config }];
+    }
+
+    const combinations = axes.reduce(
+        (partial, axis) =>
+            partial.flatMap(combination => [].concat(matrix[axis]).map(value => ({ ...combination, [axis]: value }))),
+        [{}]
+    );
+
+    return combinations.map(combination => {
+        const variant = Hoek.clone(config);
+
+        variant.environment = { ...variant.environment };
+        axes.forEach(axis => {
+            variant.environment[axis] = String(combination[axis]);
+        });
+
+        return { matrix: combination, config: variant };
+    });
+}
+
+/**
+ * Compute the effective config of every job of a pipeline template: shared settings merged in,
+ * job templates resolved when a template factory is given and matrix axes expanded
+ * @method expandPipelineJobs
+ * @param  {Object}          pipelineConfig    Config of a valid pipeline template, with jobs and shared
+ * @param  {TemplateFactory} [templateFactory] Template Factory to get job templates from
+ * @return {Promise}                           Resolves to object with:
+ *                                             - effective jobs with job name, config and matrix combination
+ *                                             - structured warnings from merging job templates, with job name
+ */
+async function expandPipelineJobs(pipelineConfig, templateFactory) {
+    const { shared, jobs = {} } = pipelineConfig;
+    const effectiveJobs = [];
+    let warnings = [];
+
+    const jobNames = Object.keys(jobs);
+
+    // Resolve one job at a time to keep the jobs in the order they are defined
+    for (let i = 0; i < jobNames.length; i += 1) {
+        const jobName = jobNames[i];
+        let config = mergeShared(shared, jobs[jobName]);
+
+        if (config.template && templateFactory) {
+            // eslint-disable-next-line no-await-in-loop
+            const resolved = await resolveJobTemplate(config, templateFactory);
+
+            resolved.warnings.forEach(warning => {
+                // Point at the shared settings for fields the job inherits from them
+                const inherited = jobs[jobName][warning.path[0]] === undefined && shared !== undefined;
+
+                warning.job = jobName;
+                warning.path = (inherited ? ['config', 'shared'] : ['config', 'jobs', jobName]).concat(warning.path);
+            });
+            warnings = warnings.concat(resolved.warnings);
+            ({ config } = resolved);
+        }
+
+        expandMatrix(config).forEach(variant => {
+            effectiveJobs.push({ name: jobName, ...variant });
+        });
+    }
+
+    return { effectiveJobs, warnings };
+}
+
+module.exports = {
+    expandMatrix,
+    expandPipelineJobs,
+    mergeShared
+};
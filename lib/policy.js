@@ -0,0 +1,372 @@
+'use strict';
+
+const Hoek = require('@hapi/hoek');
+const Joi = require('joi');
+const { LOCAL_SOURCE, buildProvenance } = require('./provenance');
+const { SEVERITIES, WARNING_CODES, createWarning } = require('./warnings');
+
+// A pattern written like "/^node:/i" is a regular expression
+const REGEX_PATTERN = /^\/(.+)\/([a-z]*)$/;
+const DEFAULT_REGISTRY = 'docker.io';
+const DEFAULT_NAMESPACE = 'default';
+
+/**
+ * Compile a policy pattern: "/source/flags" is a regular expression, "*" in any other pattern
+ * matches any characters, and a pattern without "*" matches the value exactly
+ * @method compilePattern
+ * @param  {String} pattern Pattern
+ * @return {RegExp}         Regular expression
+ * @throws {SyntaxError}    If the regular expression is invalid
+ */
+function compilePattern(pattern) {
+    const regex = REGEX_PATTERN.exec(pattern);
+
+    if (regex) {
+        return new RegExp(regex[1], regex[2]);
+    }
+
+    const source = pattern
+        .split('*')
+        .map(part => part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+        .join('.*');
+
+    return new RegExp(`^${source}$`);
+}
+
+const SCHEMA_PATTERN = Joi.string()
+    .custom((value, helpers) => {
+        try {
+            compilePattern(value);
+        } catch (err) {
+            return helpers.error('string.regex');
+        }
+
+        return value;
+    })
+    .messages({ 'string.regex': '{{#label}} must be a valid regular expression' });
+const SCHEMA_PATTERNS = Joi.array().items(SCHEMA_PATTERN).single();
+const SCHEMA_RULE = Joi.object({
+    allow: SCHEMA_PATTERNS.description('Patterns values must match one of'),
+    deny: SCHEMA_PATTERNS.description('Patterns values must not match')
+});
+
+/**
+ * Get the registry of an image, Docker Hub if the image does not name one
+ * @method getRegistry
+ * @param  {String} image Image, e.g. "node:18" or "registry.example.com/team/app:1.0"
+ * @return {String}       Registry host, e.g. "docker.io" or "registry.example.com"
+ */
+function getRegistry(image) {
+    const [first, ...rest] = String(image).split('/');
+
+    if (rest.length > 0 && (first.includes('.') || first.includes(':') || first === 'localhost')) {
+        return first;
+    }
+
+    return DEFAULT_REGISTRY;
+}
+
+/**
+ * Values of a job config each rule checks, with the path to the value relative to the job config.
+ * Annotations are matched both as "key" and as "key=value".
+ * @type {Object[]}
+ */
+const POLICY_RULES = [
+    {
+        name: 'images',
+        values: ({ image }) =>
+            image === undefined ? [] : [{ subject: `Image ${image}`, value: image, path: ['image'] }]
+    },
+    {
+        name: 'registries',
+        values: ({ image }) => {
+            if (image === undefined) {
+                return [];
+            }
+
+            const registry = getRegistry(image);
+
+            return [{ subject: `Registry ${registry} of image ${image}`, value: registry, path: ['image'] }];
+        }
+    },
+    {
+        name: 'annotations',
+        values: ({ annotations = {} }) =>
+            Object.keys(annotations).map(key => ({
+                subject: `Annotation ${key}`,
+                value: key,
+                matches: [key, `${key}=${annotations[key]}`],
+                path: ['annotations', key]
+            }))
+    },
+    {
+        name: 'secrets',
+        values: ({ secrets = [] }) =>
+            [].concat(secrets).map((name, i) => ({ subject: `Secret ${name}`, value: name, path: ['secrets', i] }))
+    },
+    {
+        name: 'commands',
+        values: ({ steps = [] }) =>
+            steps.flatMap((item, i) => {
+                const stepName = Object.keys(item)[0];
+                const step = item[stepName];
+                const command = typeof step === 'object' ? step.command : step;
+
+                return typeof command === 'string'
+                    ? [{ subject: `Command of step ${stepName}`, value: command, step: stepName, path: ['steps', i] }]
+                    : [];
+            })
+    }
+];
+
+const SCHEMA_RULES = POLICY_RULES.reduce((keys, { name }) => ({ ...keys, [name]: SCHEMA_RULE }), {});
+const SCHEMA_POLICY = Joi.object({
+    ...SCHEMA_RULES,
+    namespaces: Joi.object()
+        .pattern(Joi.string(), Joi.object(SCHEMA_RULES))
+        .description('Rules by template namespace, taking precedence over the rules above')
+});
+
+/**
+ * Get the namespace of a template, from its namespace or a "namespace/name" name
+ * @method getNamespace
+ * @param  {Object} templateObj Template object
+ * @return {String}             Namespace
+ */
+function getNamespace(templateObj) {
+    if (templateObj.namespace) {
+        return templateObj.namespace;
+    }
+
+    const name = String(templateObj.name || '');
+
+    return name.includes('/') ? name.slice(0, name.lastIndexOf('/')) : DEFAULT_NAMESPACE;
+}
+
+/**
+ * Validate a policy
+ * @method validatePolicy
+ * @param  {Object} policy Policy
+ * @return {Object}        Validated policy
+ * @throws {Error}         If the policy is invalid
+ */
+function validatePolicy(policy) {
+    const { error, value } = SCHEMA_POLICY.validate(policy || {});
+
+    if (error) {
+        throw new Error(`Invalid policy: ${error.message}`);
+    }
+
+    return value;
+}
+
+/**
+ * Check a flattened job config against a policy. Deny patterns take precedence over allow
+ * patterns; if a rule has allow patterns, values must match one of them.
+ * @method checkPolicy
+ * @param  {Object}   job                   Flattened job config
+ * @param  {Object}   policy                Policy with allow and deny patterns by rule (images, registries,
+ *                                          annotations, secrets, commands), and rules by namespace
+ * @param  {Object}   [options]
+ * @param  {String}   [options.namespace]   Namespace of the template, selects the namespace rules
+ * @param  {Object}   [options.images]      Template images, to resolve an image label
+ * @return {Object[]}                       Structured warnings with severity "error", rule, value and path
+ *                                          relative to the job config
+ * @throws {Error}                          If the policy is invalid
+ */
+function checkPolicy(job, policy, options = {}) {
+    const validated = validatePolicy(policy);
+    const overrides = Hoek.reach(validated, ['namespaces', options.namespace || DEFAULT_NAMESPACE]) || {};
+    const images = options.images || {};
+    const resolved = { ...job, image: images[job.image] !== undefined ? images[job.image] : job.image };
+
+    return POLICY_RULES.flatMap(rule => {
+        const { allow, deny = [] } = { ...validated[rule.name], ...overrides[rule.name] };
+        const allowed = allow && allow.map(compilePattern);
+        const denied = deny.map(compilePattern);
+
+        return rule.values(resolved).flatMap(({ subject, value, matches = [value], step, path }) => {
+            const matching = patterns => patterns.findIndex(regex => matches.some(item => regex.test(item)));
+            const deniedIndex = matching(denied);
+            let message;
+
+            if (deniedIndex >= 0) {
+                message = `${subject} matches denied pattern ${deny[deniedIndex]}`;
+            } else if (allowed && matching(allowed) < 0) {
+                message = `${subject} does not match any allowed ${rule.name} pattern`;
+            } else {
+                return [];
+            }
+
+            const warning = createWarning(WARNING_CODES.POLICY_VIOLATION, message, {
+                rule: rule.name,
+                value,
+                step,
+                path
+            });
+
+            // Policies are enforced, so violations are always errors
+            warning.severity = SEVERITIES.ERROR;
+
+            return warning;
+        });
+    });
+}
+
+/**
+ * Find the path to the value of a violation in a job config as written
+ * @method findInConfig
+ * @param  {Object} config    Job config as written
+ * @param  {Object} violation Violation from checkPolicy
+ * @return {Array}            Path relative to the job config, or undefined if the config does not set the value
+ */
+function findInConfig(config, violation) {
+    const [field] = violation.path;
+    let index;
+
+    switch (field) {
+        case 'image':
+            return config.image === undefined ? undefined : ['image'];
+        case 'secrets':
+            index = [].concat(config.secrets || []).indexOf(violation.value);
+            break;
+        case 'steps':
+            index = (config.steps || []).findIndex(item => item && Object.keys(item)[0] === violation.step);
+            break;
+        default:
+            return Hoek.reach(config, violation.path) === undefined ? undefined : violation.path;
+    }
+
+    return index < 0 ? undefined : [field, index];
+}
+
+/**
+ * Key of the value of a violation in a provenance map
+ * @method provenanceKey
+ * @param  {Object} violation Violation from checkPolicy
+ * @return {String}           Key, e.g. "image", "secrets.NPM_TOKEN" or "steps.install"
+ */
+function provenanceKey({ path, value, step }) {
+    const [field] = path;
+
+    if (field === 'image') {
+        return field;
+    }
+
+    return `${field}.${field === 'annotations' ? value : step || value}`;
+}
+
+/**
+ * Point violations of a flattened job template at the template each value came from: at the
+ * YAML path of values the template sets itself, or at the parent template they were inherited from
+ * @method locateJobViolations
+ * @param  {Object[]} violations Violations from checkPolicy, changed in place
+ * @param  {Object}   config     Job config as written
+ * @param  {Object}   provenance Provenance map from buildProvenance
+ * @return {Object[]}            The violations, with paths relative to the template and source if inherited
+ */
+function locateJobViolations(violations, config, provenance) {
+    violations.forEach(violation => {
+        const source = provenance[provenanceKey(violation)];
+        const path = source === undefined || source === LOCAL_SOURCE ? findInConfig(config, violation) : undefined;
+
+        if (path) {
+            violation.path = ['config'].concat(path);
+        } else {
+            violation.path = ['config', violation.path[0]];
+            violation.source = source;
+        }
+    });
+
+    return violations;
+}
+
+/**
+ * Point violations of the effective config of a pipeline job at the job or the shared settings
+ * that set each value
+ * @method locatePipelineViolations
+ * @param  {Object[]} violations     Violations from checkPolicy, changed in place
+ * @param  {Object}   pipelineConfig Config of the pipeline template, with jobs and shared
+ * @param  {String}   jobName        Name of the job
+ * @return {Object[]}                The violations, with paths relative to the template, and job unless
+ *                                   the value comes from the shared settings
+ */
+function locatePipelineViolations(violations, pipelineConfig, jobName) {
+    const jobPath = ['config', 'jobs', jobName];
+
+    violations.forEach(violation => {
+        const jobValuePath = findInConfig(pipelineConfig.jobs[jobName], violation);
+        const sharedValuePath = jobValuePath ? undefined : findInConfig(pipelineConfig.shared || {}, violation);
+
+        if (sharedValuePath) {
+            // Reported once for the shared settings, not for every job that inherits them
+            violation.path = ['config', 'shared'].concat(sharedValuePath);
+
+            return;
+        }
+
+        violation.job = jobName;
+        // Without a path in the job, the value comes from a job template
+        violation.path = jobValuePath ? jobPath.concat(jobValuePath) : jobPath;
+    });
+
+    return violations;
+}
+
+/**
+ * Check a flattened job template against a policy
+ * @method checkJobTemplate
+ * @param  {Object}   templateObj Flattened template object
+ * @param  {Object[]} levels      Levels with source, config and images; root template first, child last
+ * @param  {Object}   policy      Policy as for checkPolicy
+ * @return {Object[]}             Violations with paths relative to the template; violations of inherited
+ *                                values have the source template instead
+ */
+function checkJobTemplate(templateObj, levels, policy) {
+    const violations = checkPolicy(templateObj.config, policy, {
+        namespace: getNamespace(templateObj),
+        images: templateObj.images
+    });
+
+    return locateJobViolations(violations, levels[levels.length - 1].config, buildProvenance(levels, templateObj));
+}
+
+/**
+ * Check the effective config of every job of a pipeline template against a policy. Matrix variants
+ * of a job are reported once.
+ * @method checkPipelineJobs
+ * @param  {Object}   templateObj   Pipeline template object as written
+ * @param  {Object[]} effectiveJobs Effective jobs from expandPipelineJobs
+ * @param  {Object}   policy        Policy as for checkPolicy
+ * @return {Object[]}               Violations with paths relative to the template, and job for values
+ *                                  the job sets
+ */
+function checkPipelineJobs(templateObj, effectiveJobs, policy) {
+    const namespace = getNamespace(templateObj);
+    const reported = new Set();
+
+    return effectiveJobs.flatMap(({ name, config }) =>
+        locatePipelineViolations(checkPolicy(config, policy, { namespace }), templateObj.config, name).filter(
+            violation => {
+                const key = `${violation.path.join('.')} ${violation.message}`;
+
+                if (reported.has(key)) {
+                    return false;
+                }
+
+                reported.add(key);
+
+                return true;
+            }
+        )
+    );
+}
+
+module.exports = {
+    SCHEMA_POLICY,
+    checkJobTemplate,
+    checkPipelineJobs,
+    checkPolicy,
+    getRegistry,
+    validatePolicy
+};
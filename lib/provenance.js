@@ -0,0 +1,111 @@
+'use strict';
+
+const Hoek = require('@hapi/hoek');
+const { getCommand, stepsToObject } = require('./steps');
+
+const LOCAL_SOURCE = 'local';
+const KEYED_FIELDS = ['environment', 'settings', 'annotations', 'parameters'];
+const LIST_FIELDS = ['secrets', 'sourcePaths'];
+
+/**
+ * Find the closest level to the child that matches
+ * @method findLevel
+ * @param  {Object[]} levels  Levels with source, config and images; root template first, child last
+ * @param  {Function} matches Predicate called with each level
+ * @return {String}           Source of the level, or undefined if none matches
+ */
+function findLevel(levels, matches) {
+    for (let i = levels.length - 1; i >= 0; i -= 1) {
+        if (matches(levels[i])) {
+            return levels[i].source;
+        }
+    }
+
+    return undefined;
+}
+
+/**
+ * Find the closest level to the child that matches the first predicate any level matches,
+ * falling back to the direct parent, which is where injected values (e.g. SD_TEMPLATE_NAME) come from
+ * @method findSource
+ * @param  {Object[]}   levels     Levels with source, config and images; root template first, child last
+ * @param  {Function[]} predicates Predicates called with each level, from the most to the least specific
+ * @return {String}                Source of the value
+ */
+function findSource(levels, ...predicates) {
+    const source = predicates.reduce((found, matches) => found || findLevel(levels, matches), undefined);
+
+    if (source !== undefined) {
+        return source;
+    }
+
+    return levels.length > 1 ? levels[levels.length - 2].source : LOCAL_SOURCE;
+}
+
+/**
+ * Build a map from field path to the template (name@version) or "local" config each value came from
+ * @method buildProvenance
+ * @param  {Object[]} levels      Levels with source, config and images; root template first, child last
+ * @param  {Object}   templateObj Flattened template object
+ * @return {Object}               Provenance map, e.g. { "environment.FOO": "ns/parent@1.2.3", "steps.test": "local" }
+ */
+function buildProvenance(levels, templateObj) {
+    const job = templateObj.config || {};
+    const provenance = {};
+
+    KEYED_FIELDS.forEach(field => {
+        Object.keys(job[field] || {}).forEach(key => {
+            const defines = level => Hoek.reach(level.config, [field, key]) !== undefined;
+
+            // Values merged from several levels (e.g. with a "deep" merge directive) come from the closest one
+            provenance[`${field}.${key}`] = findSource(
+                levels,
+                level => defines(level) && Hoek.deepEqual(level.config[field][key], job[field][key]),
+                defines
+            );
+        });
+    });
+
+    LIST_FIELDS.forEach(field => {
+        [].concat(job[field] || []).forEach(value => {
+            provenance[`${field}.${value}`] = findSource(levels, level =>
+                [].concat(level.config[field] || []).includes(value)
+            );
+        });
+    });
+
+    const steps = stepsToObject(job.steps);
+
+    Object.keys(steps).forEach(stepName => {
+        const levelStep = level => stepsToObject(level.config.steps)[stepName];
+
+        // A step overriding only the command of a parent step comes from the level that sets the command
+        provenance[`steps.${stepName}`] = findSource(
+            levels,
+            level => levelStep(level) !== undefined && Hoek.deepEqual(levelStep(level), steps[stepName]),
+            level => levelStep(level) !== undefined && getCommand(levelStep(level)) === getCommand(steps[stepName]),
+            level => levelStep(level) !== undefined
+        );
+    });
+
+    if (job.image !== undefined) {
+        const imageSource = findSource(levels, level => level.config.image !== undefined);
+        const label = levels.find(level => level.source === imageSource).config.image;
+
+        provenance.image = imageSource;
+
+        // The image was resolved from a template images label
+        if (label !== job.image) {
+            provenance[`images.${label}`] = findSource(levels, level => level.images[label] !== undefined);
+        }
+    }
+
+    return provenance;
+}
+
+module.exports = {
+    KEYED_FIELDS,
+    LIST_FIELDS,
+    LOCAL_SOURCE,
+    buildProvenance
+};
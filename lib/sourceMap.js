@@ -0,0 +1,180 @@
+'use strict';
+
+const { LineCounter, isAlias, isMap, isSeq, parseDocument } = require('yaml');
+
+const MERGE_KEY = '<<';
+
+/**
+ * Find the child node of a YAML collection node for a single path segment. Keys of a map that are
+ * not found directly are looked up in the maps merged into it with "<<", as aliases or a sequence
+ * of aliases.
+ * @method getChild
+ * @param  {Object}         node    YAML collection node
+ * @param  {String|Number}  segment Key or index to look up
+ * @param  {Function}       resolve Function resolving an alias to the node it refers to
+ * @return {Object}                 Child node with the alias it was found through, or undefined
+ *                                  if it does not exist
+ */
+function getChild(node, segment, resolve) {
+    if (isMap(node)) {
+        const findPair = key => node.items.find(item => item.key && String(item.key.value) === String(key));
+        const pair = findPair(segment);
+
+        if (pair) {
+            // Point at the key when there is no value, e.g. "image:"
+            return { node: pair.value || pair.key };
+        }
+
+        const merge = findPair(MERGE_KEY);
+        const sources = merge ? [].concat(isSeq(merge.value) ? merge.value.items : merge.value) : [];
+
+        // Earlier maps take precedence over later ones in a merge
+        return sources.filter(isAlias).reduce((found, alias) => {
+            if (found) {
+                return found;
+            }
+
+            const child = getChild(resolve(alias), segment, resolve);
+
+            return child && { node: child.node, alias: child.alias || alias };
+        }, undefined);
+    }
+
+    if (isSeq(node) && node.items[segment]) {
+        return { node: node.items[segment] };
+    }
+
+    return undefined;
+}
+
+/**
+ * Create a function that turns offsets of a YAML string into locations
+ * @method createLocator
+ * @param  {String}      source      YAML contents
+ * @param  {LineCounter} lineCounter Line counter the YAML was parsed with
+ * @return {Function}                Function returning line, column (both 1-based) and snippet of an offset
+ */
+function createLocator(source, lineCounter) {
+    const lines = source.split(/\r?\n/);
+
+    return offset => {
+        const { line, col } = lineCounter.linePos(offset);
+
+        return {
+            line,
+            column: col,
+            snippet: lines[line - 1]
+        };
+    };
+}
+
+/**
+ * Locate the anchor an alias refers to, e.g. "&base" in "base: &base"
+ * @method locateAnchor
+ * @param  {Object}   alias      YAML alias node
+ * @param  {Object}   target     Node the alias refers to
+ * @param  {String}   source     YAML contents
+ * @param  {Function} toLocation Locator from createLocator
+ * @return {Object}              Anchor name with line, column and snippet of its definition
+ */
+function locateAnchor(alias, target, source, toLocation) {
+    const offset = source.lastIndexOf(`&${alias.source}`, target.range[0]);
+
+    return { name: alias.source, ...toLocation(offset >= 0 ? offset : target.range[0]) };
+}
+
+/**
+ * Create a source map for a YAML string which can locate the node at a given path
+ * @method createSourceMap
+ * @param  {String} yamlString YAML contents
+ * @return {Object}            Source map with a locate(path) function
+ */
+function createSourceMap(yamlString) {
+    const source = String(yamlString);
+    const lineCounter = new LineCounter();
+    const doc = parseDocument(source, { lineCounter });
+    const resolve = alias => alias.resolve(doc);
+    const toLocation = createLocator(source, lineCounter);
+
+    /**
+     * Locate the node at the given path. If the path does not exist, the deepest existing
+     * node is used instead (e.g. the parent object of a missing required key). When the path
+     * runs through an alias, the definition of its anchor is returned as well.
+     * @method locate
+     * @param  {Array}  path Path segments, as in Joi error details
+     * @return {Object}      Location with line, column (both 1-based), the source line as snippet
+     *                       and the anchor used, or undefined if the document is empty
+     */
+    function locate(path) {
+        let node = doc.contents;
+        let alias;
+
+        for (let i = 0; i < (path || []).length && node; i += 1) {
+            if (isAlias(node)) {
+                alias = node;
+            }
+
+            const child = getChild(isAlias(node) ? resolve(node) : node, path[i], resolve);
+
+            if (!child) {
+                break;
+            }
+
+            node = child.node;
+            alias = child.alias || alias;
+        }
+
+        if (isAlias(node)) {
+            alias = node;
+        }
+
+        if (!node || !node.range) {
+            return undefined;
+        }
+
+        const location = toLocation(node.range[0]);
+        const target = alias && resolve(alias);
+
+        return target && target.range
+            ? { ...location, anchor: locateAnchor(alias, target, source, toLocation) }
+            : location;
+    }
+
+    return { locate };
+}
+
+/**
+ * Attach line, column and source snippet to each error or warning that has a path
+ * @method addSourceLocations
+ * @param  {Object[]}   items       Errors or warnings with a path array
+ * @param  {String}     yamlString  YAML contents the paths refer to
+ * @return {Object[]}               The same items, with location fields added where found
+ */
+function addSourceLocations(items, yamlString) {
+    if (!Array.isArray(items) || items.length === 0) {
+        return items;
+    }
+
+    const sourceMap = createSourceMap(yamlString);
+
+    items.forEach(item => {
+        if (!item || typeof item !== 'object' || !Array.isArray(item.path)) {
+            return;
+        }
+
+        const location = sourceMap.locate(item.path);
+
+        if (location) {
+            Object.assign(item, location);
+        }
+    });
+
+    return items;
+}
+
+module.exports = {
+    addSourceLocations,
+    createLocator,
+    createSourceMap,
+    locateAnchor
+};
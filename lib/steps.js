@@ -0,0 +1,71 @@
+'use strict';
+
+/**
+ * Normalize step definition, so compressed and uncompressed forms compare equal
+ * @method normalizeStep
+ * @param  {String|Object} step Step definition
+ * @return {String|Object}      Command if the step only has a command, otherwise the definition
+ */
+function normalizeStep(step) {
+    if (step && typeof step === 'object' && Object.keys(step).length === 1 && step.command) {
+        return step.command;
+    }
+
+    return step;
+}
+
+/**
+ * Convert job steps from array to object with normalized definitions
+ * @method stepsToObject
+ * @param  {Array}  steps Job step array of objects
+ * @return {Object}       Step definitions by name
+ */
+function stepsToObject(steps) {
+    return (Array.isArray(steps) ? steps : []).reduce((obj, item) => {
+        if (item && typeof item === 'object') {
+            const key = Object.keys(item)[0];
+
+            obj[key] = normalizeStep(item[key]);
+        }
+
+        return obj;
+    }, {});
+}
+
+/**
+ * Get the step names of a job config in order
+ * @method getStepNames
+ * @param  {Object}   job Job config
+ * @return {String[]}     Step names; undefined for unnamed (string) steps
+ */
+function getStepNames(job) {
+    return (job.steps || []).map(step => (step && typeof step === 'object' ? Object.keys(step)[0] : undefined));
+}
+
+/**
+ * Get the command of a step definition
+ * @method getCommand
+ * @param  {String|Object} step Step definition
+ * @return {String}             Command
+ */
+function getCommand(step) {
+    return step && typeof step === 'object' ? step.command : step;
+}
+
+/**
+ * Check whether a step definition is locked
+ * @method isLocked
+ * @param  {String|Object} step Step definition
+ * @return {Boolean}
+ */
+function isLocked(step) {
+    return Boolean(step && typeof step === 'object' && step.locked);
+}
+
+module.exports = {
+    getCommand,
+    getStepNames,
+    isLocked,
+    normalizeStep,
+    stepsToObject
+};
@@ -0,0 +1,129 @@
+'use strict';
+
+const Hoek = require('@hapi/hoek');
+
+const DEFAULT_MAX_SIZE = 500;
+const DEFAULT_TTL = 5 * 60 * 1000;
+
+/**
+ * Wrap a template factory with a least-recently-used cache of resolved templates, so that
+ * validating many templates fetches each parent only once. Templates are cached by the exact
+ * reference they were requested with; concurrent requests for the same reference share one
+ * fetch. Every caller gets its own copy, so merging can never corrupt the cache.
+ * @method createTemplateCache
+ * @param  {TemplateFactory} templateFactory       Template Factory to get templates from
+ * @param  {Object}          [options]
+ * @param  {Number}          [options.maxSize]     Maximum number of cached entries, default 500
+ * @param  {Number}          [options.ttl]         Time in milliseconds an entry stays valid, default 5 minutes
+ * @return {Object}                                Factory with getTemplate, listVersions and
+ *                                                 getFullNameAndVersion, plus stats() and clear()
+ */
+function createTemplateCache(templateFactory, { maxSize = DEFAULT_MAX_SIZE, ttl = DEFAULT_TTL } = {}) {
+    const entries = new Map();
+    const stats = { hits: 0, misses: 0, evictions: 0 };
+
+    /**
+     * Get a cached value, or fetch it and cache it unless it is null
+     * @method cached
+     * @param  {String}   key   Cache key
+     * @param  {Function} fetch Function returning a promise of the value
+     * @return {Promise}        Resolves to a copy of the value
+     */
+    async function cached(key, fetch) {
+        const entry = entries.get(key);
+
+        if (entry && entry.expires > Date.now()) {
+            stats.hits += 1;
+            // Move to the end, which holds the most recently used entry
+            entries.delete(key);
+            entries.set(key, entry);
+
+            return Hoek.clone(await entry.value);
+        }
+
+        stats.misses += 1;
+        entries.delete(key);
+
+        const value = Promise.resolve().then(fetch);
+
+        entries.set(key, { value, expires: Date.now() + ttl });
+
+        if (entries.size > maxSize) {
+            entries.delete(entries.keys().next().value);
+            stats.evictions += 1;
+        }
+
+        try {
+            const result = await value;
+
+            // Templates that do not exist yet may be published any time
+            if (result === null || result === undefined) {
+                entries.delete(key);
+            }
+
+            return Hoek.clone(result);
+        } catch (err) {
+            entries.delete(key);
+            throw err;
+        }
+    }
+
+    const factory = {
+        /**
+         * Get a template by reference, from the cache when possible
+         * @method getTemplate
+         * @param  {String}  fullTemplateName Template name with version or tag
+         * @return {Promise}                  Resolves to a copy of the template, or null if not found
+         */
+        getTemplate(fullTemplateName) {
+            return cached(`template:${fullTemplateName}`, () => templateFactory.getTemplate(fullTemplateName));
+        },
+
+        /**
+         * Split a full template name into name and version or tag
+         * @method getFullNameAndVersion
+         * @param  {String} fullTemplateName Template name with optional version or tag
+         * @return {Object}                  Result of the wrapped factory
+         */
+        getFullNameAndVersion(fullTemplateName) {
+            return templateFactory.getFullNameAndVersion(fullTemplateName);
+        },
+
+        /**
+         * Number of hits, misses and evictions, and the current number of entries
+         * @method stats
+         * @return {Object} Object with hits, misses, evictions and size
+         */
+        stats() {
+            return { ...stats, size: entries.size };
+        },
+
+        /**
+         * Remove all entries and reset the stats
+         * @method clear
+         */
+        clear() {
+            entries.clear();
+            Object.keys(stats).forEach(key => {
+                stats[key] = 0;
+            });
+        }
+    };
+
+    if (typeof templateFactory.listVersions === 'function') {
+        /**
+         * List the published versions of a template, from the cache when possible
+         * @method listVersions
+         * @param  {String}  templateName Template name including namespace
+         * @return {Promise}              Resolves to array of versions
+         */
+        factory.listVersions = templateName =>
+            cached(`versions:${templateName}`, () => templateFactory.listVersions(templateName));
+    }
+
+    return factory;
+}
+
+module.exports = {
+    createTemplateCache
+};
@@ -0,0 +1,138 @@
+'use strict';
+
+const Joi = require('joi');
+const semver = require('semver');
+const Regex = require('screwdriver-data-schema').config.regex;
+
+// [<NAMESPACE>/]<NAME>[@<VERSION, RANGE OR TAG>]
+const TEMPLATE_REFERENCE = /^(?:([\w-]+)\/)?([\w-]+)(?:@(.+))?$/;
+// 1, 1.2, 1.2.3, 1.x, 1.2.*, ^1.2, ~1.2.3
+const VERSION_SPEC = /^[~^]?\d+(?:\.(?:\d+|[xX*])){0,2}$/;
+// Ranges the Screwdriver API does not understand itself
+const RANGE_OPERATOR = /[~^xX*]/;
+
+/**
+ * Parse a template reference such as "namespace/name@^1.2" or "name@stable"
+ * @method parseTemplateReference
+ * @param  {String} reference Template reference
+ * @return {Object}           Object with reference, namespace, name, fullName and one of
+ *                            exactVersion, range or tag; or null if the syntax is invalid
+ */
+function parseTemplateReference(reference) {
+    const match = TEMPLATE_REFERENCE.exec(reference);
+
+    if (!match) {
+        return null;
+    }
+
+    const [, namespace, name, versionOrTag] = match;
+    const parsed = {
+        reference,
+        namespace,
+        name,
+        fullName: namespace ? `${namespace}/${name}` : name
+    };
+
+    if (versionOrTag === undefined) {
+        return parsed;
+    }
+
+    if (Regex.EXACT_VERSION.test(versionOrTag)) {
+        parsed.exactVersion = versionOrTag;
+    } else if (VERSION_SPEC.test(versionOrTag)) {
+        parsed.range = versionOrTag;
+        parsed.requiresResolution = RANGE_OPERATOR.test(versionOrTag);
+    } else if (Regex.TEMPLATE_TAG_NAME.test(versionOrTag)) {
+        parsed.tag = versionOrTag;
+    } else {
+        return null;
+    }
+
+    return parsed;
+}
+
+/**
+ * Check whether a version satisfies an exact version or range
+ * @method satisfiesVersion
+ * @param  {String}  version Template version
+ * @param  {String}  [spec]  Exact version or range; anything satisfies no spec
+ * @return {Boolean}
+ */
+function satisfiesVersion(version, spec) {
+    if (!spec || version === spec) {
+        return true;
+    }
+
+    if (semver.valid(version) && semver.validRange(spec)) {
+        return semver.satisfies(version, spec);
+    }
+
+    // Versions that are not full semver, e.g. "1.2", only match by prefix
+    return String(version).startsWith(`${spec}.`);
+}
+
+/**
+ * Find the highest version satisfying a range
+ * @method resolveVersion
+ * @param  {String[]} versions Available versions
+ * @param  {String}   range    Version range
+ * @return {String}            Highest matching version, or null if none
+ */
+function resolveVersion(versions, range) {
+    return semver.maxSatisfying(
+        versions.filter(version => semver.valid(version)),
+        range
+    );
+}
+
+/**
+ * Get the template for a reference. Version ranges are resolved to an exact version
+ * against the versions listed by templateFactory.listVersions(fullName) when available;
+ * otherwise, or if it resolves to undefined, the reference is passed on as is, for the factory to resolve.
+ * @method getTemplateByReference
+ * @param  {String}           reference         Template reference
+ * @param  {TemplateFactory}  templateFactory   Template Factory to get template from
+ * @return {Promise}                            Resolves to the template, or null if it does not exist
+ */
+async function getTemplateByReference(reference, templateFactory) {
+    const parsed = parseTemplateReference(reference);
+
+    if (!parsed) {
+        throw new Error(`Template reference ${reference} is invalid`);
+    }
+
+    const versions =
+        parsed.range && typeof templateFactory.listVersions === 'function'
+            ? await templateFactory.listVersions(parsed.fullName)
+            : undefined;
+
+    // Factories that combine others may only list the versions of some templates
+    if (versions !== undefined) {
+        const version = resolveVersion(versions || [], parsed.range);
+
+        return version ? templateFactory.getTemplate(`${parsed.fullName}@${version}`) : null;
+    }
+
+    if (parsed.requiresResolution) {
+        throw new Error(`Template ${reference} uses a version range, but the template factory cannot list versions`);
+    }
+
+    return templateFactory.getTemplate(reference);
+}
+
+const SCHEMA_TEMPLATE_REFERENCE = Joi.string()
+    .max(128)
+    .custom((value, helpers) => (parseTemplateReference(value) ? value : helpers.error('string.templateReference')))
+    .messages({
+        'string.templateReference':
+            '{{#label}} must be a template reference like namespace/name@1.2.3, ' +
+            'namespace/name@^1.2, namespace/name@1.x or namespace/name@tag'
+    });
+
+module.exports = {
+    SCHEMA_TEMPLATE_REFERENCE,
+    getTemplateByReference,
+    parseTemplateReference,
+    resolveVersion,
+    satisfiesVersion
+};
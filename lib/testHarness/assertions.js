@@ -0,0 +1,175 @@
+'use strict';
+
+const Hoek = require('@hapi/hoek');
+const { createBuildPlan } = require('../buildPlan');
+
+/**
+ * Get the steps of a job config in the order a build runs them, teardown steps last
+ * @method getStepOrder
+ * @param  {Object}   job Job config
+ * @return {String[]}     Step names
+ */
+function getStepOrder(job) {
+    return createBuildPlan({ config: job }).steps.map(({ name }) => name);
+}
+
+/**
+ * Assertions a template test can make about the result of validating a template. Each assertion
+ * checks the expected value it is given against the result, and the job config for assertions
+ * about a job.
+ * @type {Object[]}
+ */
+const ASSERTIONS = [
+    {
+        name: 'valid',
+        description: 'Whether the template has no errors',
+        check(expected, { result }) {
+            const valid = result.errors.length === 0;
+
+            if (valid === Boolean(expected)) {
+                return undefined;
+            }
+
+            return valid
+                ? 'Expected errors, but the template is valid'
+                : `Expected no errors, but got: ${result.errors.map(error => error.message).join('; ')}`;
+        }
+    },
+    {
+        name: 'image',
+        description: 'Image of the job',
+        check(expected, { job }) {
+            return job.image === expected ? undefined : `Expected image ${expected}, but got ${job.image}`;
+        }
+    },
+    {
+        name: 'environment',
+        description: 'Environment variables of the job, by name',
+        check(expected, { job }) {
+            const environment = job.environment || {};
+            const mismatches = Object.keys(expected).filter(key => !Hoek.deepEqual(environment[key], expected[key]));
+
+            return mismatches.length === 0
+                ? undefined
+                : mismatches
+                      .map(key => `Expected env ${key} to equal ${expected[key]}, but got ${environment[key]}`)
+                      .join('; ');
+        }
+    },
+    {
+        name: 'stepsInOrder',
+        description: 'Steps of the job, each running before the next',
+        check(expected, { job }) {
+            const order = getStepOrder(job);
+            const steps = `the steps are: ${order.join(', ') || '(none)'}`;
+            const missing = expected.find(step => !order.includes(step));
+
+            if (missing !== undefined) {
+                return `Expected step ${missing}, but ${steps}`;
+            }
+
+            const index = expected.findIndex(
+                (step, i) => i > 0 && order.indexOf(expected[i - 1]) > order.indexOf(step)
+            );
+
+            return index < 0
+                ? undefined
+                : `Expected step ${expected[index - 1]} to run before ${expected[index]}, but ${steps}`;
+        }
+    },
+    {
+        name: 'warnings',
+        description: 'Codes of warnings that are emitted, or [] for none',
+        check(expected, { result }) {
+            const codes = (result.warnings || []).map(warning => warning.code);
+
+            if (expected.length === 0) {
+                return codes.length === 0 ? undefined : `Expected no warnings, but got: ${codes.join(', ')}`;
+            }
+
+            const missing = expected.filter(code => !codes.includes(code));
+
+            return missing.length === 0
+                ? undefined
+                : `Expected warning ${missing.join(', ')}, but got: ${codes.join(', ') || '(none)'}`;
+        }
+    },
+    {
+        name: 'errors',
+        description: 'Types (e.g. string.base) or parts of messages of errors that are reported, or [] for none',
+        check(expected, { result }) {
+            const { errors } = result;
+            const describe = () => errors.map(error => error.type || error.message).join(', ') || '(none)';
+
+            if (expected.length === 0) {
+                return errors.length === 0 ? undefined : `Expected no errors, but got: ${describe()}`;
+            }
+
+            const missing = expected.filter(
+                text => !errors.some(error => error.type === text || String(error.message).includes(text))
+            );
+
+            return missing.length === 0 ? undefined : `Expected error ${missing.join(', ')}, but got: ${describe()}`;
+        }
+    }
+];
+
+/**
+ * Find the job config an assertion is about: the flattened template of a job template, or a job of a
+ * pipeline template, its effective config if the pipeline was validated with expandJobs
+ * @method getJob
+ * @param  {Object} result  Result of validating the template
+ * @param  {String} [name]  Job name, for pipeline templates
+ * @return {Object}         Job config, or undefined if there is no such job
+ */
+function getJob(result, name) {
+    const config = (result.template && result.template.config) || {};
+
+    if (name === undefined) {
+        return config;
+    }
+
+    const effective = (result.effectiveJobs || []).find(job => job.name === name);
+
+    return effective ? effective.config : (config.jobs || {})[name];
+}
+
+/**
+ * Check assertions against the result of validating a template
+ * @method checkAssertions
+ * @param  {Object[]} assertions Assertions as written, e.g. [{ stepsInOrder: ['install', 'test'] },
+ *                               { environment: { FOO: 'bar' }, job: 'main' }]
+ * @param  {Object}   result     Result of validating the template
+ * @return {Object[]}            Failures with message and the assertion that failed
+ */
+function checkAssertions(assertions, result) {
+    const names = ASSERTIONS.map(({ name }) => name);
+
+    return [].concat(assertions || []).flatMap(assertion => {
+        const { job: jobName, ...rest } = assertion || {};
+        const keys = Object.keys(rest);
+        const unknown = keys.find(key => !names.includes(key));
+
+        if (keys.length !== 1 || unknown) {
+            return {
+                assertion,
+                message: `Invalid assertion ${JSON.stringify(assertion)}; use one of: ${names.join(', ')}`
+            };
+        }
+
+        const job = getJob(result, jobName);
+
+        if (!job) {
+            return { assertion, message: `Job ${jobName} does not exist` };
+        }
+
+        const message = ASSERTIONS.find(({ name }) => name === keys[0]).check(rest[keys[0]], { result, job });
+
+        return message ? { assertion, message: `${keys[0]}: ${message}` } : [];
+    });
+}
+
+module.exports = {
+    ASSERTIONS,
+    checkAssertions
+};
@@ -0,0 +1,47 @@
+'use strict';
+
+/**
+ * Format a path like ["template", "config", "steps", 1] as template.config.steps[1]
+ * @method formatPath
+ * @param  {Array}  path Path segments
+ * @return {String}      Path
+ */
+function formatPath(path) {
+    if (path.length === 0) {
+        return '(root)';
+    }
+
+    return path
+        .map((segment, i) => (typeof segment === 'number' ? `[${segment}]` : `${i > 0 ? '.' : ''}${segment}`))
+        .join('');
+}
+
+/**
+ * Format a value of a difference
+ * @method formatValue
+ * @param  {*}      value Value
+ * @return {String}       JSON of the value, or "(missing)"
+ */
+function formatValue(value) {
+    return value === undefined ? '(missing)' : JSON.stringify(value);
+}
+
+/**
+ * Render differences from diffValues of lib/diff as readable lines
+ * @method formatDiff
+ * @param  {Object[]} differences Differences
+ * @param  {String}   [indent]    Indentation of every line
+ * @return {String[]}             Lines
+ */
+function formatDiff(differences, indent = '') {
+    return differences.flatMap(({ path, expected, actual }) => [
+        `${indent}${formatPath(path)}`,
+        `${indent}  - expected: ${formatValue(expected)}`,
+        `${indent}  + actual:   ${formatValue(actual)}`
+    ]);
+}
+
+module.exports = {
+    formatDiff,
+    formatPath
+};
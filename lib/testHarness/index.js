@@ -0,0 +1,191 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { diffValues } = require('../diff');
+const { loadYaml } = require('../yamlLoader');
+const { ASSERTIONS, checkAssertions } = require('./assertions');
+const { formatDiff } = require('./diff');
+
+const TEST_FILE_EXTENSIONS = ['.yaml', '.yml'];
+const ASSERTIONS_SUFFIX = '.assertions';
+const SNAPSHOT_EXTENSION = '.json';
+// Directory of a test directory with the templates the tested templates refer to
+const FIXTURE_DIRECTORY = 'templates';
+
+/**
+ * Find the template tests of a directory: every YAML file is a template to test, with an optional
+ * snapshot of the expected output in <name>.json and optional assertions in <name>.assertions.yaml
+ * @method discoverTemplateTests
+ * @param  {String}  location Path to the test directory
+ * @return {Promise}          Resolves to tests with name, file, snapshotFile and assertionsFile,
+ *                            the last two only if they exist, sorted by name
+ */
+async function discoverTemplateTests(location) {
+    const entries = await fs.promises.readdir(location, { withFileTypes: true });
+    const files = entries.filter(entry => entry.isFile()).map(entry => entry.name);
+    const isTestFile = file =>
+        TEST_FILE_EXTENSIONS.includes(path.extname(file)) &&
+        !path.basename(file, path.extname(file)).endsWith(ASSERTIONS_SUFFIX);
+
+    return files
+        .filter(isTestFile)
+        .sort()
+        .map(file => {
+            const name = path.basename(file, path.extname(file));
+            const assertionsFile = TEST_FILE_EXTENSIONS.map(ext => `${name}${ASSERTIONS_SUFFIX}${ext}`).find(
+                candidate => files.includes(candidate)
+            );
+            const test = {
+                name,
+                file: path.join(location, file),
+                snapshotFile: path.join(location, `${name}${SNAPSHOT_EXTENSION}`)
+            };
+
+            if (!files.includes(`${name}${SNAPSHOT_EXTENSION}`)) {
+                delete test.snapshotFile;
+            }
+
+            if (assertionsFile) {
+                test.assertionsFile = path.join(location, assertionsFile);
+            }
+
+            return test;
+        });
+}
+
+/**
+ * Get the path of the fixture templates of a test directory, if it has any
+ * @method findFixtures
+ * @param  {String}  location Path to the test directory
+ * @return {Promise}          Resolves to the path of the templates directory, or undefined
+ */
+async function findFixtures(location) {
+    const fixtures = path.join(location, FIXTURE_DIRECTORY);
+
+    try {
+        return (await fs.promises.stat(fixtures)).isDirectory() ? fixtures : undefined;
+    } catch (err) {
+        return undefined;
+    }
+}
+
+/**
+ * Run a single template test: validate the template, then compare the output with the snapshot
+ * and check the assertions
+ * @method runTemplateTest
+ * @param  {Object}   test                   Test from discoverTemplateTests
+ * @param  {Function} validateTemplate       Function validating the YAML of a template, resolving to the output
+ * @param  {Object}   [options]
+ * @param  {Boolean}  [options.update]       Write the output as snapshot instead of comparing it; tests with
+ *                                           assertions only get a snapshot if they already have one
+ * @return {Promise}                         Resolves to result with name, file, passed, failures (each with
+ *                                           message and, for snapshots, differences) and updated
+ */
+async function runTemplateTest(test, validateTemplate, { update = false } = {}) {
+    const result = { name: test.name, file: test.file, passed: true, failures: [], updated: false };
+    let output;
+    let assertions;
+
+    try {
+        output = await validateTemplate(await fs.promises.readFile(test.file, 'utf-8'));
+        assertions = test.assertionsFile ? loadYaml(await fs.promises.readFile(test.assertionsFile, 'utf-8')) : [];
+    } catch (err) {
+        result.passed = false;
+        result.failures.push({ message: err.message });
+
+        return result;
+    }
+
+    // Compare what a snapshot would hold, without undefined values
+    const actual = JSON.parse(JSON.stringify(output));
+
+    if (update && (test.snapshotFile || !test.assertionsFile)) {
+        const snapshotFile = test.snapshotFile || test.file.replace(/\.ya?ml$/, SNAPSHOT_EXTENSION);
+
+        await fs.promises.writeFile(snapshotFile, `${JSON.stringify(actual, null, 4)}\n`);
+        result.updated = true;
+    } else if (test.snapshotFile) {
+        const differences = diffValues(JSON.parse(await fs.promises.readFile(test.snapshotFile, 'utf-8')), actual);
+
+        if (differences.length > 0) {
+            result.failures.push({
+                message: `Output differs from ${path.basename(test.snapshotFile)}`,
+                differences
+            });
+        }
+    } else if (!test.assertionsFile) {
+        result.failures.push({
+            message: `No ${test.name}${SNAPSHOT_EXTENSION} or ${test.name}${ASSERTIONS_SUFFIX}.yaml; run with update to write the snapshot`
+        });
+    }
+
+    result.failures = result.failures.concat(checkAssertions(assertions, output));
+    result.passed = result.failures.length === 0;
+
+    return result;
+}
+
+/**
+ * Summarize the results of template tests
+ * @method summarizeTests
+ * @param  {Object[]} results Results from runTemplateTest
+ * @return {Object}           Report with passed, results and summary with the number of tests,
+ *                            passed, failed and updated ones
+ */
+function summarizeTests(results) {
+    const passed = results.filter(result => result.passed).length;
+
+    return {
+        passed: passed === results.length,
+        results,
+        summary: {
+            tests: results.length,
+            passed,
+            failed: results.length - passed,
+            updated: results.filter(result => result.updated).length
+        }
+    };
+}
+
+/**
+ * Render a report of template tests with the failed assertions and snapshot differences
+ * @method formatTestReport
+ * @param  {Object} report Report from summarizeTests
+ * @return {String}        Report
+ */
+function formatTestReport(report) {
+    const lines = [];
+
+    report.results.forEach(result => {
+        if (result.passed) {
+            lines.push(`✔ ${result.name}${result.updated ? ' (snapshot written)' : ''}`);
+
+            return;
+        }
+
+        lines.push(`✖ ${result.name} (${result.file})`);
+        result.failures.forEach(failure => {
+            lines.push(`    ${failure.message}`);
+            lines.push(...formatDiff(failure.differences || [], '      '));
+        });
+    });
+
+    const { passed, failed, updated } = report.summary;
+
+    lines.push('');
+    lines.push(
+        `${failed > 0 ? '✖' : '✔'} ${passed} passed, ${failed} failed${updated > 0 ? `, ${updated} written` : ''}`
+    );
+
+    return `${lines.join('\n')}\n`;
+}
+
+module.exports = {
+    ASSERTIONS,
+    discoverTemplateTests,
+    findFixtures,
+    formatTestReport,
+    runTemplateTest,
+    summarizeTests
+};
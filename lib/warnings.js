@@ -0,0 +1,114 @@
+'use strict';
+
+/**
+ * Stable codes for warnings produced while validating and merging templates
+ * @type {Object}
+ */
+const WARNING_CODES = {
+    EXTRACT_NOT_EXPRESSIBLE: 'EXTRACT_NOT_EXPRESSIBLE',
+    HOOK_TARGET_MISSING: 'HOOK_TARGET_MISSING',
+    IMAGE_LABEL_UNRESOLVED: 'IMAGE_LABEL_UNRESOLVED',
+    LINT: 'LINT',
+    LOCKED_STEP_MISSING: 'LOCKED_STEP_MISSING',
+    LOCKED_STEP_OVERRIDE: 'LOCKED_STEP_OVERRIDE',
+    MERGE_REMOVE_MISSING: 'MERGE_REMOVE_MISSING',
+    MERGE_WITHOUT_TEMPLATE: 'MERGE_WITHOUT_TEMPLATE',
+    ORDER_STEP_MISSING: 'ORDER_STEP_MISSING',
+    ORDER_WITHOUT_TEMPLATE: 'ORDER_WITHOUT_TEMPLATE',
+    PARAMETER_TYPE_MISMATCH: 'PARAMETER_TYPE_MISMATCH',
+    PARAMETER_UNDECLARED: 'PARAMETER_UNDECLARED',
+    PARAMETER_UNUSED: 'PARAMETER_UNUSED',
+    POLICY_VIOLATION: 'POLICY_VIOLATION',
+    STEP_TARGET_MISSING: 'STEP_TARGET_MISSING',
+    TEARDOWN_SHADOWED: 'TEARDOWN_SHADOWED',
+    TEMPLATE_UNRESOLVED: 'TEMPLATE_UNRESOLVED'
+};
+
+/**
+ * Severities a warning code can be configured with
+ * @type {Object}
+ */
+const SEVERITIES = {
+    ERROR: 'error',
+    WARNING: 'warning',
+    OFF: 'off'
+};
+
+/**
+ * Create a structured warning. The message is kept as the string form of the warning,
+ * so it can still be used wherever plain warning strings were expected.
+ * @method createWarning
+ * @param  {String}   code                One of WARNING_CODES
+ * @param  {String}   message             Human readable message
+ * @param  {Object}   [details]
+ * @param  {String}   [details.step]      Affected step name
+ * @param  {Array}    [details.path]      Path to the offending value, relative to the job config
+ * @param  {String}   [details.template]  Template the warning originates from
+ * @return {Object}                       Warning with code, severity, message and the given details
+ */
+function createWarning(code, message, details = {}) {
+    const warning = { code, severity: SEVERITIES.WARNING, message };
+
+    Object.keys(details).forEach(key => {
+        if (details[key] !== undefined) {
+            warning[key] = details[key];
+        }
+    });
+
+    Object.defineProperty(warning, 'toString', {
+        value: () => warning.message,
+        enumerable: false
+    });
+
+    return warning;
+}
+
+/**
+ * Split warnings into errors and warnings according to a policy. Each warning code can be
+ * promoted to "error", kept as "warning" or turned "off"; codes without a policy become
+ * errors in strict mode and stay warnings otherwise. Warnings created with severity "error"
+ * (e.g. by lint rules configured that way) are always errors.
+ * @method applyWarningPolicy
+ * @param  {Object[]} warnings                  Structured warnings
+ * @param  {Object}   [options]
+ * @param  {Boolean}  [options.strict]          Promote warnings to errors by default
+ * @param  {Object}   [options.warningPolicy]   Severity by warning code, e.g. { ORDER_STEP_MISSING: 'off' }
+ * @return {Object}                             Object with errors and the remaining warnings
+ */
+function applyWarningPolicy(warnings, { strict = false, warningPolicy = {} } = {}) {
+    const errors = [];
+    const remaining = [];
+
+    warnings.forEach(warning => {
+        let severity = warningPolicy[warning.code] || (strict ? SEVERITIES.ERROR : SEVERITIES.WARNING);
+
+        if (warning.severity === SEVERITIES.ERROR) {
+            severity = SEVERITIES.ERROR;
+        }
+
+        switch (severity) {
+            case SEVERITIES.ERROR:
+                warning.severity = SEVERITIES.ERROR;
+                errors.push(warning);
+                break;
+            case SEVERITIES.WARNING:
+                remaining.push(warning);
+                break;
+            case SEVERITIES.OFF:
+                break;
+            default:
+                throw new Error(
+                    `Invalid severity ${severity} for ${warning.code}; use one of: ${Object.values(SEVERITIES).join(', ')}`
+                );
+        }
+    });
+
+    return { errors, warnings: remaining };
+}
+
+module.exports = {
+    SEVERITIES,
+    WARNING_CODES,
+    applyWarningPolicy,
+    createWarning
+};
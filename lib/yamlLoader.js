@@ -0,0 +1,267 @@
+'use strict';
+
+const Yaml = require('js-yaml');
+const { LineCounter, isAlias, isCollection, isPair, parseAllDocuments } = require('yaml');
+const { createLocator, locateAnchor } = require('./sourceMap');
+
+const DEFAULT_LIMITS = {
+    // Number of aliases in the document once every alias is expanded
+    maxAliasCount: 100,
+    // Nesting of collections, counting the collections reached through aliases
+    maxDepth: 64,
+    // Length of the YAML string in characters
+    maxSize: 1024 * 1024
+};
+
+/**
+ * Get the child nodes of a YAML node: the items of a sequence, the keys and values of a map
+ * @method getChildren
+ * @param  {Object}   node YAML node
+ * @return {Object[]}      Child nodes
+ */
+function getChildren(node) {
+    if (!isCollection(node)) {
+        return [];
+    }
+
+    return node.items.flatMap(item => (isPair(item) ? [item.key, item.value] : [item])).filter(Boolean);
+}
+
+/**
+ * Create the error thrown for YAML that cannot be loaded, in the same shape as parse errors
+ * @method createError
+ * @param  {String} reason   Message
+ * @param  {Object} location Line, column and snippet the error refers to
+ * @param  {Object} [anchor] Anchor definition the error refers to
+ * @return {Error}           Error with line, column, snippet and anchor
+ */
+function createError(reason, location, anchor) {
+    const anchorText = anchor ? `; anchor &${anchor.name} is defined at ${anchor.line}:${anchor.column}` : '';
+    const err = new Yaml.YAMLException(`${reason}${anchorText}`, {
+        line: location.line - 1,
+        column: location.column - 1,
+        snippet: location.snippet
+    });
+
+    Object.assign(err, location);
+
+    if (anchor) {
+        err.anchor = anchor;
+    }
+
+    return err;
+}
+
+/**
+ * Check how many aliases a YAML document holds once they are expanded. Aliases of collections
+ * that hold aliases themselves expand to all of those too, which is how "billion laughs" documents
+ * grow exponentially.
+ * @method checkAliases
+ * @param  {Object}   doc           YAML document
+ * @param  {Number}   maxAliasCount Maximum number of expanded aliases
+ * @param  {String}   source        YAML contents
+ * @param  {Function} locate        Locator from createLocator
+ */
+function checkAliases(doc, maxAliasCount, source, locate) {
+    const counts = new Map();
+    const resolving = new Set();
+
+    /**
+     * Count the expanded aliases inside a node
+     * @method count
+     * @param  {Object} node YAML node
+     * @return {Number}      Number of aliases
+     */
+    function count(node) {
+        if (counts.has(node)) {
+            return counts.get(node);
+        }
+
+        let total = 0;
+
+        if (isAlias(node)) {
+            const anchored = node.resolve(doc);
+
+            if (!anchored) {
+                throw createError(`Alias *${node.source} has no anchor`, locate(node.range[0]));
+            }
+
+            if (resolving.has(anchored)) {
+                throw createError(
+                    `Alias *${node.source} refers to a collection that contains it`,
+                    locate(node.range[0]),
+                    locateAnchor(node, anchored, source, locate)
+                );
+            }
+
+            resolving.add(anchored);
+            total = 1 + count(anchored);
+            resolving.delete(anchored);
+
+            if (total > maxAliasCount) {
+                throw createError(
+                    `Alias *${node.source} expands to ${total} aliases, more than the limit of ${maxAliasCount}`,
+                    locate(node.range[0]),
+                    locateAnchor(node, anchored, source, locate)
+                );
+            }
+        } else {
+            const children = getChildren(node);
+
+            resolving.add(node);
+            total = children.reduce((sum, child) => sum + count(child), 0);
+            resolving.delete(node);
+
+            if (total > maxAliasCount) {
+                // Point at the anchor that contributes the most
+                const [heaviest] = children.filter(isAlias).sort((a, b) => counts.get(b) - counts.get(a));
+
+                throw createError(
+                    `YAML expands to ${total} aliases, more than the limit of ${maxAliasCount}`,
+                    locate(node.range[0]),
+                    heaviest && locateAnchor(heaviest, heaviest.resolve(doc), source, locate)
+                );
+            }
+        }
+
+        counts.set(node, total);
+
+        return total;
+    }
+
+    count(doc.contents);
+}
+
+/**
+ * Check that a YAML document is not nested too deeply. Without following aliases, this keeps the
+ * recursion of checkAliases safe; following them checks the document as it is loaded, which is
+ * only safe once checkAliases has limited how far the aliases expand.
+ * @method checkDepth
+ * @param  {Object}   doc           YAML document
+ * @param  {Number}   maxDepth      Maximum depth
+ * @param  {String}   source        YAML contents
+ * @param  {Function} locate        Locator from createLocator
+ * @param  {Boolean}  followAliases Whether to count the collections reached through aliases
+ */
+function checkDepth(doc, maxDepth, source, locate, followAliases) {
+    const stack = [{ node: doc.contents, depth: 1 }];
+
+    while (stack.length > 0) {
+        const { node, depth, alias } = stack.pop();
+
+        if (followAliases && isAlias(node)) {
+            stack.push({ node: node.resolve(doc), depth, alias: node });
+        } else if (isCollection(node)) {
+            if (depth > maxDepth) {
+                throw createError(
+                    `YAML is nested deeper than ${maxDepth} levels`,
+                    locate(alias ? alias.range[0] : node.range[0]),
+                    alias && locateAnchor(alias, alias.resolve(doc), source, locate)
+                );
+            }
+
+            getChildren(node).forEach(child => stack.push({ node: child, depth: depth + 1, alias }));
+        }
+    }
+}
+
+/**
+ * Get the YAML of a single document of a multi-document string. Everything before the
+ * document is blanked out rather than removed, so lines and columns stay the same.
+ * @method getDocumentSource
+ * @param  {String} source YAML contents
+ * @param  {Object} doc    YAML document
+ * @return {String}        YAML of the document
+ */
+function getDocumentSource(source, doc) {
+    const lineStart = source.lastIndexOf('\n', doc.range[0] - 1) + 1;
+
+    return source.slice(0, lineStart).replace(/[^\r\n]/g, ' ') + source.slice(lineStart, doc.range[2]);
+}
+
+/**
+ * Load every document of a YAML string, within limits that protect against documents which
+ * expand to huge objects when their aliases are resolved
+ * @method loadDocuments
+ * @param  {String}  yamlString               YAML contents, with one or more documents
+ * @param  {Object}  [limits]
+ * @param  {Number}  [limits.maxAliasCount]   Maximum number of aliases once expanded, default 100
+ * @param  {Number}  [limits.maxDepth]        Maximum nesting, following aliases, default 64
+ * @param  {Number}  [limits.maxSize]         Maximum length in characters, default 1 MiB
+ * @return {Object[]}                         Documents with the loaded value as template, the YAML of
+ *                                            the document and the line it starts at
+ * @throws {YAMLException}                    If the YAML is invalid or exceeds a limit; limit errors have
+ *                                            line, column, snippet and, for aliases, the anchor definition
+ */
+function loadDocuments(yamlString, limits = {}) {
+    const { maxAliasCount, maxDepth, maxSize } = { ...DEFAULT_LIMITS, ...limits };
+    const source = String(yamlString);
+
+    if (source.length > maxSize) {
+        throw new Yaml.YAMLException(`YAML is ${source.length} characters long, more than the limit of ${maxSize}`);
+    }
+
+    const lineCounter = new LineCounter();
+    // Merge keys and timestamps, as js-yaml loaded them
+    const docs = parseAllDocuments(source, { lineCounter, merge: true, customTags: ['timestamp'] });
+    const locate = createLocator(source, lineCounter);
+    const invalid = docs.find(doc => doc.errors.length > 0);
+
+    if (invalid) {
+        const [error] = invalid.errors;
+
+        throw createError(error.message.split('\n')[0], locate(error.pos[0]));
+    }
+
+    // Leave out empty documents, e.g. after a trailing "---"
+    const documents = docs.filter(doc => doc.contents && doc.contents.range[0] !== doc.contents.range[1]);
+
+    return documents.map(doc => {
+        checkDepth(doc, maxDepth, source, locate, false);
+        checkAliases(doc, maxAliasCount, source, locate);
+        checkDepth(doc, maxDepth, source, locate, true);
+
+        const yaml = documents.length === 1 ? source : getDocumentSource(source, doc);
+        let template;
+
+        try {
+            // checkAliases already limited the expanded aliases; the parser counts them differently
+            template = doc.toJS({ maxAliasCount: -1 });
+        } catch (err) {
+            // e.g. a merge key with a value that is not a map
+            throw createError(err.message, locate(doc.contents.range[0]));
+        }
+
+        return { template, yaml, line: locate(doc.contents.range[0]).line };
+    });
+}
+
+/**
+ * Load a YAML string holding a single document, within the limits of loadDocuments
+ * @method loadYaml
+ * @param  {String}  yamlString YAML contents
+ * @param  {Object}  [limits]   Limits as for loadDocuments
+ * @return {Object}             Loaded value, or undefined for an empty string
+ * @throws {YAMLException}      If the YAML is invalid, exceeds a limit or has several documents
+ */
+function loadYaml(yamlString, limits) {
+    const documents = loadDocuments(yamlString, limits);
+
+    if (documents.length > 1) {
+        const { line } = documents[1];
+
+        throw createError(`Expected a single template, but the YAML has ${documents.length} documents`, {
+            line,
+            column: 1,
+            snippet: String(yamlString).split(/\r?\n/)[line - 1]
+        });
+    }
+
+    return documents.length === 1 ? documents[0].template : undefined;
+}
+
+module.exports = {
+    DEFAULT_LIMITS,
+    loadDocuments,
+    loadYaml
+};
@@ -0,0 +1,14 @@
+'use strict';
+
+module.exports = {
+    name: 'require-test-step',
+    description: 'Templates must have a test step',
+    severity: 'warning',
+    check(templateObj) {
+        const steps = templateObj.config.steps || [];
+
+        return steps.some(step => Object.keys(step)[0] === 'test')
+            ? []
+            : [{ message: 'Template should have a test step', path: ['config', 'steps'] }];
+    }
+};
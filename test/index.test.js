@@ -5,6 +5,8 @@ const fs = require('fs');
 const hoek = require('@hapi/hoek');
 const path = require('path');
 const sinon = require('sinon');
+const { createTemplateFactory } = require('../lib/fileTemplateFactory');
+const { loadYaml } = require('../lib/yamlLoader');
 
 const VALID_FULL_TEMPLATE_PATH = 'valid_full_template.yaml';
 const VALID_EXTENDED_STEPS_TEMPLATE_PATH = 'valid_extended_steps_template.yaml';
@@ -19,6 +21,11 @@ const VALID_ORDER_WITH_LOCKED_STEP_PATH = 'valid_order_and_locked_step_template.
 const BAD_STRUCTURE_TEMPLATE_PATH = 'bad_structure_template.yaml';
 const BAD_ORDER_TEMPLATE_PATH = 'bad_order_missing_locked_step_template.yaml';
 const CHILD_TEMPLATE_WITH_PARAMS = 'child_template_with_params.yaml';
+const VALID_MULTI_LEVEL_TEMPLATE_PATH = 'valid_multi_level_template.yaml';
+const VALID_MERGE_DIRECTIVES_TEMPLATE_PATH = 'valid_merge_directives_template.yaml';
+const VALID_STEP_DIRECTIVES_TEMPLATE_PATH = 'valid_step_directives_template.yaml';
+const POLICY_VIOLATIONS_TEMPLATE_PATH = 'policy_violations_template.yaml';
+const POLICY_PATH = 'policy.yaml';
 
 const VALID_FULL_PIPELINE_TEMPLATE_PATH = 'valid_full_pipeline_template.yaml';
 const BAD_STRUCTURE_PIPELINE_TEMPLATE_PATH = 'bad_structure_pipeline_template.yaml';
@@ -108,6 +115,163 @@ describe('index test', () => {
             validator(loadData(VALID_ORDER_WITH_WARNINGS_PATH), templateFactoryMock).then(config => {
                 assert.isObject(config);
                 assert.deepEqual(config, JSON.parse(loadData('valid_order_and_warnings_template.json')));
+                assert.strictEqual(`${config.warnings[0]}`, config.warnMessages[0]);
+            }));
+
+        it('parses a valid yaml with merge directives', () =>
+            validator(loadData(VALID_MERGE_DIRECTIVES_TEMPLATE_PATH), templateFactoryMock).then(config => {
+                assert.deepEqual(config.errors, []);
+                assert.deepEqual(config.template.config.environment, {
+                    FOO: 'from template',
+                    KEYNAME: 'value',
+                    SD_TEMPLATE_FULLNAME: 'template_namespace/parent',
+                    SD_TEMPLATE_NAME: 'parent',
+                    SD_TEMPLATE_NAMESPACE: 'template_namespace',
+                    SD_TEMPLATE_VERSION: '1.2.3'
+                });
+                assert.deepEqual(config.template.config.secrets, ['SECRET_NAME']);
+                assert.deepEqual(config.template.config.steps, [
+                    { build: 'npm run build' },
+                    { test: 'npm test -- --ci' }
+                ]);
+                assert.isUndefined(config.template.config.merge);
+                assert.deepEqual(
+                    config.warnings.map(({ code, path: warningPath, line }) => ({ code, path: warningPath, line })),
+                    [{ code: 'MERGE_REMOVE_MISSING', path: ['config', 'merge', 'environment', 'remove', 1], line: 16 }]
+                );
+            }));
+
+        it('removes merge directives without a parent template', () =>
+            validator(
+                loadData(VALID_MERGE_DIRECTIVES_TEMPLATE_PATH).replace(
+                    'template: template_namespace/parent@1',
+                    'image: node:18'
+                ),
+                templateFactoryMock
+            ).then(config => {
+                assert.isUndefined(config.template.config.merge);
+                assert.deepEqual(
+                    config.warnings.map(({ code }) => code),
+                    ['MERGE_WITHOUT_TEMPLATE']
+                );
+            }));
+
+        it('parses a valid yaml with step directives', () =>
+            validator(loadData(VALID_STEP_DIRECTIVES_TEMPLATE_PATH), templateFactoryMock).then(config => {
+                assert.deepEqual(config.errors, []);
+                assert.deepEqual(config.template.config.steps, [
+                    { install: 'npm install' },
+                    { audit: 'npm audit' },
+                    { test: 'npm run test:ci' }
+                ]);
+            }));
+
+        it('returns errors for step directives with missing targets', () =>
+            validator(
+                loadData(VALID_STEP_DIRECTIVES_TEMPLATE_PATH).replace('install: audit', 'build: audit'),
+                templateFactoryMock
+            ).then(config => {
+                assert.deepEqual(
+                    config.errors.map(({ code, path: errorPath, line }) => ({ code, path: errorPath, line })),
+                    [{ code: 'STEP_TARGET_MISSING', path: ['config', 'merge', 'steps', 'after', 'build'], line: 13 }]
+                );
+            }));
+
+        it('keeps the injected template environment when merge directives replace it', () =>
+            validator(
+                [
+                    'name: template_namespace/child',
+                    'version: 1.2.3',
+                    'description: template description',
+                    'maintainer: name@domain.org',
+                    'config:',
+                    '  template: template_namespace/parent@1',
+                    '  environment:',
+                    '    B: "2"',
+                    '  merge:',
+                    '    environment:',
+                    '      strategy: replace',
+                    '      remove: [SD_TEMPLATE_VERSION]',
+                    ''
+                ].join('\n'),
+                templateFactoryMock
+            ).then(config => {
+                assert.deepEqual(config.errors, []);
+                assert.deepEqual(config.template.config.environment, {
+                    B: '2',
+                    SD_TEMPLATE_FULLNAME: 'template_namespace/parent',
+                    SD_TEMPLATE_NAME: 'parent',
+                    SD_TEMPLATE_NAMESPACE: 'template_namespace',
+                    SD_TEMPLATE_VERSION: '1.2.3'
+                });
+            }));
+
+        it('returns an error for invalid merge directives', () =>
+            validator(
+                loadData(VALID_MERGE_DIRECTIVES_TEMPLATE_PATH).replace('secrets: replace', 'secrets: deep'),
+                templateFactoryMock
+            ).then(config => {
+                assert.match(config.errors[0].message, /^"config.merge.secrets"/);
+            }));
+
+        it('returns errors for values the security policy does not allow', () =>
+            validator(loadData(POLICY_VIOLATIONS_TEMPLATE_PATH), templateFactoryMock, {
+                policy: loadYaml(loadData(POLICY_PATH))
+            }).then(config => {
+                assert.notProperty(config, 'warnings');
+                assert.deepEqual(
+                    config.errors.map(({ code, message, line }) => ({ code, message, line })),
+                    [
+                        {
+                            code: 'POLICY_VIOLATION',
+                            message: 'Image ghcr.io/team/node:latest matches denied pattern *:latest',
+                            line: 7
+                        },
+                        {
+                            code: 'POLICY_VIOLATION',
+                            message:
+                                'Registry ghcr.io of image ghcr.io/team/node:latest does not match any allowed ' +
+                                'registries pattern',
+                            line: 7
+                        },
+                        {
+                            code: 'POLICY_VIOLATION',
+                            message:
+                                'Annotation screwdriver.cd/dockerEnabled matches denied pattern ' +
+                                'screwdriver.cd/dockerEnabled=true',
+                            line: 9
+                        },
+                        {
+                            code: 'POLICY_VIOLATION',
+                            message: 'Secret AWS_KEY does not match any allowed secrets pattern',
+                            line: 12
+                        },
+                        {
+                            code: 'POLICY_VIOLATION',
+                            message:
+                                'Command of step install matches denied pattern /(curl|wget)[^|]*\\|\\s*(ba|z)?sh/',
+                            line: 14
+                        }
+                    ]
+                );
+            }));
+
+        it('points policy violations of inherited values at the parent template', () =>
+            validator(loadData(POLICY_VIOLATIONS_TEMPLATE_PATH), templateFactoryMock, {
+                policy: { commands: { deny: 'npm test' } }
+            }).then(config => {
+                assert.deepEqual(config.errors, [
+                    {
+                        code: 'POLICY_VIOLATION',
+                        severity: 'error',
+                        message: 'Command of step test matches denied pattern npm test',
+                        rule: 'commands',
+                        value: 'npm test',
+                        step: 'test',
+                        path: ['config', 'steps'],
+                        source: 'template_namespace/parent@1.2.3'
+                    }
+                ]);
             }));
 
         it('parses a valid yaml using a parent template with order and locked step', () => {
@@ -131,8 +295,10 @@ describe('index test', () => {
             templateFactoryMock.getTemplate.resolves(templateLockedStep);
 
             return validator(loadData(BAD_ORDER_TEMPLATE_PATH), templateFactoryMock).then(assert.fail, err => {
-                // eslint-disable-next-line max-len
-                assert.match(err, /Order must contain template template_namespace\/parent@1 locked steps: security/);
+                assert.match(
+                    err,
+                    /Order must contain template template_namespace\/parent@1\.2\.3 locked steps: security/
+                );
             });
         });
 
@@ -155,16 +321,453 @@ describe('index test', () => {
                 assert.isNumber(incorrectType);
             }, assert.fail));
 
+        it('attaches source locations to errors', () =>
+            validator(loadData(BAD_STRUCTURE_TEMPLATE_PATH)).then(result => {
+                // missing keys point at the parent object
+                assert.include(result.errors[0], {
+                    line: 1,
+                    column: 1,
+                    snippet: 'name: template_namespace/template_name'
+                });
+                assert.include(result.errors[1], { line: 9, column: 10, snippet: '  image: 1' });
+            }));
+
         it('throws when parsing incorrectly formatted yaml', () =>
             validator('main: :', templateFactoryMock).then(assert.fail, err => {
                 assert.match(err, /YAMLException/);
             }));
 
+        it('reports provenance of overridden values and image labels', () =>
+            validator(loadData(VALID_PARENT_TEMPLATE_PATH), templateFactoryMock, { provenance: true }).then(config => {
+                assert.include(config.provenance, {
+                    'environment.FOO': 'template_namespace/parent@1.2.3',
+                    'environment.KEYNAME': 'local',
+                    'steps.install': 'local',
+                    'steps.test': 'template_namespace/parent@1.2.3',
+                    image: 'local',
+                    'images.stable-image': 'local'
+                });
+            }));
+
+        it('reports the build plan of the flattened template', () =>
+            validator(loadData(VALID_PARENT_TEMPLATE_PATH), templateFactoryMock, { buildPlan: true }).then(config => {
+                const { buildPlan } = config;
+
+                assert.notProperty(config, 'provenance');
+                assert.strictEqual(buildPlan.image, config.template.config.image);
+                assert.deepEqual(
+                    buildPlan.steps.map(({ name }) => name),
+                    config.template.config.steps.map(step => Object.keys(step)[0])
+                );
+                assert.include(
+                    buildPlan.steps.find(({ name }) => name === 'test'),
+                    {
+                        source: 'template_namespace/parent@1.2.3'
+                    }
+                );
+                assert.include(buildPlan.environment, {
+                    SD_TEMPLATE_FULLNAME: 'template_namespace/child',
+                    SD_TEMPLATE_VERSION: '1.2.3'
+                });
+                // eslint-disable-next-line global-require
+                const { formatBuildPlan } = require('../index');
+
+                assert.match(formatBuildPlan(buildPlan), /^# \d+\. test \(from template_namespace\/parent@1\.2\.3\)$/m);
+            }));
+
+        it('does not report provenance unless requested', () =>
+            validator(loadData(VALID_PARENT_TEMPLATE_PATH), templateFactoryMock).then(config => {
+                assert.notProperty(config, 'provenance');
+            }));
+
         it('composing templates merges parameters as well', () =>
             validator(loadData(CHILD_TEMPLATE_WITH_PARAMS), templateFactoryMock).then(config => {
                 assert.isObject(config);
                 assert.deepEqual(config, JSON.parse(loadData('child_template_with_params.json')));
             }));
+
+        describe('warning policy', () => {
+            it('reports warnings as errors in strict mode', () =>
+                validator(loadData(VALID_ORDER_WITH_WARNINGS_PATH), templateFactoryMock, { strict: true }).then(
+                    result => {
+                        const expected = JSON.parse(loadData('valid_order_and_warnings_template.json'));
+
+                        assert.deepEqual(
+                            result.errors,
+                            expected.warnings.map(warning => ({ ...warning, severity: 'error' }))
+                        );
+                        assert.notProperty(result, 'warnings');
+                        assert.notProperty(result, 'warnMessages');
+                        assert.deepEqual(result.template, expected.template);
+                    }
+                ));
+
+            it('reports order without template as an error in strict mode', () =>
+                validator(loadData(INVALID_ORDER_TEMPLATE_PATH), templateFactoryMock, { strict: true }).then(result => {
+                    assert.strictEqual(result.errors.length, 1);
+                    assert.include(result.errors[0], { code: 'ORDER_WITHOUT_TEMPLATE', severity: 'error', line: 10 });
+                }));
+
+            it('applies a severity per warning code', () => {
+                templateFactoryMock.getTemplate.resolves(templateLockedStep);
+
+                return validator(loadData(VALID_ORDER_WITH_LOCKED_STEP_PATH), templateFactoryMock, {
+                    strict: true,
+                    warningPolicy: { ORDER_STEP_MISSING: 'off', LOCKED_STEP_OVERRIDE: 'error' }
+                }).then(result => {
+                    assert.deepEqual(
+                        result.errors.map(error => error.code),
+                        ['LOCKED_STEP_OVERRIDE']
+                    );
+                    assert.notProperty(result, 'warnings');
+                });
+            });
+
+            it('keeps warnings whose policy is warning in strict mode', () =>
+                validator(loadData(VALID_ORDER_WITH_WARNINGS_PATH), templateFactoryMock, {
+                    strict: true,
+                    warningPolicy: { ORDER_STEP_MISSING: 'warning' }
+                }).then(result => {
+                    assert.deepEqual(result.errors, []);
+                    assert.strictEqual(result.warnings.length, 2);
+                }));
+
+            it('throws for an invalid severity', () =>
+                validator(loadData(VALID_ORDER_WITH_WARNINGS_PATH), templateFactoryMock, {
+                    warningPolicy: { ORDER_STEP_MISSING: 'fatal' }
+                }).then(assert.fail, err => {
+                    assert.match(err.message, /Invalid severity fatal for ORDER_STEP_MISSING/);
+                }));
+        });
+
+        it('does not modify the templates returned by the template factory', () => {
+            const original = hoek.clone(template);
+
+            return validator(loadData(VALID_PARENT_TEMPLATE_PATH), templateFactoryMock).then(() => {
+                assert.deepEqual(template, original);
+            });
+        });
+
+        it('fetches parent templates once through a template cache', async () => {
+            // eslint-disable-next-line global-require
+            const cache = require('../index').createTemplateCache(templateFactoryMock);
+
+            templateFactoryMock.getTemplate.resetHistory();
+
+            const first = await validator(loadData(VALID_PARENT_TEMPLATE_PATH), cache);
+            const second = await validator(loadData(VALID_PARENT_TEMPLATE_PATH), cache);
+
+            assert.deepEqual(second, first);
+            sinon.assert.calledOnce(templateFactoryMock.getTemplate);
+            assert.include(cache.stats(), { hits: 1, misses: 1 });
+        });
+
+        it('reports child steps and images incompatible with the parent template', () =>
+            validator(
+                [
+                    'name: template_namespace/child',
+                    'version: 1.2.3',
+                    'description: template description',
+                    'maintainer: name@domain.org',
+                    'config:',
+                    '  template: template_namespace/parent@1',
+                    '  image: unknown-image',
+                    '  steps:',
+                    '    - prebuild: echo before',
+                    '    - teardown-run: echo replaced',
+                    ''
+                ].join('\n'),
+                templateFactoryMock
+            ).then(result => {
+                assert.deepEqual(
+                    result.warnings.map(({ code, template: name, line }) => ({ code, template: name, line })),
+                    [
+                        { code: 'HOOK_TARGET_MISSING', template: 'template_namespace/parent@1.2.3', line: 9 },
+                        { code: 'TEARDOWN_SHADOWED', template: 'template_namespace/parent@1.2.3', line: 10 },
+                        { code: 'IMAGE_LABEL_UNRESOLVED', template: 'template_namespace/parent@1.2.3', line: 7 }
+                    ]
+                );
+            }));
+
+        it('reports undeclared, unused and disallowed parameters with their locations', () => {
+            const parent = hoek.clone(template);
+
+            parent.config.parameters = { 'node-version': ['18', '20'] };
+            templateFactoryMock.getTemplate.resolves(parent);
+
+            return validator(
+                [
+                    'name: template_namespace/child',
+                    'version: 1.2.3',
+                    'description: template description',
+                    'maintainer: name@domain.org',
+                    'config:',
+                    '  template: template_namespace/parent@1',
+                    '  parameters:',
+                    '    node-version: "16"',
+                    '    extra: "1"',
+                    '  steps:',
+                    '    - install: npm install --loglevel $(meta get parameters.loglevel.value)',
+                    ''
+                ].join('\n'),
+                templateFactoryMock
+            ).then(result => {
+                assert.deepEqual(
+                    result.warnings.map(({ code, line, column }) => ({ code, line, column })),
+                    [
+                        { code: 'PARAMETER_UNDECLARED', line: 11, column: 7 },
+                        { code: 'PARAMETER_TYPE_MISMATCH', line: 8, column: 19 },
+                        { code: 'PARAMETER_UNUSED', line: 9, column: 12 }
+                    ]
+                );
+            });
+        });
+
+        describe('lint', () => {
+            const yaml = [
+                'name: template_namespace/template_name',
+                'version: 1.2.3',
+                'description: short',
+                'maintainer: name@domain.org',
+                'config:',
+                '  image: node',
+                '  steps:',
+                '    - install: npm install',
+                '    - install: npm ci',
+                ''
+            ].join('\n');
+
+            it('does not lint unless asked to', () =>
+                validator(yaml, templateFactoryMock).then(result => {
+                    assert.deepEqual(result.errors, []);
+                    assert.notProperty(result, 'warnings');
+                }));
+
+            it('reports lint results with source locations', () =>
+                validator(yaml, templateFactoryMock, { lint: true }).then(result => {
+                    assert.deepEqual(
+                        result.errors.map(({ rule, line, column }) => ({ rule, line, column })),
+                        [{ rule: 'no-duplicate-steps', line: 9, column: 7 }]
+                    );
+                    assert.deepEqual(
+                        result.warnings.map(({ rule, line }) => ({ rule, line })),
+                        [
+                            { rule: 'description-length', line: 3 },
+                            { rule: 'image-tag', line: 6 }
+                        ]
+                    );
+                    assert.deepEqual(result.warnMessages, [
+                        'Description should be at least 10 characters long',
+                        'Image node should be pinned to a tag other than "latest"'
+                    ]);
+                }));
+
+            it('applies the warning policy to lint warnings', () =>
+                validator(yaml, templateFactoryMock, {
+                    lint: { rules: { 'no-duplicate-steps': 'off' } },
+                    warningPolicy: { LINT: 'error' }
+                }).then(result => {
+                    assert.deepEqual(
+                        result.errors.map(error => error.rule),
+                        ['description-length', 'image-tag']
+                    );
+                    assert.notProperty(result, 'warnings');
+                }));
+
+            it('reports a template that follows best practices as valid', () =>
+                validator(loadData(VALID_FULL_TEMPLATE_PATH), templateFactoryMock, { lint: true }).then(result => {
+                    assert.deepEqual(result.errors, []);
+                    assert.notProperty(result, 'warnings');
+                }));
+        });
+
+        describe('template references', () => {
+            const yaml = loadData(VALID_PARENT_TEMPLATE_PATH);
+
+            it('resolves version ranges against the versions listed by the factory', () => {
+                const templateFactory = {
+                    getTemplate: sinon.stub().resolves(template),
+                    listVersions: sinon.stub().resolves(['1.0.0', '1.2.3', '2.0.0'])
+                };
+
+                return validator(yaml.replace('parent@1', 'parent@^1.1'), templateFactory).then(config => {
+                    sinon.assert.calledWith(templateFactory.getTemplate, 'template_namespace/parent@1.2.3');
+                    assert.deepEqual(config.templateChain, [
+                        {
+                            name: 'template_namespace/parent',
+                            reference: 'template_namespace/parent@^1.1',
+                            version: '1.2.3',
+                            id: 7754
+                        }
+                    ]);
+                    assert.strictEqual(config.template.config.environment.SD_TEMPLATE_VERSION, '1.2.3');
+                });
+            });
+
+            it('returns an error for invalid references', () =>
+                validator(yaml.replace('parent@1', 'parent@>=1'), templateFactoryMock).then(result => {
+                    assert.strictEqual(result.errors.length, 1);
+                    assert.match(result.errors[0].message, /^"config.template" must be a template reference like/);
+                }));
+
+            it('merges a template extending a previous version of itself', () => {
+                const base = {
+                    id: 1,
+                    namespace: 'template_namespace',
+                    name: 'base',
+                    version: '1.4.0',
+                    config: { image: 'node:18', steps: [{ install: 'npm ci' }] }
+                };
+
+                return validator(
+                    [
+                        'namespace: template_namespace',
+                        'name: base',
+                        'version: 2.0.0',
+                        'description: template description',
+                        'maintainer: name@domain.org',
+                        'config:',
+                        '  template: template_namespace/base@1',
+                        '  image: node:20',
+                        ''
+                    ].join('\n'),
+                    createTemplateFactory([base])
+                ).then(config => {
+                    assert.deepEqual(config.errors, []);
+                    assert.strictEqual(config.template.config.image, 'node:20');
+                    assert.deepEqual(
+                        config.templateChain.map(({ name, version }) => `${name}@${version}`),
+                        ['template_namespace/base@1.4.0']
+                    );
+                });
+            });
+        });
+
+        describe('multi-level templates', () => {
+            let templateFactory;
+            let middleTemplate;
+
+            beforeEach(() => {
+                middleTemplate = JSON.parse(loadData('template_with_parent.json'));
+                templateFactory = { getTemplate: sinon.stub() };
+                templateFactory.getTemplate.withArgs('template_namespace/middle@2').resolves(middleTemplate);
+                templateFactory.getTemplate.withArgs('template_namespace/parent@1').resolves(template);
+            });
+
+            it('merges every template in the chain', () =>
+                validator(loadData(VALID_MULTI_LEVEL_TEMPLATE_PATH), templateFactory).then(config => {
+                    assert.deepEqual(config, JSON.parse(loadData('valid_multi_level_template.json')));
+                    assert.deepEqual(
+                        config.templateChain.map(t => t.id),
+                        [7755, 7754]
+                    );
+                }));
+
+            it('reports which template each merged value came from', () =>
+                validator(loadData(VALID_MULTI_LEVEL_TEMPLATE_PATH), templateFactory, { provenance: true }).then(
+                    config => {
+                        assert.deepEqual(config.provenance, {
+                            'environment.FOO': 'template_namespace/parent@1.2.3',
+                            'environment.BAR': 'template_namespace/middle@2.0.1',
+                            'environment.SD_TEMPLATE_FULLNAME': 'template_namespace/middle@2.0.1',
+                            'environment.SD_TEMPLATE_NAME': 'template_namespace/middle@2.0.1',
+                            'environment.SD_TEMPLATE_NAMESPACE': 'template_namespace/middle@2.0.1',
+                            'environment.SD_TEMPLATE_VERSION': 'template_namespace/middle@2.0.1',
+                            'environment.KEYNAME': 'local',
+                            'settings.email': 'template_namespace/parent@1.2.3',
+                            'parameters.node-version': 'template_namespace/parent@1.2.3',
+                            'secrets.GIT_KEY': 'template_namespace/parent@1.2.3',
+                            'secrets.NPM_TOKEN': 'template_namespace/middle@2.0.1',
+                            'steps.preinstall': 'template_namespace/middle@2.0.1',
+                            'steps.install': 'template_namespace/parent@1.2.3',
+                            'steps.test': 'template_namespace/parent@1.2.3',
+                            'steps.posttest': 'local',
+                            'steps.teardown-run': 'template_namespace/parent@1.2.3',
+                            image: 'template_namespace/middle@2.0.1',
+                            'images.latest-image': 'template_namespace/middle@2.0.1'
+                        });
+                    }
+                ));
+
+            it('reports the level that sets partially overridden values', () => {
+                template.config.steps.push({ lint: { command: 'npm run lint', locked: false } });
+                template.config.settings.slack = { channels: ['builds'], statuses: ['FAILURE'] };
+
+                return validator(
+                    [
+                        'name: template_namespace/child',
+                        'version: 1.2.3',
+                        'description: template description',
+                        'maintainer: name@domain.org',
+                        'config:',
+                        '  template: template_namespace/middle@2',
+                        '  settings:',
+                        '    slack:',
+                        '      channels: [team]',
+                        '  steps:',
+                        '    - lint: npm run lint -- --fix',
+                        '  merge:',
+                        '    settings: deep',
+                        '    steps:',
+                        '      override: command',
+                        ''
+                    ].join('\n'),
+                    templateFactory,
+                    { provenance: true }
+                ).then(config => {
+                    assert.deepEqual(config.errors, []);
+                    assert.deepEqual(config.template.config.settings.slack, {
+                        channels: ['team'],
+                        statuses: ['FAILURE']
+                    });
+                    assert.include(config.provenance, {
+                        'settings.slack': 'local',
+                        'steps.lint': 'local',
+                        'steps.install': 'template_namespace/parent@1.2.3'
+                    });
+                });
+            });
+
+            it('throws when a template in the chain does not exist', () => {
+                templateFactory.getTemplate.withArgs('template_namespace/parent@1').resolves(null);
+
+                return validator(loadData(VALID_MULTI_LEVEL_TEMPLATE_PATH), templateFactory).then(assert.fail, err => {
+                    assert.match(err.message, /Template template_namespace\/parent@1 does not exist/);
+                });
+            });
+
+            it('throws when the chain contains a cycle', () => {
+                template.config.template = 'template_namespace/middle@2';
+
+                return validator(loadData(VALID_MULTI_LEVEL_TEMPLATE_PATH), templateFactory).then(assert.fail, err => {
+                    assert.strictEqual(
+                        err.message,
+                        'Template chain contains a cycle: template_namespace/child@1.2.3 -> ' +
+                            'template_namespace/middle@2.0.1 -> template_namespace/parent@1.2.3 -> ' +
+                            'template_namespace/middle@2.0.1'
+                    );
+                });
+            });
+
+            it('throws when the chain is too deep', () => {
+                templateFactory.getTemplate.callsFake(name => {
+                    const level = Number(name.split('@')[1]);
+
+                    return Promise.resolve({
+                        id: level,
+                        namespace: 'template_namespace',
+                        name: `level${level}`,
+                        version: `${level}.0.0`,
+                        config: { template: `template_namespace/level${level + 1}@${level + 1}` }
+                    });
+                });
+                middleTemplate.config.template = 'template_namespace/level1@1';
+
+                return validator(loadData(VALID_MULTI_LEVEL_TEMPLATE_PATH), templateFactory).then(assert.fail, err => {
+                    assert.match(err.message, /^Template chain exceeds maximum depth of 10: /);
+                });
+            });
+        });
     });
 
     describe('parse pipeline template', () => {
@@ -198,6 +801,36 @@ describe('index test', () => {
                 assert.isNumber(incorrectType);
             }, assert.fail));
 
+        it('attaches source locations to errors', () =>
+            validator(loadData(BAD_STRUCTURE_PIPELINE_TEMPLATE_PATH)).then(result => {
+                assert.include(result.errors[0], { line: 1, column: 1 });
+                assert.include(result.errors[1], { line: 16, column: 12, snippet: '    image: 1' });
+            }));
+
+        it('reports the effective config of every job when requested', () =>
+            validator(loadData(VALID_FULL_PIPELINE_TEMPLATE_PATH), { expandJobs: true }).then(result => {
+                assert.deepEqual(
+                    result.effectiveJobs.map(({ name, matrix, config }) => ({
+                        name,
+                        matrix,
+                        image: config.image,
+                        nodeVersion: config.environment.NODE_VERSION
+                    })),
+                    [
+                        { name: 'main', matrix: { NODE_VERSION: 18 }, image: 'node:20', nodeVersion: '18' },
+                        { name: 'main', matrix: { NODE_VERSION: 20 }, image: 'node:20', nodeVersion: '20' },
+                        { name: 'test', matrix: { NODE_VERSION: 18 }, image: 'node:18', nodeVersion: '18' },
+                        { name: 'test', matrix: { NODE_VERSION: 20 }, image: 'node:18', nodeVersion: '20' }
+                    ]
+                );
+                assert.strictEqual(result.effectiveJobs[0].config.template, 'foo/bar@1.0.0');
+            }));
+
+        it('does not report effective configs unless requested', () =>
+            validator(loadData(VALID_FULL_PIPELINE_TEMPLATE_PATH)).then(result => {
+                assert.notProperty(result, 'effectiveJobs');
+            }));
+
         it('throws when parsing incorrectly formatted yaml', () =>
             validator('main: :').then(assert.fail, err => {
                 assert.match(err, /YAMLException/);
@@ -225,6 +858,58 @@ describe('index test', () => {
                 assert.deepEqual(config, JSON.parse(loadData('valid_full_pipeline_template_validated.json')));
             }));
 
+        it('reports effective configs with job templates resolved when requested', () =>
+            validator(loadData(VALID_FULL_PIPELINE_TEMPLATE_PATH), templateFactoryMock, { expandJobs: true }).then(
+                result => {
+                    const [main] = result.effectiveJobs;
+
+                    assert.strictEqual(result.effectiveJobs.length, 4);
+                    assert.notProperty(main.config, 'template');
+                    assert.strictEqual(main.config.templateId, 7754);
+                    assert.deepEqual(main.config.steps, [{ install: 'npm install' }, { test: 'npm test' }]);
+                    assert.deepEqual(result.warnMessages, [
+                        'other step definition not found; skipping',
+                        'echo step definition not found; skipping',
+                        'other step definition not found; skipping'
+                    ]);
+                    assert.include(result.warnings[0], {
+                        code: 'ORDER_STEP_MISSING',
+                        job: 'main',
+                        line: 45,
+                        column: 9
+                    });
+                }
+            ));
+
+        it('returns errors for effective configs the security policy does not allow', () =>
+            validator(loadData(VALID_FULL_PIPELINE_TEMPLATE_PATH), templateFactoryMock, {
+                policy: { images: { deny: 'node:18' }, secrets: { allow: 'GIT_KEY' } }
+            }).then(result => {
+                assert.notProperty(result, 'effectiveJobs');
+                assert.deepEqual(
+                    result.errors.map(({ message, job, path: errorPath, line }) => ({
+                        message,
+                        job,
+                        path: errorPath,
+                        line
+                    })),
+                    [
+                        {
+                            message: 'Secret NPM_TOKEN does not match any allowed secrets pattern',
+                            job: undefined,
+                            path: ['config', 'shared', 'secrets', 0],
+                            line: 37
+                        },
+                        {
+                            message: 'Image node:18 matches denied pattern node:18',
+                            job: 'test',
+                            path: ['config', 'jobs', 'test', 'image'],
+                            line: 57
+                        }
+                    ]
+                );
+            }));
+
         it('validates a poorly structured template', () =>
             validator(loadData(BAD_STRUCTURE_PIPELINE_TEMPLATE_PATH), templateFactoryMock).then(result => {
                 assert.deepEqual(result.template, JSON.parse(loadData('bad_structure_pipeline_template.json')));
@@ -249,4 +934,410 @@ describe('index test', () => {
                 assert.match(err, /YAMLException/);
             }));
     });
+
+    describe('validate', () => {
+        const templateFactoryMock = {
+            getTemplate: sinon.stub()
+        };
+
+        beforeEach(() => {
+            template = JSON.parse(loadData('template.json'));
+            templateFactoryMock.getTemplate.resolves(template);
+            // eslint-disable-next-line global-require
+            validator = require('../index').validate;
+        });
+
+        it('detects and validates a job template', () =>
+            validator(loadData(VALID_ORDER_WITH_WARNINGS_PATH), { templateFactory: templateFactoryMock }).then(
+                result => {
+                    const expected = JSON.parse(loadData('valid_order_and_warnings_template.json'));
+
+                    assert.strictEqual(result.kind, 'job');
+                    assert.deepEqual(result, { kind: 'job', ...expected });
+                }
+            ));
+
+        it('warns that the parent of a job template is not resolved without a factory', () =>
+            validator(loadData(VALID_ORDER_WITH_WARNINGS_PATH)).then(result => {
+                assert.deepEqual(result.errors, []);
+                assert.deepEqual(
+                    result.warnings.map(warning => [warning.code, warning.path]),
+                    [['TEMPLATE_UNRESOLVED', ['config', 'template']]]
+                );
+                assert.match(result.warnMessages[0], /^Parent template \S+ is not resolved without a template factory/);
+            }));
+
+        it('detects and parses a pipeline template without a factory', () =>
+            validator(loadData(VALID_FULL_PIPELINE_TEMPLATE_PATH)).then(result => {
+                assert.deepEqual(result, {
+                    kind: 'pipeline',
+                    warnings: [],
+                    warnMessages: [],
+                    ...JSON.parse(loadData('valid_full_pipeline_template_parsed.json'))
+                });
+            }));
+
+        it('returns errors in the same shape for both kinds', () =>
+            Promise.all([
+                validator(loadData(BAD_STRUCTURE_TEMPLATE_PATH)),
+                validator(loadData(BAD_STRUCTURE_PIPELINE_TEMPLATE_PATH), { templateFactory: templateFactoryMock })
+            ]).then(([job, pipeline]) => {
+                assert.strictEqual(job.kind, 'job');
+                assert.strictEqual(pipeline.kind, 'pipeline');
+                [job, pipeline].forEach(result => {
+                    assert.strictEqual(result.errors.length, 2);
+                    assert.deepEqual(result.warnings, []);
+                    assert.deepEqual(result.warnMessages, []);
+                    assert.isObject(result.template);
+                });
+            }));
+
+        it('throws when parsing incorrectly formatted yaml', () =>
+            validator('main: :').then(assert.fail, err => {
+                assert.match(err, /YAMLException/);
+            }));
+
+        it('throws when the yaml exceeds the configured limits', () =>
+            validator(loadData(VALID_FULL_TEMPLATE_PATH), { yamlLimits: { maxDepth: 2 } }).then(assert.fail, err => {
+                assert.match(err, /YAMLException: YAML is nested deeper than 2 levels/);
+                assert.isNumber(err.line);
+            }));
+    });
+
+    describe('validate documents', () => {
+        beforeEach(() => {
+            // eslint-disable-next-line global-require
+            validator = require('../index').validateDocuments;
+        });
+
+        it('validates every document with lines of the whole file', () => {
+            const yaml = [
+                loadData(path.join('repo', 'base.yaml')).trim(),
+                '---',
+                loadData(BAD_STRUCTURE_TEMPLATE_PATH).trim()
+            ].join('\n');
+            const secondLine = yaml.split('\n').indexOf('---') + 2;
+
+            return validator(yaml).then(results => {
+                assert.deepEqual(
+                    results.map(({ document, line, kind }) => ({ document, line, kind })),
+                    [
+                        { document: 1, line: 1, kind: 'job' },
+                        { document: 2, line: secondLine, kind: 'job' }
+                    ]
+                );
+                assert.strictEqual(results[1].errors.length, 2);
+                results[1].errors
+                    .filter(error => error.line)
+                    .forEach(error => assert.isAtLeast(error.line, secondLine));
+            });
+        });
+
+        it('rejects yaml with too many aliases', () =>
+            validator('a: &a [1]\nb: [*a, *a]', { yamlLimits: { maxAliasCount: 1 } }).then(assert.fail, err => {
+                assert.match(err.message, /more than the limit of 1; anchor &a is defined at 1:4/);
+            }));
+    });
+
+    describe('diff templates', () => {
+        let validatorModule;
+
+        beforeEach(() => {
+            // eslint-disable-next-line global-require
+            validatorModule = require('../index');
+        });
+
+        it('compares two template YAMLs and locates version errors', () => {
+            const before = loadData(VALID_FULL_TEMPLATE_PATH);
+            const after = before
+                .replace('version: 1.2.3', 'version: 1.3.0')
+                .replace('    - second_step: ./second_script.sh\n', '');
+
+            return validatorModule.diffTemplates(before, after, { checkVersion: true }).then(result => {
+                assert.deepEqual(
+                    result.changes.map(change => change.type),
+                    ['STEP_REMOVED']
+                );
+                assert.isTrue(result.breaking);
+                assert.strictEqual(result.recommendedBump, 'major');
+                assert.strictEqual(result.versionBump, 'minor');
+                assert.include(result.errors[0], { line: 2, column: 10, snippet: 'version: 1.3.0' });
+            });
+        });
+
+        it('rejects pipeline templates', () =>
+            validatorModule
+                .diffTemplates(loadData(VALID_FULL_PIPELINE_TEMPLATE_PATH), loadData(VALID_FULL_TEMPLATE_PATH))
+                .then(assert.fail, err => {
+                    assert.strictEqual(err.message, 'Only job templates can be compared');
+                }));
+
+        it('compares two versions from the template factory', async () => {
+            const templateFactory = await validatorModule.createFileTemplateFactory(
+                path.resolve(__dirname, 'data', 'templates')
+            );
+            const result = await validatorModule.diffTemplateVersions('sd/nodejs', '1.0.0', 'stable', templateFactory);
+
+            assert.deepEqual(
+                result.changes.map(change => change.type),
+                ['STEP_CHANGED', 'IMAGE_LABEL_ADDED', 'IMAGE_CHANGED']
+            );
+            assert.strictEqual(result.recommendedBump, 'minor');
+            assert.strictEqual(result.versionBump, 'minor');
+        });
+
+        it('throws if a version does not exist', async () => {
+            const templateFactory = await validatorModule.createFileTemplateFactory(
+                path.resolve(__dirname, 'data', 'templates')
+            );
+
+            return validatorModule
+                .diffTemplateVersions('sd/nodejs', '1.0.0', '9.0.0', templateFactory)
+                .then(assert.fail, err => {
+                    assert.strictEqual(err.message, 'Template sd/nodejs@9.0.0 does not exist');
+                });
+        });
+    });
+
+    describe('extract child template', () => {
+        let validatorModule;
+        let templateFactory;
+
+        beforeEach(async () => {
+            // eslint-disable-next-line global-require
+            validatorModule = require('../index');
+            templateFactory = await validatorModule.createFileTemplateFactory(
+                path.resolve(__dirname, 'data', 'templates')
+            );
+        });
+
+        it('extracts a child template that flattens back to the job', async () => {
+            const job = {
+                image: 'node:18',
+                environment: { FOO: 'bar' },
+                steps: [{ install: 'npm ci' }, { test: 'npm test' }, { posttest: 'npm run lint' }]
+            };
+            const result = await validatorModule.extractChildTemplate(job, 'sd/nodejs@^1', { templateFactory });
+
+            assert.deepEqual(result, {
+                config: {
+                    template: 'sd/nodejs@^1',
+                    environment: { FOO: 'bar' },
+                    steps: [{ posttest: 'npm run lint' }]
+                },
+                warnings: []
+            });
+
+            const yaml = JSON.stringify({
+                name: 'ns/app',
+                version: '1.0.0',
+                description: 'App',
+                maintainer: 'foo@bar.com',
+                config: result.config
+            });
+            const parsed = await validatorModule.parseJobTemplate(yaml, templateFactory);
+
+            assert.deepEqual(parsed.errors, []);
+            assert.strictEqual(parsed.template.config.image, 'node:18');
+            assert.deepEqual(parsed.template.config.steps, job.steps);
+        });
+
+        it('extracts against the flattened parent of a template chain', async () => {
+            const chainFactory = createTemplateFactory([
+                {
+                    name: 'sd/nodejs',
+                    version: '1.2.0',
+                    images: { lts: 'node:18' },
+                    config: { image: 'lts', steps: [{ install: 'npm ci' }, { test: 'npm test' }] }
+                },
+                {
+                    name: 'sd/webapp',
+                    version: '1.0.0',
+                    config: { template: 'sd/nodejs@1.2.0', environment: { PORT: '8080' } }
+                }
+            ]);
+            const job = {
+                image: 'node:18',
+                environment: { PORT: '3000' },
+                steps: [{ install: 'npm ci' }, { test: 'npm test' }]
+            };
+            const result = await validatorModule.extractChildTemplate(job, 'sd/webapp@1.0.0', {
+                templateFactory: chainFactory
+            });
+
+            assert.deepEqual(result.config, { template: 'sd/webapp@1.0.0', environment: { PORT: '3000' } });
+            assert.deepEqual(result.warnings, []);
+        });
+
+        it('throws if the parent does not exist', () =>
+            validatorModule.extractChildTemplate({}, 'sd/nodejs@9.0.0', { templateFactory }).then(assert.fail, err => {
+                assert.strictEqual(err.message, 'Template sd/nodejs@9.0.0 does not exist');
+            }));
+    });
+
+    describe('generate json schema', () => {
+        let validatorModule;
+
+        beforeEach(() => {
+            // eslint-disable-next-line global-require
+            validatorModule = require('../index');
+        });
+
+        it('generates the json schema of job templates', () => {
+            const schema = validatorModule.generateJsonSchema('job', { id: 'https://example.com/job.json' });
+
+            assert.strictEqual(schema.$schema, 'https://json-schema.org/draft/2020-12/schema');
+            assert.strictEqual(schema.$id, 'https://example.com/job.json');
+            assert.strictEqual(schema.title, 'Screwdriver job template');
+            assert.includeMembers(schema.required, ['name', 'version', 'description', 'maintainer', 'config']);
+            assert.deepInclude(schema.properties.namespace, {
+                description: 'Namespace of the Template',
+                examples: ['node']
+            });
+            assert.include(schema.properties.config.properties.template, { maxLength: 128 });
+            assert.deepEqual(schema.properties.config.allOf[0], {
+                anyOf: [{ required: ['image'] }, { required: ['template'] }]
+            });
+        });
+
+        it('generates the json schema of pipeline templates and of either kind', () => {
+            const pipeline = validatorModule.generateJsonSchema('pipeline');
+            const either = validatorModule.generateJsonSchema();
+            const { $schema, title, ...pipelineConfig } = pipeline;
+
+            assert.strictEqual(pipeline.title, 'Screwdriver pipeline template');
+            assert.property(pipeline.properties.config.properties, 'jobs');
+            assert.strictEqual(either.title, 'Screwdriver template');
+            assert.deepEqual(either.anyOf[1], pipelineConfig);
+        });
+
+        it('throws for unknown kinds', () => {
+            assert.throws(
+                () => validatorModule.generateJsonSchema('stage'),
+                'Unknown template kind stage; use one of: job, pipeline, template'
+            );
+        });
+    });
+
+    describe('validate templates', () => {
+        let validatorModule;
+        let files;
+
+        beforeEach(() => {
+            // eslint-disable-next-line global-require
+            validatorModule = require('../index');
+            files = ['app.yaml', 'base.yaml', 'broken.yaml'].map(file => ({
+                file,
+                yaml: loadData(path.join('repo', file))
+            }));
+        });
+
+        it('resolves unpublished parents from the set and validates parents first', async () => {
+            const templateFactory = await validatorModule.createFileTemplateFactory(
+                path.resolve(__dirname, 'data', 'template.json')
+            );
+            const report = await validatorModule.validateTemplates(
+                files.concat({ file: 'bad.yaml', yaml: 'config: [' }),
+                { templateFactory }
+            );
+
+            assert.isFalse(report.valid);
+            assert.deepEqual(report.order, ['base.yaml', 'app.yaml', 'broken.yaml', 'bad.yaml']);
+            assert.deepEqual(
+                report.results.map(({ file, kind, name, errors }) => [file, kind, name, errors.length]),
+                [
+                    ['base.yaml', 'job', 'repo_namespace/base', 0],
+                    ['app.yaml', 'job', 'repo_namespace/app', 0],
+                    ['broken.yaml', undefined, 'repo_namespace/broken', 1],
+                    ['bad.yaml', undefined, undefined, 1]
+                ]
+            );
+            assert.strictEqual(report.results[2].errors[0].message, 'Template repo_namespace/missing@1 does not exist');
+            assert.deepEqual(report.graph[0].dependsOn, ['base.yaml']);
+            assert.deepEqual(report.graph[1].external, ['template_namespace/parent@1.2.3']);
+            assert.deepEqual(report.summary, { files: 4, valid: 2, invalid: 2, errors: 2, warnings: 0 });
+        });
+
+        it('resolves version ranges of parents in the set with a factory that cannot list versions', async () => {
+            const templateFactory = {
+                getTemplate: sinon.stub().resolves(null),
+                getFullNameAndVersion: sinon.stub()
+            };
+
+            templateFactory.getTemplate
+                .withArgs('template_namespace/parent@1.2.3')
+                .resolves(JSON.parse(loadData('template.json')));
+
+            const report = await validatorModule.validateTemplates(files.slice(0, 2), { templateFactory });
+
+            assert.isTrue(report.valid);
+            assert.deepEqual(report.order, ['base.yaml', 'app.yaml']);
+        });
+
+        it('validates every document of a multi-document file', async () => {
+            const yaml = files
+                .slice(0, 2)
+                .map(({ yaml: document }) => document)
+                .join('\n---\n');
+            const templateFactory = await validatorModule.createFileTemplateFactory(
+                path.resolve(__dirname, 'data', 'template.json')
+            );
+            const report = await validatorModule.validateTemplates([{ file: 'repo.yaml', yaml }], {
+                templateFactory
+            });
+
+            assert.isTrue(report.valid);
+            assert.deepEqual(report.order, ['repo.yaml#2', 'repo.yaml#1']);
+        });
+
+        it('reports parents that are neither in the set nor published', async () => {
+            const report = await validatorModule.validateTemplates(files.slice(0, 2));
+
+            assert.isFalse(report.valid);
+            assert.strictEqual(
+                report.results[0].errors[0].message,
+                'Template template_namespace/parent@1.2.3 does not exist'
+            );
+            assert.strictEqual(
+                report.results[1].errors[0].message,
+                'Template template_namespace/parent@1.2.3 does not exist'
+            );
+        });
+    });
+    describe('run template tests', () => {
+        const testsPath = path.resolve(__dirname, 'data', 'template_tests');
+
+        beforeEach(() => {
+            // eslint-disable-next-line global-require
+            validator = require('../index').runTemplateTests;
+        });
+
+        it('runs templates against snapshots and assertions with fixture templates', () =>
+            validator(testsPath).then(report => {
+                assert.isTrue(report.passed);
+                assert.deepEqual(report.summary, { tests: 2, passed: 2, failed: 0, updated: 0 });
+            }));
+
+        it('reports failures with other parent templates', () =>
+            validator(testsPath, { templates: path.resolve(__dirname, 'data', 'templates') }).then(report => {
+                const [app, pipeline] = report.results;
+
+                assert.isFalse(report.passed);
+                assert.isTrue(pipeline.passed);
+                assert.includeDeepMembers(app.failures[0].differences, [
+                    {
+                        path: ['template', 'config', 'environment', 'NODE_ENV'],
+                        expected: 'test',
+                        actual: undefined
+                    }
+                ]);
+                assert.deepEqual(
+                    app.failures.slice(1).map(({ message }) => message),
+                    [
+                        'environment: Expected env NODE_ENV to equal test, but got undefined',
+                        'stepsInOrder: Expected step teardown-coverage, but the steps are: preinstall, install, test'
+                    ]
+                );
+            }));
+    });
 });
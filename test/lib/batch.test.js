@@ -0,0 +1,137 @@
+'use strict';
+
+const { assert } = require('chai');
+const sinon = require('sinon');
+const { buildDependencyGraph, combineFactories, getTemplateReferences, sortTopologically } = require('../../lib/batch');
+const { createTemplateFactory } = require('../../lib/fileTemplateFactory');
+
+describe('batch test', () => {
+    const base = { name: 'ns/base', version: '2.0.0', config: { template: 'other/parent@1', steps: [] } };
+    const app = { name: 'ns/app', version: '1.0.0', config: { template: 'ns/base@^2', steps: [] } };
+
+    describe('getTemplateReferences', () => {
+        it('returns the parent of a job template', () => {
+            assert.deepEqual(getTemplateReferences(app), ['ns/base@^2']);
+            assert.deepEqual(getTemplateReferences({ config: { image: 'node:18' } }), []);
+            assert.deepEqual(getTemplateReferences(undefined), []);
+        });
+
+        it('returns the templates of shared settings and jobs of a pipeline template', () => {
+            const pipeline = {
+                config: {
+                    shared: { template: 'ns/base@2' },
+                    jobs: { main: { template: 'ns/app@1' }, other: { template: 'ns/base@2' }, plain: {} }
+                }
+            };
+
+            assert.deepEqual(getTemplateReferences(pipeline), ['ns/base@2', 'ns/app@1']);
+        });
+    });
+
+    describe('combineFactories', () => {
+        let fallbackFactory;
+
+        beforeEach(() => {
+            fallbackFactory = {
+                getTemplate: sinon.stub().callsFake(async name => ({ name: 'published', reference: name })),
+                listVersions: sinon.stub().resolves(['3.0.0']),
+                getFullNameAndVersion: sinon.stub().returns({ templateName: 'ns/base' })
+            };
+        });
+
+        it('returns the local factory without a fallback', () => {
+            const localFactory = createTemplateFactory([base]);
+
+            assert.strictEqual(combineFactories(localFactory), localFactory);
+        });
+
+        it('prefers templates and versions of the repo', async () => {
+            const factory = combineFactories(createTemplateFactory([base]), fallbackFactory);
+
+            assert.strictEqual((await factory.getTemplate('ns/base@2.0.0')).version, '2.0.0');
+            assert.deepEqual(await factory.listVersions('ns/base'), ['2.0.0']);
+            assert.isFalse(fallbackFactory.getTemplate.called);
+            assert.isFalse(fallbackFactory.listVersions.called);
+        });
+
+        it('falls back for templates the repo does not have', async () => {
+            const factory = combineFactories(createTemplateFactory([base]), fallbackFactory);
+
+            assert.deepEqual(await factory.getTemplate('other/parent@1'), {
+                name: 'published',
+                reference: 'other/parent@1'
+            });
+            assert.deepEqual(await factory.listVersions('other/parent'), ['3.0.0']);
+            assert.deepEqual(factory.getFullNameAndVersion('ns/base'), { templateName: 'ns/base' });
+        });
+
+        it('lists versions of the repo even if the fallback cannot', async () => {
+            delete fallbackFactory.listVersions;
+
+            const factory = combineFactories(createTemplateFactory([base]), fallbackFactory);
+
+            assert.deepEqual(await factory.listVersions('ns/base'), ['2.0.0']);
+            assert.isUndefined(await factory.listVersions('other/parent'));
+        });
+    });
+
+    describe('buildDependencyGraph', () => {
+        it('links files to the files of their parents and lists external references', async () => {
+            const entries = [
+                { file: 'app.yaml', template: app },
+                { file: 'base.yaml', template: base },
+                { file: 'bad.yaml', error: new Error('bad') }
+            ];
+            const graph = await buildDependencyGraph(entries, createTemplateFactory([app, base]));
+
+            assert.deepEqual(graph, [
+                { file: 'app.yaml', name: 'ns/app', version: '1.0.0', dependsOn: ['base.yaml'], external: [] },
+                {
+                    file: 'base.yaml',
+                    name: 'ns/base',
+                    version: '2.0.0',
+                    dependsOn: [],
+                    external: ['other/parent@1']
+                },
+                { file: 'bad.yaml', name: undefined, version: undefined, dependsOn: [], external: [] }
+            ]);
+        });
+
+        it('lists references to versions the repo does not have as external', async () => {
+            const child = { name: 'ns/child', version: '1.0.0', config: { template: 'ns/base@1' } };
+            const graph = await buildDependencyGraph(
+                [
+                    { file: 'child.yaml', template: child },
+                    { file: 'base.yaml', template: base }
+                ],
+                createTemplateFactory([child, base])
+            );
+
+            assert.deepEqual(graph[0].dependsOn, []);
+            assert.deepEqual(graph[0].external, ['ns/base@1']);
+        });
+    });
+
+    describe('sortTopologically', () => {
+        it('puts parents before their children and keeps the order otherwise', () => {
+            const graph = [
+                { file: 'a', dependsOn: ['c'] },
+                { file: 'b', dependsOn: [] },
+                { file: 'c', dependsOn: ['d'] },
+                { file: 'd', dependsOn: [] }
+            ];
+
+            assert.deepEqual(sortTopologically(graph), ['b', 'd', 'c', 'a']);
+        });
+
+        it('puts files in a cycle last', () => {
+            const graph = [
+                { file: 'a', dependsOn: ['b'] },
+                { file: 'b', dependsOn: ['a'] },
+                { file: 'c', dependsOn: [] }
+            ];
+
+            assert.deepEqual(sortTopologically(graph), ['c', 'a', 'b']);
+        });
+    });
+});
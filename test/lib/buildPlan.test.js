@@ -0,0 +1,122 @@
+'use strict';
+
+/* eslint-disable no-template-curly-in-string */
+
+const { assert } = require('chai');
+const { createBuildPlan, formatBuildPlan } = require('../../lib/buildPlan');
+
+describe('buildPlan test', () => {
+    let template;
+
+    beforeEach(() => {
+        template = {
+            name: 'ns/child',
+            version: '2.0.0',
+            images: { stable: 'node:18' },
+            config: {
+                image: 'stable',
+                parameters: { region: ['us-west', 'us-east'] },
+                environment: {
+                    REGION: '${{ parameters.region }}',
+                    SD_TEMPLATE_NAME: 'parent'
+                },
+                secrets: ['NPM_TOKEN'],
+                steps: [
+                    { 'teardown-clean': "rm -rf 'tmp dir'" },
+                    { install: 'npm install' },
+                    { deploy: { command: './deploy.sh $(meta get parameters.region.value)', locked: true } }
+                ]
+            }
+        };
+    });
+
+    describe('createBuildPlan', () => {
+        it('lists the steps in execution order with parameters substituted', () => {
+            const plan = createBuildPlan(template, { provenance: { 'steps.install': 'ns/parent@1.0.0' } });
+
+            assert.strictEqual(plan.template, 'ns/child@2.0.0');
+            assert.strictEqual(plan.image, 'node:18');
+            assert.deepEqual(plan.parameters, { region: 'us-west' });
+            assert.deepEqual(plan.secrets, ['NPM_TOKEN']);
+            assert.deepEqual(plan.steps, [
+                { name: 'install', command: 'npm install', teardown: false, locked: false, source: 'ns/parent@1.0.0' },
+                { name: 'deploy', command: './deploy.sh us-west', teardown: false, locked: true },
+                { name: 'teardown-clean', command: "rm -rf 'tmp dir'", teardown: true, locked: false }
+            ]);
+        });
+
+        it('injects the environment of the template itself', () => {
+            const plan = createBuildPlan(template);
+
+            assert.deepEqual(plan.environment, {
+                REGION: 'us-west',
+                SD_TEMPLATE_FULLNAME: 'ns/child',
+                SD_TEMPLATE_NAME: 'child',
+                SD_TEMPLATE_NAMESPACE: 'ns',
+                SD_TEMPLATE_VERSION: '2.0.0'
+            });
+            assert.deepEqual(plan.injectedEnvironment, [
+                'SD_TEMPLATE_FULLNAME',
+                'SD_TEMPLATE_NAME',
+                'SD_TEMPLATE_NAMESPACE',
+                'SD_TEMPLATE_VERSION'
+            ]);
+        });
+
+        it('uses the namespace of published templates', () => {
+            const plan = createBuildPlan({ ...template, name: 'child', namespace: 'ns' });
+
+            assert.strictEqual(plan.template, 'ns/child@2.0.0');
+            assert.include(plan.environment, { SD_TEMPLATE_NAME: 'child', SD_TEMPLATE_NAMESPACE: 'ns' });
+        });
+
+        it('plans a job config without template details', () => {
+            const plan = createBuildPlan({ config: { image: 'node:18', steps: [{ test: 'npm test' }] } });
+
+            assert.isUndefined(plan.template);
+            assert.deepEqual(plan.environment, {});
+            assert.deepEqual(plan.injectedEnvironment, []);
+            assert.deepEqual(plan.secrets, []);
+            assert.lengthOf(plan.steps, 1);
+        });
+    });
+
+    describe('formatBuildPlan', () => {
+        it('renders a shell-script-like preview', () => {
+            const preview = formatBuildPlan(createBuildPlan(template, { provenance: { 'steps.deploy': 'local' } }));
+
+            assert.strictEqual(
+                preview,
+                [
+                    '#!/bin/sh',
+                    '# Build plan of ns/child@2.0.0 (dry run)',
+                    '# image: node:18',
+                    '# secrets: NPM_TOKEN',
+                    '# parameter region: us-west',
+                    '',
+                    "export REGION='us-west'",
+                    "export SD_TEMPLATE_FULLNAME='ns/child'  # injected",
+                    "export SD_TEMPLATE_NAME='child'  # injected",
+                    "export SD_TEMPLATE_NAMESPACE='ns'  # injected",
+                    "export SD_TEMPLATE_VERSION='2.0.0'  # injected",
+                    '',
+                    '# 1. install',
+                    'npm install',
+                    '',
+                    '# 2. deploy (locked)',
+                    './deploy.sh us-west',
+                    '',
+                    '# 3. teardown-clean (teardown)',
+                    "rm -rf 'tmp dir'",
+                    ''
+                ].join('\n')
+            );
+        });
+
+        it('quotes environment values for the shell', () => {
+            template.config.environment = { GREETING: "it's $HOME" };
+
+            assert.include(formatBuildPlan(createBuildPlan(template)), "export GREETING='it'\\''s $HOME'\n");
+        });
+    });
+});
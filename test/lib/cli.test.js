@@ -0,0 +1,236 @@
+'use strict';
+
+const { assert } = require('chai');
+const path = require('path');
+const { run } = require('../../lib/cli');
+
+/**
+ * Path to sample data
+ * @method dataPath
+ * @param  {String} name Filename inside data dir
+ * @return {String}      Path to file
+ */
+function dataPath(name) {
+    return path.resolve(__dirname, '..', 'data', name);
+}
+
+describe('cli test', () => {
+    let io;
+
+    beforeEach(() => {
+        io = { stdout: { output: '' }, stderr: { output: '' } };
+        io.stdout.write = chunk => {
+            io.stdout.output += chunk;
+        };
+        io.stderr.write = chunk => {
+            io.stderr.output += chunk;
+        };
+    });
+
+    it('exits with 0 for a valid template', () =>
+        run([dataPath('valid_full_template.yaml')], io).then(code => {
+            assert.strictEqual(code, 0);
+            assert.include(io.stdout.output, 'valid_full_template.yaml (job template): valid');
+            assert.include(io.stdout.output, '✔ 0 errors, 0 warnings');
+        }));
+
+    it('prints errors with their location and exits with 1', () =>
+        run([dataPath('bad_structure_template.yaml')], io).then(code => {
+            assert.strictEqual(code, 1);
+            assert.include(io.stdout.output, '9:10    error    "config.image" must be a string');
+            assert.include(io.stdout.output, '✖ 2 errors, 0 warnings');
+        }));
+
+    it('resolves parent templates from a fixture file', () =>
+        run(['--templates', dataPath('template.json'), dataPath('valid_order_and_warnings_template.yaml')], io).then(
+            code => {
+                assert.strictEqual(code, 0);
+                assert.include(
+                    io.stdout.output,
+                    '14:7    warning  blah step definition not found; skipping  ORDER_STEP_MISSING'
+                );
+            }
+        ));
+
+    it('warns about parent templates it cannot resolve without --templates', () =>
+        run([dataPath('valid_order_and_warnings_template.yaml')], io).then(code => {
+            assert.strictEqual(code, 0);
+            assert.include(io.stdout.output, 'is not resolved without a template factory');
+            assert.include(io.stdout.output, 'TEMPLATE_UNRESOLVED');
+        }));
+
+    it('runs the built-in lint rules with --lint', () =>
+        run(
+            ['--lint', '-t', dataPath('template.json'), dataPath('valid_order_and_wrong_teardown_template.yaml')],
+            io
+        ).then(code => {
+            assert.strictEqual(code, 0);
+            assert.include(
+                io.stdout.output,
+                '17:7    warning  Teardown step teardown-blah should come after all other steps  LINT'
+            );
+        }));
+
+    it('reports warnings as errors with --strict', () =>
+        run(['--strict', '-t', dataPath('template.json'), dataPath('valid_order_and_warnings_template.yaml')], io).then(
+            code => {
+                assert.strictEqual(code, 1);
+                assert.include(io.stdout.output, '14:7    error    blah step definition not found; skipping');
+                assert.include(io.stdout.output, '✖ 2 errors, 0 warnings');
+            }
+        ));
+
+    it('checks templates against a security policy with --policy', async () => {
+        const code = await run(
+            [
+                '--policy',
+                dataPath('policy.yaml'),
+                '-t',
+                dataPath('template.json'),
+                dataPath('policy_violations_template.yaml')
+            ],
+            io
+        );
+
+        assert.strictEqual(code, 1);
+        assert.include(io.stdout.output, '12:7    error    Secret AWS_KEY does not match any allowed secrets pattern');
+        assert.include(io.stdout.output, '✖ 5 errors, 0 warnings');
+
+        io.stderr.output = '';
+
+        assert.strictEqual(
+            await run(['--policy', dataPath('template.json'), dataPath('valid_full_template.yaml')], io),
+            2
+        );
+        assert.match(io.stderr.output, /^Invalid policy: /);
+    });
+
+    it('prints results as json', () =>
+        run(['-f', 'json', dataPath('bad_structure_pipeline_template.yaml')], io).then(code => {
+            const report = JSON.parse(io.stdout.output);
+
+            assert.strictEqual(code, 1);
+            assert.strictEqual(report.schemaVersion, '1.0');
+            assert.isFalse(report.valid);
+            assert.strictEqual(report.results[0].kind, 'pipeline');
+            assert.strictEqual(report.results[0].errors.length, 2);
+        }));
+
+    it('prints results as junit xml and sarif', async () => {
+        const junitCode = await run(['-f', 'junit', dataPath('bad_structure_template.yaml')], io);
+
+        assert.strictEqual(junitCode, 1);
+        assert.include(io.stdout.output, '<testsuites name="sd-template-validate" tests="2" failures="2" skipped="0">');
+
+        io.stdout.output = '';
+
+        const sarifCode = await run(['--format', 'sarif', dataPath('bad_structure_template.yaml')], io);
+        const log = JSON.parse(io.stdout.output);
+
+        assert.strictEqual(sarifCode, 1);
+        assert.strictEqual(
+            log.runs[0].results[1].locations[0].physicalLocation.artifactLocation.uri,
+            path.relative(process.cwd(), dataPath('bad_structure_template.yaml')).split(path.sep).join('/')
+        );
+    });
+
+    it('reports files that cannot be read or parsed as errors', () =>
+        run([dataPath('does_not_exist.yaml')], io).then(code => {
+            assert.strictEqual(code, 1);
+            assert.include(io.stdout.output, 'ENOENT');
+        }));
+
+    it('reports every template of a multi-document file', () =>
+        run([dataPath('multi_document_template.yaml')], io).then(code => {
+            const lines = io.stdout.output.split('\n');
+
+            assert.strictEqual(code, 1);
+            assert.match(lines[0], /multi_document_template\.yaml#1 \(job template\): valid$/);
+            assert.include(io.stdout.output, 'multi_document_template.yaml#2 (job template)');
+            assert.include(io.stdout.output, '17:10   error    "config.image" must be a string');
+        }));
+
+    it('validates a directory of templates together with --batch', () =>
+        run(['--batch', '-t', dataPath('template.json'), dataPath('repo')], io).then(code => {
+            const lines = io.stdout.output.split('\n');
+
+            assert.strictEqual(code, 1);
+            assert.match(lines[0], /base\.yaml \(job template\): valid$/);
+            assert.match(lines[1], /app\.yaml \(job template\): valid$/);
+            assert.include(io.stdout.output, 'error    Template repo_namespace/missing@1 does not exist');
+            assert.include(io.stdout.output, '✖ 1 error, 0 warnings');
+        }));
+
+    it('prints the batch report as json', () =>
+        run(
+            ['-b', '-f', 'json', dataPath(path.join('repo', 'base.yaml')), dataPath(path.join('repo', 'app.yaml'))],
+            io
+        ).then(code => {
+            const report = JSON.parse(io.stdout.output);
+
+            assert.strictEqual(code, 1);
+            assert.deepEqual(report.summary, { files: 2, valid: 0, invalid: 2, errors: 2, warnings: 0 });
+            assert.deepEqual(report.graph[1].dependsOn, [dataPath(path.join('repo', 'base.yaml'))]);
+        }));
+
+    it('exits with 2 if a batch location does not exist', () =>
+        run(['--batch', dataPath('does_not_exist')], io).then(code => {
+            assert.strictEqual(code, 2);
+            assert.include(io.stderr.output, 'ENOENT');
+        }));
+
+    it('runs template tests with --test', () =>
+        run(['--test', dataPath('template_tests')], io).then(code => {
+            assert.strictEqual(code, 0);
+            assert.strictEqual(io.stdout.output, '✔ app\n✔ pipeline\n\n✔ 2 passed, 0 failed\n');
+        }));
+
+    it('reports failed template tests with their differences', () =>
+        run(['--test', '-f', 'json', '-t', dataPath('templates'), dataPath('template_tests')], io).then(code => {
+            const report = JSON.parse(io.stdout.output);
+
+            assert.strictEqual(code, 1);
+            assert.deepEqual(report.summary, { tests: 2, passed: 1, failed: 1, updated: 0 });
+            assert.strictEqual(report.results[0].failures[0].message, 'Output differs from app.json');
+        }));
+
+    it('exits with 2 on formats template tests do not support', () =>
+        run(['--test', '-f', 'sarif', dataPath('template_tests')], io).then(code => {
+            assert.strictEqual(code, 2);
+            assert.include(io.stderr.output, 'Unknown format sarif for --test; use one of: human, json');
+        }));
+
+    it('prints usage and exits with 2 on bad arguments', () =>
+        run(['--format', 'xml', dataPath('valid_full_template.yaml')], io).then(code => {
+            assert.strictEqual(code, 2);
+            assert.include(io.stderr.output, 'Unknown format xml');
+            assert.include(io.stderr.output, 'Usage: sd-template-validate');
+        }));
+
+    it('does not take another option as the value of an option', async () => {
+        assert.strictEqual(await run(['-t', '--strict', dataPath('valid_full_template.yaml')], io), 2);
+        assert.include(io.stderr.output, 'Missing path for --templates');
+
+        assert.strictEqual(await run([dataPath('valid_full_template.yaml'), '--format'], io), 2);
+        assert.include(io.stderr.output, 'Missing format for --format');
+    });
+
+    it('prints the json schema of templates with --json-schema', async () => {
+        assert.strictEqual(await run(['--json-schema', 'job'], io), 0);
+        assert.strictEqual(JSON.parse(io.stdout.output).title, 'Screwdriver job template');
+
+        assert.strictEqual(await run(['--json-schema', 'stage'], io), 2);
+        assert.include(io.stderr.output, 'Unknown template kind stage');
+
+        io.stdout.output = '';
+
+        assert.strictEqual(await run(['--json-schema', '--format', 'json'], io), 0);
+        assert.strictEqual(JSON.parse(io.stdout.output).title, 'Screwdriver template');
+    });
+
+    it('prints usage with --help', () =>
+        run(['--help'], io).then(code => {
+            assert.strictEqual(code, 0);
+            assert.include(io.stdout.output, 'Usage: sd-template-validate');
+        }));
+});
@@ -0,0 +1,102 @@
+'use strict';
+
+const { assert } = require('chai');
+const { checkImageLabel, checkSteps } = require('../../lib/compatibility');
+
+describe('compatibility test', () => {
+    const parentJob = {
+        steps: [
+            { install: 'npm install' },
+            { test: 'npm test' },
+            { 'teardown-upload': 'upload.sh' },
+            { 'teardown-audit': { command: 'audit.sh', locked: true } }
+        ]
+    };
+
+    describe('checkSteps', () => {
+        it('reports hooks for steps the parent does not have', () => {
+            const warnings = checkSteps(
+                parentJob,
+                { steps: [{ preinstall: 'echo' }, { prebuild: 'echo' }, { postdeploy: 'echo' }] },
+                'ns/parent@1.0.0'
+            );
+
+            assert.deepEqual(
+                warnings.map(({ code, message, step, path, template }) => ({ code, message, step, path, template })),
+                [
+                    {
+                        code: 'HOOK_TARGET_MISSING',
+                        message: 'Hook prebuild is dropped; template ns/parent@1.0.0 has no step build',
+                        step: 'prebuild',
+                        path: ['steps', 1],
+                        template: 'ns/parent@1.0.0'
+                    },
+                    {
+                        code: 'HOOK_TARGET_MISSING',
+                        message: 'Hook postdeploy is dropped; template ns/parent@1.0.0 has no step deploy',
+                        step: 'postdeploy',
+                        path: ['steps', 2],
+                        template: 'ns/parent@1.0.0'
+                    }
+                ]
+            );
+        });
+
+        it('does not report hooks when the child uses order', () => {
+            assert.deepEqual(
+                checkSteps(parentJob, { order: ['prebuild', 'install'], steps: [{ prebuild: 'echo' }] }, 'p@1'),
+                []
+            );
+        });
+
+        it('reports teardown steps that replace unlocked parent teardown steps', () => {
+            const childJob = {
+                steps: [{ 'teardown-upload': 'mine.sh' }, { 'teardown-audit': 'skip' }, { 'teardown-notify': 'n.sh' }]
+            };
+
+            assert.deepEqual(
+                checkSteps(parentJob, childJob, 'ns/parent@1.0.0').map(({ code, message, path }) => ({
+                    code,
+                    message,
+                    path
+                })),
+                [
+                    {
+                        code: 'TEARDOWN_SHADOWED',
+                        message: 'Teardown step teardown-upload replaces the one of template ns/parent@1.0.0',
+                        path: ['steps', 0]
+                    }
+                ]
+            );
+            assert.deepEqual(checkSteps(parentJob, { ...childJob, order: ['install'] }, 'ns/parent@1.0.0'), []);
+        });
+    });
+
+    describe('checkImageLabel', () => {
+        const images = { stable: 'node:18', latest: 'node:20' };
+
+        it('reports labels that resolve in neither images map', () => {
+            const [warning] = checkImageLabel('lts', images, 'ns/parent@1.0.0');
+
+            assert.deepEqual(warning, {
+                code: 'IMAGE_LABEL_UNRESOLVED',
+                severity: 'warning',
+                message:
+                    'Image lts is not a label of template ns/parent@1.0.0 or this template; ' +
+                    'use one of stable, latest or an image with a tag',
+                path: ['image'],
+                template: 'ns/parent@1.0.0'
+            });
+        });
+
+        it('accepts labels and images with a tag or registry', () => {
+            ['stable', 'node:18', 'docker.io/node', 'node@sha256:abc', undefined].forEach(image => {
+                assert.deepEqual(checkImageLabel(image, images, 'ns/parent@1.0.0'), [], image);
+            });
+        });
+
+        it('accepts any image when no labels are defined', () => {
+            assert.deepEqual(checkImageLabel('node', {}, 'ns/parent@1.0.0'), []);
+        });
+    });
+});
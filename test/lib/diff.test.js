@@ -0,0 +1,179 @@
+'use strict';
+
+const { assert } = require('chai');
+const { compareTemplates, getVersionBump } = require('../../lib/diff');
+
+describe('diff test', () => {
+    const before = {
+        name: 'template_namespace/parent',
+        version: '1.2.3',
+        images: { stable: 'node:18', legacy: 'node:14' },
+        config: {
+            image: 'stable',
+            steps: [{ install: 'npm install' }, { test: 'npm test' }, { publish: 'npm publish' }],
+            environment: { NODE_ENV: 'test', CI: 'true' },
+            parameters: { region: ['us-west', 'us-east'], size: 'small' },
+            secrets: ['NPM_TOKEN']
+        }
+    };
+
+    /**
+     * Compare the template above with a changed copy
+     * @method compareWith
+     * @param  {Object} changes  Overrides for the template
+     * @param  {Object} [config] Overrides for the template config
+     * @param  {Object} [options] Options for compareTemplates
+     * @return {Object}          Result of compareTemplates
+     */
+    function compareWith(changes, config, options) {
+        return compareTemplates(before, { ...before, ...changes, config: { ...before.config, ...config } }, options);
+    }
+
+    it('reports no changes for the same template', () => {
+        assert.deepEqual(compareTemplates(before, before), {
+            changes: [],
+            breaking: false,
+            recommendedBump: 'none',
+            versionBump: 'none',
+            errors: []
+        });
+    });
+
+    it('classifies step changes', () => {
+        const result = compareWith(
+            { version: '2.0.0' },
+            {
+                steps: [
+                    { install: { command: 'npm ci', locked: true } },
+                    { test: 'npm test' },
+                    { lint: 'npm run lint' }
+                ]
+            }
+        );
+
+        assert.deepEqual(
+            result.changes.map(({ type, path, breaking }) => ({ type, path, breaking })),
+            [
+                { type: 'STEP_REMOVED', path: ['config', 'steps', 'publish'], breaking: true },
+                { type: 'STEP_LOCKED', path: ['config', 'steps', 'install'], breaking: true },
+                { type: 'STEP_CHANGED', path: ['config', 'steps', 'install'], breaking: false },
+                { type: 'STEP_ADDED', path: ['config', 'steps', 'lint'], breaking: false }
+            ]
+        );
+        assert.isTrue(result.breaking);
+        assert.strictEqual(result.recommendedBump, 'major');
+        assert.strictEqual(result.versionBump, 'major');
+    });
+
+    it('treats unlocking a step and compressing it as non-breaking', () => {
+        const locked = {
+            ...before,
+            config: { ...before.config, steps: [{ test: { command: 'npm test', locked: true } }] }
+        };
+        const unlocked = { ...before, config: { ...before.config, steps: [{ test: { command: 'npm test' } }] } };
+
+        assert.deepEqual(
+            compareTemplates(locked, unlocked).changes.map(change => change.type),
+            ['STEP_UNLOCKED']
+        );
+        assert.deepEqual(
+            compareTemplates(unlocked, { ...unlocked, config: { ...unlocked.config, steps: [{ test: 'npm test' }] } })
+                .changes,
+            []
+        );
+    });
+
+    it('classifies parameter, environment and secret changes', () => {
+        const result = compareWith(
+            {},
+            {
+                environment: { NODE_ENV: 'production', DEBUG: 'false' },
+                parameters: { region: { value: ['us-west'] }, size: 'large', color: 'red' },
+                secrets: ['NPM_TOKEN', 'GIT_KEY']
+            }
+        );
+
+        assert.deepEqual(
+            result.changes.map(({ type, bump, message }) => ({ type, bump, message })),
+            [
+                { type: 'PARAMETER_CHANGED', bump: 'major', message: 'Parameter region no longer allows us-east' },
+                { type: 'PARAMETER_CHANGED', bump: 'patch', message: 'Parameter size changed' },
+                { type: 'PARAMETER_ADDED', bump: 'minor', message: 'Parameter color was added' },
+                { type: 'ENVIRONMENT_REMOVED', bump: 'major', message: 'Environment variable CI was removed' },
+                {
+                    type: 'ENVIRONMENT_CHANGED',
+                    bump: 'major',
+                    message: 'Environment variable NODE_ENV default changed'
+                },
+                { type: 'ENVIRONMENT_ADDED', bump: 'minor', message: 'Environment variable DEBUG was added' },
+                { type: 'SECRET_ADDED', bump: 'major', message: 'Secret GIT_KEY is now required' }
+            ]
+        );
+        assert.deepEqual(result.changes[1], {
+            type: 'PARAMETER_CHANGED',
+            path: ['config', 'parameters', 'size'],
+            breaking: false,
+            bump: 'patch',
+            message: 'Parameter size changed',
+            before: 'small',
+            after: 'large'
+        });
+    });
+
+    it('classifies image changes', () => {
+        const result = compareWith({ images: { stable: 'node:20', lts: 'node:18' } }, { image: 'lts' });
+
+        assert.deepEqual(
+            result.changes.map(({ type, path }) => ({ type, path })),
+            [
+                { type: 'IMAGE_LABEL_REMOVED', path: ['images', 'legacy'] },
+                { type: 'IMAGE_LABEL_CHANGED', path: ['images', 'stable'] },
+                { type: 'IMAGE_LABEL_ADDED', path: ['images', 'lts'] },
+                { type: 'IMAGE_CHANGED', path: ['config', 'image'] }
+            ]
+        );
+    });
+
+    it('recommends the largest bump of all changes', () => {
+        assert.strictEqual(compareWith({}, { image: 'node:20' }).recommendedBump, 'patch');
+        assert.strictEqual(compareWith({ images: { ...before.images, lts: 'node:20' } }).recommendedBump, 'minor');
+    });
+
+    describe('version check', () => {
+        it('reports a version bump smaller than the changes require', () => {
+            const result = compareWith({ version: '1.3.0' }, { secrets: [] }, { checkVersion: true });
+
+            assert.deepEqual(result.errors, []);
+            assert.deepEqual(compareWith({ version: '1.3.0' }, { steps: [] }, { checkVersion: true }).errors, [
+                {
+                    message: 'Version 1.3.0 is a minor bump from 1.2.3, but the changes require a major bump',
+                    path: ['version']
+                }
+            ]);
+        });
+
+        it('reports unchanged and lower versions', () => {
+            assert.strictEqual(
+                compareWith({}, { image: 'node:20' }, { checkVersion: true }).errors[0].message,
+                'Version 1.2.3 is unchanged, but the changes require a patch bump'
+            );
+            assert.strictEqual(
+                compareWith({ version: '1.2.0' }, {}, { checkVersion: true }).errors[0].message,
+                'Version 1.2.0 must not be lower than 1.2.3'
+            );
+        });
+
+        it('does not check the version unless asked to', () => {
+            assert.deepEqual(compareWith({ version: '1.2.0' }, { steps: [] }).errors, []);
+        });
+    });
+
+    describe('getVersionBump', () => {
+        it('supports versions without patch or minor', () => {
+            assert.strictEqual(getVersionBump('1.2', '1.3'), 'minor');
+            assert.strictEqual(getVersionBump('1', '2'), 'major');
+            assert.strictEqual(getVersionBump('1.2.3', '1.2.4'), 'patch');
+            assert.isUndefined(getVersionBump('2', '1.9.9'));
+        });
+    });
+});
@@ -0,0 +1,153 @@
+'use strict';
+
+const { assert } = require('chai');
+const { extractTemplate } = require('../../lib/extract');
+
+describe('extract test', () => {
+    let parent;
+
+    beforeEach(() => {
+        parent = {
+            namespace: 'sd',
+            name: 'nodejs',
+            version: '1.2.0',
+            images: { lts: 'node:18' },
+            config: {
+                image: 'lts',
+                environment: { NODE_ENV: 'test', CI: 'true' },
+                secrets: ['NPM_TOKEN'],
+                steps: [
+                    { install: 'npm ci' },
+                    { test: { command: 'npm test', locked: true } },
+                    { 'teardown-coverage': './report.sh' }
+                ]
+            }
+        };
+    });
+
+    it('extracts nothing but the reference from a job equal to the parent', () => {
+        const job = {
+            image: 'node:18',
+            environment: { NODE_ENV: 'test', CI: 'true', SD_TEMPLATE_NAME: 'nodejs' },
+            secrets: ['NPM_TOKEN'],
+            steps: [
+                { install: { command: 'npm ci' } },
+                { test: { command: 'npm test', locked: true } },
+                { 'teardown-coverage': './report.sh' }
+            ],
+            templateId: 7
+        };
+
+        assert.deepEqual(extractTemplate(job, parent), {
+            config: { template: 'sd/nodejs@1.2.0' },
+            warnings: []
+        });
+    });
+
+    it('keeps only the values that differ and adds steps with hooks', () => {
+        const job = {
+            image: 'node:20',
+            environment: { NODE_ENV: 'production', CI: 'true', REGION: 'us' },
+            settings: { email: 'team@example.com' },
+            secrets: ['NPM_TOKEN', 'DEPLOY_KEY'],
+            steps: [
+                { install: 'npm install' },
+                { test: { command: 'npm test', locked: true } },
+                { posttest: 'npm run lint' },
+                { 'teardown-coverage': './report.sh' }
+            ]
+        };
+
+        assert.deepEqual(extractTemplate(job, parent, { reference: 'sd/nodejs@^1' }), {
+            config: {
+                template: 'sd/nodejs@^1',
+                image: 'node:20',
+                environment: { NODE_ENV: 'production', REGION: 'us' },
+                settings: { email: 'team@example.com' },
+                secrets: ['DEPLOY_KEY'],
+                steps: [{ install: 'npm install' }, { posttest: 'npm run lint' }]
+            },
+            warnings: []
+        });
+    });
+
+    it('uses an order for steps hooks cannot express', () => {
+        const job = {
+            image: 'node:18',
+            environment: { NODE_ENV: 'test', CI: 'true' },
+            secrets: ['NPM_TOKEN'],
+            steps: [{ lint: 'npm run lint' }, { install: 'npm ci' }, { test: { command: 'npm test', locked: true } }]
+        };
+
+        assert.deepEqual(extractTemplate(job, parent), {
+            config: {
+                template: 'sd/nodejs@1.2.0',
+                order: ['lint', 'install', 'test'],
+                steps: [{ lint: 'npm run lint' }]
+            },
+            warnings: []
+        });
+    });
+
+    it('removes inherited values and reports differences a child template cannot express', () => {
+        const job = {
+            description: 'Copied job',
+            environment: { NODE_ENV: 'test' },
+            steps: [{ install: 'npm ci' }, { test: 'npm run test:ci' }]
+        };
+        const result = extractTemplate(job, parent);
+
+        assert.deepEqual(result.config, {
+            template: 'sd/nodejs@1.2.0',
+            merge: { environment: { remove: ['CI'] }, secrets: { remove: ['NPM_TOKEN'] } },
+            order: ['install', 'test']
+        });
+        assert.deepEqual(
+            result.warnings.map(({ code, message, path }) => ({ code, message, path })),
+            [
+                {
+                    code: 'EXTRACT_NOT_EXPRESSIBLE',
+                    message: 'Cannot unset image of template sd/nodejs@1.2.0',
+                    path: ['image']
+                },
+                {
+                    code: 'EXTRACT_NOT_EXPRESSIBLE',
+                    message: 'Cannot change locked step test of template sd/nodejs@1.2.0',
+                    path: ['steps', 1]
+                },
+                {
+                    code: 'EXTRACT_NOT_EXPRESSIBLE',
+                    message: 'Cannot express description with a child template of sd/nodejs@1.2.0',
+                    path: ['description']
+                }
+            ]
+        );
+    });
+
+    it('keeps removed locked steps in the order', () => {
+        const job = {
+            image: 'node:18',
+            environment: { NODE_ENV: 'test', CI: 'true' },
+            secrets: ['NPM_TOKEN'],
+            steps: [{ install: 'npm ci' }]
+        };
+        const result = extractTemplate(job, parent);
+
+        assert.deepEqual(result.config.order, ['install', 'test']);
+        assert.deepEqual(
+            result.warnings.map(({ message, step }) => ({ message, step })),
+            [{ message: 'Cannot remove locked step test of template sd/nodejs@1.2.0', step: 'test' }]
+        );
+    });
+
+    it('does not report locked steps with the command of the parent', () => {
+        const job = {
+            image: 'node:18',
+            environment: { NODE_ENV: 'test', CI: 'true' },
+            secrets: ['NPM_TOKEN'],
+            steps: [{ install: 'npm ci' }, { test: { command: 'npm test' } }]
+        };
+
+        assert.deepEqual(extractTemplate(job, parent).warnings, []);
+    });
+});
@@ -0,0 +1,147 @@
+'use strict';
+
+const { assert } = require('chai');
+const path = require('path');
+const { createFileTemplateFactory, createTemplateFactory } = require('../../lib/fileTemplateFactory');
+
+const TEMPLATES_PATH = path.resolve(__dirname, '..', 'data', 'templates');
+
+describe('fileTemplateFactory test', () => {
+    let factory;
+
+    beforeEach(() =>
+        createFileTemplateFactory(TEMPLATES_PATH).then(templateFactory => {
+            factory = templateFactory;
+        })
+    );
+
+    it('returns templates in the shape of the API', () =>
+        factory.getTemplate('sd/nodejs@1.0.0').then(template => {
+            assert.deepEqual(template, {
+                id: 1,
+                namespace: 'sd',
+                name: 'nodejs',
+                version: '1.0.0',
+                description: 'NodeJS base template',
+                maintainer: 'foo@bar.com',
+                labels: [],
+                config: {
+                    image: 'node:16',
+                    steps: [{ install: 'npm install' }, { test: 'npm test' }]
+                }
+            });
+        }));
+
+    it('keeps templates that are already in the shape of the API', () =>
+        factory.getTemplate('template_namespace/parent@1.2.3').then(template => {
+            assert.strictEqual(template.id, 7754);
+            assert.deepEqual(template.images, { 'stable-image': 'node:8', 'latest-image': 'node:12' });
+        }));
+
+    it('resolves the latest version matching a version prefix', () =>
+        Promise.all([factory.getTemplate('sd/nodejs@1'), factory.getTemplate('sd/nodejs')]).then(
+            ([template, latest]) => {
+                assert.strictEqual(template.version, '1.2.0');
+                assert.strictEqual(latest.version, '2.0.0');
+            }
+        ));
+
+    it('orders versions by semver', () => {
+        const versions = createTemplateFactory(
+            ['1.9.0', '1.10.0', '2.0.0-beta.1', '2.0.0', '1.2'].map(version => ({
+                name: 'sd/node',
+                version,
+                config: { image: 'node:18', steps: [{ test: 'npm test' }] }
+            }))
+        );
+
+        return Promise.all([versions.getTemplate('sd/node'), versions.getTemplate('sd/node@1')]).then(
+            ([latest, template]) => {
+                assert.strictEqual(latest.version, '2.0.0');
+                assert.strictEqual(template.version, '1.10.0');
+            }
+        );
+    });
+
+    it('resolves version ranges', () =>
+        Promise.all([
+            factory.getTemplate('sd/nodejs@^1.0'),
+            factory.getTemplate('sd/nodejs@~1.0.0'),
+            factory.getTemplate('sd/nodejs@2.x')
+        ]).then(templates => {
+            assert.deepEqual(
+                templates.map(t => t.version),
+                ['1.2.0', '1.0.0', '2.0.0']
+            );
+        }));
+
+    it('lists versions of a template', () =>
+        factory.listVersions('sd/nodejs').then(versions => {
+            assert.deepEqual(versions, ['1.0.0', '1.2.0', '2.0.0']);
+        }));
+
+    it('resolves tags', () =>
+        Promise.all([factory.getTemplate('sd/nodejs@stable'), factory.getTemplate('sd/nodejs@latest')]).then(
+            ([stable, latest]) => {
+                assert.strictEqual(stable.version, '1.2.0');
+                assert.deepEqual(stable.images, { lts: 'node:18' });
+                assert.notProperty(stable, 'tags');
+                assert.strictEqual(latest.version, '2.0.0');
+            }
+        ));
+
+    it('returns null for unknown templates, versions and tags', () =>
+        Promise.all([
+            factory.getTemplate('sd/python@1'),
+            factory.getTemplate('sd/nodejs@3'),
+            factory.getTemplate('sd/nodejs@beta')
+        ]).then(templates => {
+            assert.deepEqual(templates, [null, null, null]);
+        }));
+
+    it('returns copies that can be mutated safely', () =>
+        factory
+            .getTemplate('sd/nodejs@2')
+            .then(template => {
+                template.config.image = 'changed';
+
+                return factory.getTemplate('sd/nodejs@2');
+            })
+            .then(template => {
+                assert.strictEqual(template.config.image, 'node:20');
+            }));
+
+    it('splits full template names', () => {
+        assert.deepEqual(factory.getFullNameAndVersion('sd/nodejs@1.2'), {
+            templateName: 'sd/nodejs',
+            versionOrTag: '1.2',
+            isExactVersion: false,
+            isVersion: true,
+            isTag: false
+        });
+        assert.include(factory.getFullNameAndVersion('sd/nodejs'), { isVersion: false, isTag: false });
+    });
+
+    it('is usable as the factory for parsing job templates', () => {
+        // eslint-disable-next-line global-require
+        const { parseJobTemplate } = require('../../index');
+        const yaml = [
+            'name: sd/child',
+            'version: 1.0.0',
+            'description: child template',
+            'maintainer: foo@bar.com',
+            'config:',
+            '  template: sd/nodejs@stable',
+            '  steps:',
+            '    - pretest: npm run lint'
+        ].join('\n');
+
+        return parseJobTemplate(yaml, factory).then(result => {
+            assert.deepEqual(result.errors, []);
+            assert.strictEqual(result.template.config.image, 'node:18');
+            assert.deepEqual(result.templateChain, [
+                { name: 'sd/nodejs', reference: 'sd/nodejs@stable', version: '1.2.0', id: 2 }
+            ]);
+        });
+    });
+});
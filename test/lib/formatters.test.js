@@ -0,0 +1,191 @@
+'use strict';
+
+const { assert } = require('chai');
+const path = require('path');
+const { FORMATTERS, formatResults, normalizeResults } = require('../../lib/formatters');
+const { WARNING_CODES, createWarning } = require('../../lib/warnings');
+
+describe('formatters test', () => {
+    let results;
+
+    beforeEach(() => {
+        const warning = createWarning(WARNING_CODES.ORDER_STEP_MISSING, 'blah step definition not found; skipping', {
+            step: 'blah',
+            path: ['config', 'order', 3]
+        });
+
+        warning.line = 14;
+        warning.column = 7;
+        warning.snippet = '    - blah';
+
+        results = [
+            {
+                file: 'valid.yaml',
+                kind: 'job',
+                errors: [],
+                warnings: [],
+                warnMessages: []
+            },
+            {
+                file: path.join('templates', 'child & "friends".yaml'),
+                kind: 'job',
+                errors: [
+                    {
+                        message: '"config.image" must be a string',
+                        path: ['config', 'image'],
+                        type: 'string.base',
+                        context: { label: 'config.image', value: 1, key: 'image' },
+                        line: 9,
+                        column: 10,
+                        snippet: '  image: 1'
+                    }
+                ],
+                warnings: [warning],
+                warnMessages: [warning.message]
+            }
+        ];
+    });
+
+    describe('normalizeResults', () => {
+        it('keeps message, code and location of errors and warnings', () => {
+            const [valid, invalid] = normalizeResults(results);
+
+            assert.deepEqual(valid, { file: 'valid.yaml', kind: 'job', valid: true, errors: [], warnings: [] });
+            assert.isFalse(invalid.valid);
+            assert.deepEqual(invalid.errors, [
+                {
+                    severity: 'error',
+                    code: 'string.base',
+                    message: '"config.image" must be a string',
+                    path: ['config', 'image'],
+                    line: 9,
+                    column: 10,
+                    snippet: '  image: 1'
+                }
+            ]);
+            assert.deepEqual(invalid.warnings, [
+                {
+                    severity: 'warning',
+                    code: 'ORDER_STEP_MISSING',
+                    message: 'blah step definition not found; skipping',
+                    path: ['config', 'order', 3],
+                    line: 14,
+                    column: 7,
+                    snippet: '    - blah'
+                }
+            ]);
+        });
+
+        it('accepts a single result with warning messages only', () => {
+            const [result] = normalizeResults({ errors: [{ message: 'broken' }], warnMessages: ['careful'] });
+
+            assert.deepEqual(result, {
+                file: undefined,
+                kind: undefined,
+                valid: false,
+                errors: [{ severity: 'error', code: 'TEMPLATE_INVALID', message: 'broken' }],
+                warnings: [{ severity: 'warning', code: 'TEMPLATE_WARNING', message: 'careful' }]
+            });
+        });
+    });
+
+    describe('formatResults', () => {
+        it('lists the formatters by name', () => {
+            assert.deepEqual(
+                FORMATTERS.map(({ name }) => name),
+                ['json', 'junit', 'sarif']
+            );
+        });
+
+        it('throws for unknown formats', () => {
+            assert.throws(() => formatResults(results, 'xml'), 'Unknown format xml; use one of: json, junit, sarif');
+        });
+
+        it('renders a versioned json report', () => {
+            const report = JSON.parse(formatResults(results, 'json'));
+
+            assert.strictEqual(report.schemaVersion, '1.0');
+            assert.isFalse(report.valid);
+            assert.deepEqual(report.summary, { files: 2, valid: 1, invalid: 1, errors: 1, warnings: 1 });
+            assert.deepEqual(report.results, normalizeResults(results));
+        });
+
+        it('renders junit xml with failing errors and skipped warnings', () => {
+            const xml = formatResults(results, 'junit');
+            const file = path.join('templates', 'child &amp; &quot;friends&quot;.yaml');
+
+            assert.match(xml, /^<\?xml version="1.0" encoding="UTF-8"\?>\n/);
+            assert.include(xml, '<testsuites name="sd-template-validate" tests="3" failures="1" skipped="1">');
+            assert.include(xml, '<testsuite name="valid.yaml" tests="1" failures="0" skipped="0">');
+            assert.include(xml, '<testcase classname="valid.yaml" name="valid"/>');
+            assert.include(
+                xml,
+                `<testcase classname="${file}" name="string.base (9:10)">` +
+                    '<failure type="string.base" message="&quot;config.image&quot; must be a string">' +
+                    `&quot;config.image&quot; must be a string\nat ${file}:9:10\n  image: 1</failure></testcase>`
+            );
+            assert.include(
+                xml,
+                `<testcase classname="${file}" name="ORDER_STEP_MISSING (14:7)">` +
+                    '<skipped message="blah step definition not found; skipping"/></testcase>'
+            );
+            assert.match(xml, /<\/testsuites>\n$/);
+        });
+
+        it('renders a sarif log with rules and locations', () => {
+            results[1].file = path.resolve('templates', 'child.yaml');
+            results[1].warnings.push(
+                Object.assign(createWarning(WARNING_CODES.LINT, 'Use a tag', { rule: 'image-tag' }), {
+                    severity: 'warning'
+                })
+            );
+
+            const log = JSON.parse(formatResults(results, 'sarif', { basePath: process.cwd() }));
+            const [run] = log.runs;
+
+            assert.strictEqual(log.version, '2.1.0');
+            assert.strictEqual(run.tool.driver.name, 'screwdriver-template-validator');
+            assert.deepEqual(run.tool.driver.rules, [
+                { id: 'LINT/image-tag' },
+                { id: 'ORDER_STEP_MISSING' },
+                { id: 'string.base' }
+            ]);
+            assert.deepEqual(run.results[0], {
+                ruleId: 'string.base',
+                level: 'error',
+                message: { text: '"config.image" must be a string' },
+                locations: [
+                    {
+                        physicalLocation: {
+                            artifactLocation: { uri: 'templates/child.yaml' },
+                            region: { startLine: 9, startColumn: 10, snippet: { text: '  image: 1' } }
+                        }
+                    }
+                ]
+            });
+            assert.strictEqual(run.results[1].level, 'warning');
+            assert.deepEqual(run.results[2].locations, [
+                { physicalLocation: { artifactLocation: { uri: 'templates/child.yaml' } } }
+            ]);
+        });
+
+        it('locates results of a document of a multi-document file in the file', () => {
+            const log = JSON.parse(
+                formatResults({ file: 'templates.yaml#2', document: 2, errors: [{ message: 'broken' }] }, 'sarif')
+            );
+
+            assert.deepEqual(log.runs[0].results[0].locations, [
+                { physicalLocation: { artifactLocation: { uri: 'templates.yaml' } } }
+            ]);
+            assert.deepEqual(log.runs[0].results[0].properties, { document: 2 });
+        });
+
+        it('leaves out locations of results without a file', () => {
+            const log = JSON.parse(formatResults({ errors: [{ message: 'broken' }] }, 'sarif'));
+
+            assert.deepEqual(log.runs[0].results, [
+                { ruleId: 'TEMPLATE_INVALID', level: 'error', message: { text: 'broken' } }
+            ]);
+        });
+    });
+});
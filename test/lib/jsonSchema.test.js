@@ -0,0 +1,130 @@
+'use strict';
+
+const { assert } = require('chai');
+const Joi = require('joi');
+const { DRAFT_2020_12, joiToJsonSchema } = require('../../lib/jsonSchema');
+
+describe('jsonSchema test', () => {
+    it('converts objects with required keys, descriptions and examples', () => {
+        const schema = Joi.object({
+            name: Joi.string()
+                .max(64)
+                .pattern(/^[\w-]+$/)
+                .required()
+                .description('Name')
+                .example('npm-install'),
+            count: Joi.number().integer().min(1).default(1),
+            enabled: Joi.boolean(),
+            removed: Joi.any().forbidden()
+        });
+
+        assert.deepEqual(joiToJsonSchema(schema, { id: 'https://example.com/schema.json', title: 'Test' }), {
+            $schema: DRAFT_2020_12,
+            $id: 'https://example.com/schema.json',
+            title: 'Test',
+            type: 'object',
+            properties: {
+                name: {
+                    type: 'string',
+                    maxLength: 64,
+                    pattern: '^[\\w-]+$',
+                    minLength: 1,
+                    description: 'Name',
+                    examples: ['npm-install']
+                },
+                count: { type: 'integer', minimum: 1, default: 1 },
+                enabled: { type: 'boolean' }
+            },
+            required: ['name'],
+            additionalProperties: false
+        });
+    });
+
+    it('converts key patterns, unknown keys and dependencies', () => {
+        const schema = Joi.object({
+            environment: Joi.object().pattern(/^[A-Z_]+$/, Joi.string()),
+            parameters: Joi.object().pattern(Joi.string(), Joi.number()),
+            annotations: Joi.object().unknown(true),
+            image: Joi.string(),
+            template: Joi.string()
+        })
+            .or('image', 'template')
+            .xor('image', 'annotations');
+        const converted = joiToJsonSchema(schema);
+
+        assert.deepEqual(converted.properties.environment, {
+            type: 'object',
+            patternProperties: { '^[A-Z_]+$': { type: 'string', minLength: 1 } },
+            additionalProperties: false
+        });
+        assert.deepEqual(converted.properties.parameters, {
+            type: 'object',
+            additionalProperties: { type: 'number' },
+            propertyNames: { type: 'string', minLength: 1 }
+        });
+        assert.deepEqual(converted.properties.annotations, { type: 'object' });
+        assert.deepEqual(converted.allOf, [
+            { anyOf: [{ required: ['image'] }, { required: ['template'] }] },
+            { oneOf: [{ required: ['image'] }, { required: ['annotations'] }] }
+        ]);
+    });
+
+    it('converts arrays, alternatives and allowed values', () => {
+        const schema = Joi.object({
+            steps: Joi.array().items(Joi.string(), Joi.object()).min(1).unique(),
+            image: Joi.alternatives().try(Joi.string(), Joi.object({ name: Joi.string() })),
+            provider: Joi.string().valid('aws', 'gcp'),
+            buildRegion: Joi.string().allow(''),
+            id: Joi.number().positive().allow(null),
+            email: Joi.string().email(),
+            cache: Joi.string().uri({ relativeOnly: true }),
+            name: Joi.string().pattern(/^[a-z]+$/i)
+        });
+        const { properties } = joiToJsonSchema(schema);
+
+        assert.deepEqual(properties.steps, {
+            type: 'array',
+            items: { anyOf: [{ type: 'string', minLength: 1 }, { type: 'object' }] },
+            minItems: 1,
+            uniqueItems: true
+        });
+        assert.deepEqual(properties.image, {
+            anyOf: [
+                { type: 'string', minLength: 1 },
+                {
+                    type: 'object',
+                    properties: { name: { type: 'string', minLength: 1 } },
+                    additionalProperties: false
+                }
+            ]
+        });
+        assert.deepEqual(properties.provider, { type: 'string', minLength: 1, enum: ['aws', 'gcp'] });
+        assert.deepEqual(properties.buildRegion, { anyOf: [{ type: 'string', minLength: 1 }, { enum: [''] }] });
+        assert.deepEqual(properties.id, { anyOf: [{ type: 'number', exclusiveMinimum: 0 }, { enum: [null] }] });
+        assert.deepEqual(properties.email, { type: 'string', format: 'email', minLength: 1 });
+        assert.deepEqual(properties.cache, { type: 'string', format: 'uri-reference', minLength: 1 });
+        // Patterns with flags cannot be expressed in JSON Schema
+        assert.deepEqual(properties.name, { type: 'string', minLength: 1 });
+    });
+
+    it('accepts any branch of conditional alternatives', () => {
+        const schema = Joi.object({
+            namespace: Joi.string(),
+            name: Joi.when('namespace', { is: Joi.exist(), then: Joi.string().max(10), otherwise: Joi.number() })
+        });
+
+        assert.deepEqual(joiToJsonSchema(schema).properties.name, {
+            anyOf: [{ type: 'string', maxLength: 10, minLength: 1 }, { type: 'number' }]
+        });
+    });
+
+    it('combines several schemas into one a document may match any of', () => {
+        const converted = joiToJsonSchema([Joi.string(), Joi.number()], { title: 'Either' });
+
+        assert.deepEqual(converted, {
+            $schema: DRAFT_2020_12,
+            title: 'Either',
+            anyOf: [{ type: 'string', minLength: 1 }, { type: 'number' }]
+        });
+    });
+});
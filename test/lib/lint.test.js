@@ -0,0 +1,226 @@
+'use strict';
+
+const { assert } = require('chai');
+const path = require('path');
+const { BUILT_IN_RULES, lint } = require('../../lib/lint');
+
+/**
+ * Build a template that passes all built-in rules, with overrides
+ * @method buildTemplate
+ * @param  {Object} [config]    Overrides for the template config
+ * @param  {Object} [overrides] Overrides for the template
+ * @return {Object}             Template
+ */
+function buildTemplate(config = {}, overrides = {}) {
+    return {
+        name: 'namespace/name',
+        version: '1.0.0',
+        description: 'Template description',
+        maintainer: 'name@domain.org',
+        config: {
+            image: 'node:18',
+            steps: [{ install: 'npm install' }, { test: 'npm test' }, { 'teardown-report': './report.sh' }],
+            ...config
+        },
+        ...overrides
+    };
+}
+
+/**
+ * Lint a template with only one rule enabled
+ * @method lintWith
+ * @param  {Object} templateObj Template
+ * @param  {String} ruleName    Rule to enable
+ * @param  {Array}  [setting]   Setting for the rule
+ * @return {Object[]}           Lint results
+ */
+function lintWith(templateObj, ruleName, setting) {
+    const rules = {};
+
+    BUILT_IN_RULES.forEach(rule => {
+        rules[rule.name] = 'off';
+    });
+    rules[ruleName] = setting || 'warning';
+
+    return lint(templateObj, { rules });
+}
+
+describe('lint test', () => {
+    it('reports nothing for a template following best practices', () => {
+        assert.deepEqual(lint(buildTemplate(), true), []);
+    });
+
+    it('creates structured warnings with rule, path and the rule severity', () => {
+        const results = lint(buildTemplate({ image: 'node', steps: [{ a: 'a' }, { a: 'b' }] }), true);
+
+        assert.deepEqual(
+            results.map(({ code, rule, severity, path: resultPath }) => ({ code, rule, severity, path: resultPath })),
+            [
+                { code: 'LINT', rule: 'image-tag', severity: 'warning', path: ['config', 'image'] },
+                { code: 'LINT', rule: 'no-duplicate-steps', severity: 'error', path: ['config', 'steps', 1] }
+            ]
+        );
+        assert.strictEqual(String(results[0]), results[0].message);
+    });
+
+    describe('image-tag', () => {
+        it('requires images to be pinned to a tag other than latest', () => {
+            assert.deepEqual(lintWith(buildTemplate({ image: 'node:latest' }), 'image-tag').length, 1);
+            assert.deepEqual(lintWith(buildTemplate({ image: 'registry:5000/node' }), 'image-tag').length, 1);
+            assert.deepEqual(lintWith(buildTemplate({ image: 'registry:5000/node:18' }), 'image-tag'), []);
+            assert.deepEqual(lintWith(buildTemplate({ image: 'node@sha256:abc' }), 'image-tag'), []);
+        });
+
+        it('checks labels through the images they point to', () => {
+            const results = lintWith(
+                buildTemplate({ image: 'stable' }, { images: { stable: 'node:18', edge: 'node:latest' } }),
+                'image-tag'
+            );
+
+            assert.deepEqual(
+                results.map(result => result.path),
+                [['images', 'edge']]
+            );
+        });
+
+        it('treats plain image names as parent labels when extending a template', () => {
+            assert.deepEqual(lintWith(buildTemplate({ image: 'stable', template: 'ns/parent@1' }), 'image-tag'), []);
+            assert.strictEqual(
+                lintWith(buildTemplate({ image: 'node:latest', template: 'ns/parent@1' }), 'image-tag').length,
+                1
+            );
+        });
+    });
+
+    describe('maintainer-email', () => {
+        it('requires a valid email', () => {
+            const results = lintWith(buildTemplate({}, { maintainer: 'someone' }), 'maintainer-email');
+
+            assert.strictEqual(results[0].message, 'Maintainer someone should be a valid email');
+        });
+
+        it('restricts the domain when configured', () => {
+            const templateObj = buildTemplate();
+
+            assert.deepEqual(lintWith(templateObj, 'maintainer-email', ['warning', { domains: ['Domain.org'] }]), []);
+            assert.strictEqual(
+                lintWith(templateObj, 'maintainer-email', ['warning', { domains: ['example.com'] }])[0].message,
+                'Maintainer name@domain.org should have an email from one of: example.com'
+            );
+        });
+    });
+
+    describe('description-length', () => {
+        it('requires a minimum description length', () => {
+            assert.strictEqual(lintWith(buildTemplate({}, { description: 'short' }), 'description-length').length, 1);
+            assert.strictEqual(
+                lintWith(buildTemplate(), 'description-length', ['warning', { min: 30 }])[0].message,
+                'Description should be at least 30 characters long'
+            );
+        });
+    });
+
+    describe('no-secrets-in-environment', () => {
+        it('reports environment values referencing secrets', () => {
+            const results = lintWith(
+                buildTemplate({
+                    environment: { AUTH: 'Bearer $NPM_TOKEN', HOME_DIR: '$HOME' },
+                    secrets: ['NPM_TOKEN']
+                }),
+                'no-secrets-in-environment'
+            );
+
+            assert.deepEqual(
+                results.map(result => result.path),
+                [['config', 'environment', 'AUTH']]
+            );
+        });
+
+        it('reports plain-text credentials', () => {
+            const results = lintWith(
+                buildTemplate({ environment: { DB_PASSWORD: 'hunter2', API_KEY: '$KEY_FILE', LOG_LEVEL: 'info' } }),
+                'no-secrets-in-environment'
+            );
+
+            assert.deepEqual(
+                results.map(result => result.path),
+                [['config', 'environment', 'DB_PASSWORD']]
+            );
+        });
+    });
+
+    describe('step-name-pattern', () => {
+        it('requires step names to match the pattern', () => {
+            const templateObj = buildTemplate({ steps: [{ Install: 'npm install' }, { test: 'npm test' }] });
+
+            assert.deepEqual(
+                lintWith(templateObj, 'step-name-pattern').map(result => result.path),
+                [['config', 'steps', 0]]
+            );
+            assert.deepEqual(lintWith(templateObj, 'step-name-pattern', ['warning', { pattern: '^[A-Za-z]+$' }]), []);
+        });
+    });
+
+    describe('teardown-at-end', () => {
+        it('requires teardown steps after all other steps', () => {
+            const templateObj = buildTemplate({
+                steps: [{ 'teardown-early': 'echo' }, { test: 'npm test' }, { 'teardown-late': 'echo' }]
+            });
+
+            assert.deepEqual(
+                lintWith(templateObj, 'teardown-at-end').map(result => result.path),
+                [['config', 'steps', 0]]
+            );
+        });
+    });
+
+    describe('configuration', () => {
+        it('turns rules off and overrides their severity', () => {
+            const templateObj = buildTemplate({ image: 'node' }, { description: 'short' });
+            const results = lint(templateObj, { rules: { 'image-tag': 'off', 'description-length': 'error' } });
+
+            assert.deepEqual(
+                results.map(({ rule, severity }) => ({ rule, severity })),
+                [{ rule: 'description-length', severity: 'error' }]
+            );
+        });
+
+        it('runs custom rules given as objects or module paths', () => {
+            const templateObj = buildTemplate({ steps: [{ install: 'npm install' }] });
+            const customRule = {
+                name: 'no-install',
+                check: ({ config }) =>
+                    config.steps.some(step => step.install)
+                        ? [{ message: 'No install', path: ['config', 'steps'] }]
+                        : []
+            };
+            const results = lint(templateObj, {
+                rules: { 'require-test-step': 'error' },
+                customRules: [customRule, path.resolve(__dirname, '../data/custom_lint_rule.js')]
+            });
+
+            assert.deepEqual(
+                results.map(({ rule, severity }) => ({ rule, severity })),
+                [
+                    { rule: 'no-install', severity: 'warning' },
+                    { rule: 'require-test-step', severity: 'error' }
+                ]
+            );
+        });
+
+        it('throws for unknown rules, invalid severities and invalid custom rules', () => {
+            assert.throws(
+                () => lint(buildTemplate(), { rules: { 'no-such-rule': 'error' } }),
+                'Unknown lint rule no-such-rule'
+            );
+            assert.throws(
+                () => lint(buildTemplate(), { rules: { 'image-tag': 'fatal' } }),
+                'Invalid severity fatal for lint rule image-tag; use one of: error, warning, off'
+            );
+            assert.throws(
+                () => lint(buildTemplate(), { customRules: [{ name: 'broken' }] }),
+                /must have a name and a check/
+            );
+        });
+    });
+});
@@ -0,0 +1,303 @@
+'use strict';
+
+const { assert } = require('chai');
+const hoek = require('@hapi/hoek');
+const { merge } = require('../../lib/helper');
+const { SCHEMA_MERGE_DIRECTIVES } = require('../../lib/mergeDirectives');
+
+describe('mergeDirectives test', () => {
+    let parent;
+
+    beforeEach(() => {
+        parent = {
+            image: 'node:18',
+            requires: ['~pr', '~commit'],
+            environment: { NODE_ENV: 'test', DEBUG: 'true' },
+            settings: { slack: { channels: ['builds'], statuses: ['FAILURE'] }, email: 'ci@example.com' },
+            secrets: ['NPM_TOKEN', 'GIT_KEY'],
+            steps: [
+                { install: 'npm ci' },
+                { test: { command: 'npm test', locked: true } },
+                { 'teardown-report': './report.sh' }
+            ]
+        };
+    });
+
+    it('appends to lists and removes inherited items and keys', () => {
+        const child = {
+            template: 'sd/nodejs@1.2.0',
+            requires: ['~sd@123:main'],
+            environment: { NODE_ENV: 'production' },
+            secrets: ['DEPLOY_KEY'],
+            merge: {
+                requires: 'append',
+                environment: { remove: ['DEBUG'] },
+                secrets: { remove: ['NPM_TOKEN'] }
+            }
+        };
+
+        assert.deepEqual(merge(parent, child, true), []);
+        assert.deepEqual(parent.requires, ['~pr', '~commit', '~sd@123:main']);
+        assert.deepEqual(parent.environment, { NODE_ENV: 'production' });
+        assert.deepEqual(parent.secrets, ['GIT_KEY', 'DEPLOY_KEY']);
+        assert.deepEqual(parent.settings.slack, { channels: ['builds'], statuses: ['FAILURE'] });
+    });
+
+    it('merges nested settings deeply or replaces them', () => {
+        const deep = hoek.clone(parent);
+
+        merge(deep, { settings: { slack: { channels: ['team'] } }, merge: { settings: 'deep' } }, true);
+        merge(parent, { settings: { slack: { channels: ['team'] } }, merge: { settings: 'replace' } }, true);
+
+        assert.deepEqual(deep.settings, {
+            slack: { channels: ['team'], statuses: ['FAILURE'] },
+            email: 'ci@example.com'
+        });
+        assert.deepEqual(parent.settings, { slack: { channels: ['team'] } });
+    });
+
+    it('clears a list with an explicit replace', () => {
+        merge(parent, { merge: { secrets: 'replace', requires: { strategy: 'replace', remove: ['~pr'] } } }, true);
+
+        assert.deepEqual(parent.secrets, []);
+        assert.deepEqual(parent.requires, []);
+    });
+
+    it('replaces steps, keeping locked steps of the parent', () => {
+        const warnings = merge(
+            parent,
+            {
+                template: 'sd/nodejs@1.2.0',
+                steps: [{ build: 'npm run build' }, { test: 'npm run test:ci' }],
+                merge: { steps: 'replace' }
+            },
+            true
+        );
+
+        assert.deepEqual(parent.steps, [{ build: 'npm run build' }, { test: { command: 'npm test', locked: true } }]);
+        assert.deepEqual(
+            warnings.map(({ code }) => code),
+            ['LOCKED_STEP_OVERRIDE']
+        );
+    });
+
+    it('requires locked steps when replacing steps', () => {
+        const warnings = merge(
+            parent,
+            { template: 'sd/nodejs@1.2.0', steps: [{ build: 'x' }], merge: { steps: 'replace' } },
+            true
+        );
+
+        assert.deepEqual(warnings, [
+            {
+                code: 'LOCKED_STEP_MISSING',
+                severity: 'error',
+                message: 'Steps must contain template sd/nodejs@1.2.0 locked steps to replace its steps: test',
+                path: ['merge', 'steps'],
+                template: 'sd/nodejs@1.2.0'
+            }
+        ]);
+        assert.deepEqual(parent.steps, [{ build: 'x' }, { test: { command: 'npm test', locked: true } }]);
+    });
+
+    it('rejects inserting and removing steps in an order', () => {
+        const warnings = merge(
+            parent,
+            {
+                template: 'sd/nodejs@1.2.0',
+                order: ['install', 'test'],
+                steps: [{ audit: 'npm audit' }],
+                merge: { steps: { after: { install: 'audit' }, remove: ['lint'] } }
+            },
+            true
+        );
+
+        assert.deepEqual(
+            warnings.map(({ code, severity, message, path }) => ({ code, severity, message, path })),
+            [
+                {
+                    code: 'STEP_TARGET_MISSING',
+                    severity: 'error',
+                    message:
+                        'Cannot remove steps of template sd/nodejs@1.2.0 when steps are listed in order or replaced',
+                    path: ['merge', 'steps', 'remove']
+                },
+                {
+                    code: 'STEP_TARGET_MISSING',
+                    severity: 'error',
+                    message:
+                        'Cannot insert after steps of template sd/nodejs@1.2.0 when steps are listed in order or replaced',
+                    path: ['merge', 'steps', 'after']
+                }
+            ]
+        );
+    });
+
+    it('warns about removing what the parent does not define', () => {
+        const warnings = merge(
+            parent,
+            { template: 'sd/nodejs@1.2.0', merge: { environment: { remove: ['MISSING'] } } },
+            true
+        );
+
+        assert.deepEqual(warnings, [
+            {
+                code: 'MERGE_REMOVE_MISSING',
+                severity: 'warning',
+                message: 'Cannot remove MISSING from environment; template sd/nodejs@1.2.0 does not define it',
+                path: ['merge', 'environment', 'remove', 0],
+                template: 'sd/nodejs@1.2.0'
+            }
+        ]);
+    });
+
+    it('rejects invalid directives', () => {
+        assert.throws(
+            () => merge(parent, { template: 'sd/nodejs@1.2.0', merge: { secrets: 'deep' } }, true),
+            /^Invalid merge directives of template sd\/nodejs@1.2.0: "secrets"/
+        );
+        assert.isDefined(SCHEMA_MERGE_DIRECTIVES.validate({ image: 'replace' }).error);
+        assert.isUndefined(
+            SCHEMA_MERGE_DIRECTIVES.validate({ environment: { strategy: 'deep', remove: ['A'] } }).error
+        );
+    });
+
+    describe('steps', () => {
+        const template = 'sd/nodejs@1.2.0';
+
+        beforeEach(() => {
+            parent.steps = [
+                { install: 'npm ci' },
+                { lint: 'npm run lint' },
+                { test: { command: 'npm test', locked: false, meta: 'unit' } },
+                { deploy: { command: './deploy.sh', locked: true } },
+                { 'teardown-report': './report.sh' }
+            ];
+        });
+
+        it('inserts steps before and after parent steps and removes inherited steps', () => {
+            const warnings = merge(
+                parent,
+                {
+                    template,
+                    steps: [{ 'start-db': './db.sh start' }, { audit: 'npm audit' }, { smoke: './smoke.sh' }],
+                    merge: {
+                        steps: {
+                            before: { test: 'start-db' },
+                            after: { install: ['audit'], 'teardown-report': 'smoke' },
+                            remove: ['lint']
+                        }
+                    }
+                },
+                true
+            );
+
+            assert.deepEqual(warnings, []);
+            assert.deepEqual(parent.steps, [
+                { install: 'npm ci' },
+                { audit: 'npm audit' },
+                { 'start-db': './db.sh start' },
+                { test: { command: 'npm test', locked: false, meta: 'unit' } },
+                { deploy: { command: './deploy.sh', locked: true } },
+                { 'teardown-report': './report.sh' },
+                { smoke: './smoke.sh' }
+            ]);
+        });
+
+        it('overrides only the command of parent steps', () => {
+            merge(
+                parent,
+                {
+                    template,
+                    steps: [{ install: 'npm install' }, { test: 'npm run test:ci' }, { deploy: './other.sh' }],
+                    merge: { steps: { override: 'command' } }
+                },
+                true
+            );
+
+            assert.deepEqual(parent.steps.slice(0, 4), [
+                { install: 'npm install' },
+                { lint: 'npm run lint' },
+                { test: { command: 'npm run test:ci', locked: false, meta: 'unit' } },
+                { deploy: { command: './deploy.sh', locked: true } }
+            ]);
+        });
+
+        it('overrides only the command of parent steps in an order', () => {
+            merge(
+                parent,
+                {
+                    template,
+                    order: ['test', 'deploy'],
+                    steps: [{ test: 'npm run test:ci' }],
+                    merge: { steps: { override: 'command' } }
+                },
+                true
+            );
+
+            assert.deepEqual(parent.steps, [
+                { test: { command: 'npm run test:ci', locked: false, meta: 'unit' } },
+                { deploy: { command: './deploy.sh', locked: true } }
+            ]);
+        });
+
+        it('reports targets that do not exist and keeps locked steps', () => {
+            const warnings = merge(
+                parent,
+                {
+                    template,
+                    steps: [{ audit: 'npm audit' }],
+                    merge: {
+                        steps: {
+                            remove: ['build', 'deploy'],
+                            before: { build: 'audit' },
+                            after: { install: 'missing' }
+                        }
+                    }
+                },
+                true
+            );
+
+            assert.deepEqual(
+                warnings.map(({ code, severity, message, path }) => ({ code, severity, message, path })),
+                [
+                    {
+                        code: 'STEP_TARGET_MISSING',
+                        severity: 'error',
+                        message: 'Cannot remove step build; template sd/nodejs@1.2.0 has no such step',
+                        path: ['merge', 'steps', 'remove', 0]
+                    },
+                    {
+                        code: 'LOCKED_STEP_OVERRIDE',
+                        severity: 'warning',
+                        message:
+                            'Cannot remove locked step deploy; using step definition from template sd/nodejs@1.2.0',
+                        path: ['merge', 'steps', 'remove', 1]
+                    },
+                    {
+                        code: 'STEP_TARGET_MISSING',
+                        severity: 'error',
+                        message: 'Cannot insert steps before build; template sd/nodejs@1.2.0 has no such step',
+                        path: ['merge', 'steps', 'before', 'build']
+                    },
+                    {
+                        code: 'STEP_TARGET_MISSING',
+                        severity: 'error',
+                        message: 'Cannot insert step missing after install; it is not defined in steps',
+                        path: ['merge', 'steps', 'after', 'install']
+                    }
+                ]
+            );
+            assert.deepEqual(
+                parent.steps.map(step => Object.keys(step)[0]),
+                ['install', 'lint', 'test', 'deploy', 'teardown-report']
+            );
+        });
+    });
+
+    it('does not apply directives outside of templates', () => {
+        merge(parent, { environment: { FOO: 'bar' }, merge: { environment: 'replace' } }, false);
+
+        assert.deepEqual(parent.environment, { NODE_ENV: 'test', DEBUG: 'true', FOO: 'bar' });
+    });
+});
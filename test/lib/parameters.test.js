@@ -0,0 +1,183 @@
+'use strict';
+
+/* eslint-disable no-template-curly-in-string */
+
+const { assert } = require('chai');
+const { snapshotLevels } = require('../../lib/helper');
+const {
+    analyzeParameters,
+    findReferences,
+    getParameterDefaults,
+    substituteParameters
+} = require('../../lib/parameters');
+
+describe('parameters test', () => {
+    describe('findReferences', () => {
+        it('finds parameters referenced with meta or expressions', () => {
+            assert.deepEqual(findReferences('npm install -g npm@$(meta get parameters.npm-version.value)'), [
+                'npm-version'
+            ]);
+            assert.deepEqual(findReferences('nvm use ${{ parameters.node_version }} && ${{parameters.node_version}}'), [
+                'node_version'
+            ]);
+            assert.deepEqual(findReferences('echo parameters.plain $(pwd)'), []);
+            assert.deepEqual(findReferences(undefined), []);
+        });
+    });
+
+    describe('getParameterDefaults', () => {
+        it('uses the value or the first allowed value', () => {
+            assert.deepEqual(
+                getParameterDefaults({
+                    region: ['us-west', 'us-east'],
+                    size: 'small',
+                    node: { value: '18', description: 'Node version' },
+                    tier: { value: ['gold', 'silver'] }
+                }),
+                { region: 'us-west', size: 'small', node: '18', tier: 'gold' }
+            );
+            assert.deepEqual(getParameterDefaults(undefined), {});
+        });
+    });
+
+    describe('substituteParameters', () => {
+        it('replaces meta and expression references with values', () => {
+            assert.strictEqual(
+                substituteParameters(
+                    'nvm use ${{ parameters.node }} && npm i -g npm@$(meta get parameters.npm.value) ' +
+                        '$(meta get parameters.node) ${{ parameters.missing }}',
+                    { node: '18', npm: 8 }
+                ),
+                'nvm use 18 && npm i -g npm@8 18 ${{ parameters.missing }}'
+            );
+            assert.strictEqual(substituteParameters(undefined, {}), undefined);
+        });
+    });
+
+    describe('analyzeParameters', () => {
+        const parent = {
+            name: 'parent',
+            namespace: 'ns',
+            version: '1.0.0',
+            config: {
+                parameters: { region: ['us-west', 'us-east'], size: 'small' },
+                steps: [{ deploy: './deploy.sh $(meta get parameters.region.value) $(meta get parameters.owner)' }]
+            }
+        };
+
+        /**
+         * Analyze a child template whose steps replace the parent's
+         * @method analyze
+         * @param  {Object}   config Child job config
+         * @param  {Object[]} chain  Parent templates, direct parent first
+         * @return {Object[]}        Warnings
+         */
+        function analyze(config, chain = []) {
+            const templateObj = { config };
+            const levels = snapshotLevels(chain, templateObj);
+            const parameters = chain.reduceRight(
+                (merged, template) => ({ ...merged, ...template.config.parameters }),
+                {}
+            );
+            const flattened = {
+                config: {
+                    ...config,
+                    parameters: { ...parameters, ...config.parameters },
+                    steps: chain.reduceRight((steps, template) => template.config.steps, []).concat(config.steps || [])
+                }
+            };
+
+            return analyzeParameters(levels, flattened);
+        }
+
+        it('reports undeclared parameters with their step or environment variable', () => {
+            const warnings = analyze({
+                parameters: { mode: 'fast' },
+                steps: [
+                    { init: 'echo' },
+                    { build: { command: 'make ${{ parameters.mode }} ${{ parameters.target }}' } }
+                ],
+                environment: { LEVEL: '$(meta get parameters.level)' }
+            });
+
+            assert.deepEqual(
+                warnings.map(({ code, message, step, path }) => ({ code, message, step, path })),
+                [
+                    {
+                        code: 'PARAMETER_UNDECLARED',
+                        message: 'Parameter target is used in step build but not declared',
+                        step: 'build',
+                        path: ['config', 'steps', 1]
+                    },
+                    {
+                        code: 'PARAMETER_UNDECLARED',
+                        message: 'Parameter level is used in environment variable LEVEL but not declared',
+                        step: undefined,
+                        path: ['config', 'environment', 'LEVEL']
+                    }
+                ]
+            );
+        });
+
+        it('reports undeclared parameters used by a parent with the parent as source', () => {
+            const warnings = analyze({ parameters: { region: 'us-east' } }, [parent]);
+
+            assert.deepEqual(
+                warnings.map(({ code, step, path, source }) => ({ code, step, path, source })),
+                [
+                    {
+                        code: 'PARAMETER_UNDECLARED',
+                        step: 'deploy',
+                        path: ['config', 'steps', 0],
+                        source: 'ns/parent@1.0.0'
+                    }
+                ]
+            );
+        });
+
+        it('reports parameters declared by the child but not used', () => {
+            const warnings = analyze({ parameters: { unused: 'x', size: 'large', owner: 'me' } }, [parent]);
+
+            assert.deepEqual(
+                warnings.map(({ code, path }) => ({ code, path })),
+                [{ code: 'PARAMETER_UNUSED', path: ['config', 'parameters', 'unused'] }]
+            );
+        });
+
+        it('reports values the parent does not allow', () => {
+            const warnings = analyze(
+                {
+                    parameters: {
+                        owner: 'me',
+                        region: { value: 'eu-west', description: 'Region' },
+                        size: ['small', 'large']
+                    }
+                },
+                [parent]
+            );
+
+            assert.deepEqual(
+                warnings.map(({ code, message, path, template }) => ({ code, message, path, template })),
+                [
+                    {
+                        code: 'PARAMETER_TYPE_MISMATCH',
+                        message:
+                            'Parameter region value eu-west is not allowed by ns/parent@1.0.0; use one of: us-west, us-east',
+                        path: ['config', 'parameters', 'region'],
+                        template: 'ns/parent@1.0.0'
+                    },
+                    {
+                        code: 'PARAMETER_TYPE_MISMATCH',
+                        message: 'Parameter size is a list, but ns/parent@1.0.0 declares a single value',
+                        path: ['config', 'parameters', 'size'],
+                        template: 'ns/parent@1.0.0'
+                    }
+                ]
+            );
+        });
+
+        it('accepts a subset of the allowed values', () => {
+            assert.deepEqual(analyze({ parameters: { owner: 'me', region: ['us-east'] } }, [parent]), []);
+        });
+    });
+});
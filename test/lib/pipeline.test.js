@@ -0,0 +1,107 @@
+'use strict';
+
+const { assert } = require('chai');
+const path = require('path');
+const { createFileTemplateFactory } = require('../../lib/fileTemplateFactory');
+const { expandMatrix, expandPipelineJobs, mergeShared } = require('../../lib/pipeline');
+
+describe('pipeline test', () => {
+    describe('mergeShared', () => {
+        it('merges shared settings into the job with the job taking precedence', () => {
+            const shared = {
+                image: 'node:18',
+                environment: { FOO: 'shared', BAR: 'shared' },
+                secrets: ['NPM_TOKEN'],
+                steps: [{ test: 'npm test' }],
+                requires: ['~commit']
+            };
+            const job = mergeShared(shared, {
+                environment: { FOO: 'job' },
+                secrets: ['GIT_KEY'],
+                steps: [{ lint: 'npm run lint' }]
+            });
+
+            assert.deepEqual(job, {
+                image: 'node:18',
+                annotations: {},
+                environment: { FOO: 'job', BAR: 'shared' },
+                settings: {},
+                secrets: ['NPM_TOKEN', 'GIT_KEY'],
+                sourcePaths: [],
+                steps: [{ lint: 'npm run lint' }],
+                requires: ['~commit']
+            });
+            assert.deepEqual(shared.environment, { FOO: 'shared', BAR: 'shared' });
+        });
+    });
+
+    describe('expandMatrix', () => {
+        it('creates a variant per combination with the values in the environment', () => {
+            const variants = expandMatrix({
+                image: 'node:18',
+                environment: { FOO: 'foo' },
+                matrix: { NODE_VERSION: [18, 20], OS: ['linux', 'mac'] }
+            });
+
+            assert.deepEqual(
+                variants.map(variant => variant.matrix),
+                [
+                    { NODE_VERSION: 18, OS: 'linux' },
+                    { NODE_VERSION: 18, OS: 'mac' },
+                    { NODE_VERSION: 20, OS: 'linux' },
+                    { NODE_VERSION: 20, OS: 'mac' }
+                ]
+            );
+            assert.deepEqual(variants[1].config, {
+                image: 'node:18',
+                environment: { FOO: 'foo', NODE_VERSION: '18', OS: 'mac' }
+            });
+        });
+
+        it('keeps a job without matrix as is', () => {
+            assert.deepEqual(expandMatrix({ image: 'node:18' }), [{ config: { image: 'node:18' } }]);
+        });
+    });
+
+    describe('expandPipelineJobs', () => {
+        const pipelineConfig = {
+            shared: { image: 'node:18', environment: { FOO: 'foo' } },
+            jobs: {
+                main: { template: 'sd/nodejs@stable', matrix: { NODE_ENV: ['test', 'production'] } },
+                publish: { steps: [{ publish: 'npm publish' }], requires: ['main'] }
+            }
+        };
+
+        it('resolves job templates when a template factory is given', async () => {
+            const templateFactory = await createFileTemplateFactory(
+                path.resolve(__dirname, '../data/templates/nodejs.yaml')
+            );
+            const { effectiveJobs, warnings } = await expandPipelineJobs(pipelineConfig, templateFactory);
+
+            assert.deepEqual(warnings, []);
+            assert.deepEqual(
+                effectiveJobs.map(({ name, matrix }) => ({ name, matrix })),
+                [
+                    { name: 'main', matrix: { NODE_ENV: 'test' } },
+                    { name: 'main', matrix: { NODE_ENV: 'production' } },
+                    { name: 'publish', matrix: undefined }
+                ]
+            );
+            assert.include(effectiveJobs[0].config, { image: 'node:18', templateId: 2 });
+            assert.deepEqual(effectiveJobs[0].config.steps, [{ install: 'npm ci' }, { test: 'npm test' }]);
+            assert.include(effectiveJobs[0].config.environment, {
+                FOO: 'foo',
+                NODE_ENV: 'test',
+                SD_TEMPLATE_VERSION: '1.2.0'
+            });
+            assert.deepEqual(effectiveJobs[2].config.steps, [{ publish: 'npm publish' }]);
+        });
+
+        it('keeps job template references without a template factory', async () => {
+            const { effectiveJobs } = await expandPipelineJobs(pipelineConfig);
+
+            assert.strictEqual(effectiveJobs[0].config.template, 'sd/nodejs@stable');
+            assert.notProperty(effectiveJobs[0].config, 'steps');
+        });
+    });
+});
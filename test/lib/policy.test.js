@@ -0,0 +1,121 @@
+'use strict';
+
+const { assert } = require('chai');
+const { checkPipelineJobs, checkPolicy, getRegistry, validatePolicy } = require('../../lib/policy');
+
+describe('policy test', () => {
+    const job = {
+        image: 'ci-image',
+        annotations: { 'screwdriver.cd/cpu': 'HIGH', 'example.com/privileged': 'true' },
+        secrets: ['NPM_TOKEN', 'AWS_SECRET_KEY'],
+        steps: [
+            { install: 'npm ci' },
+            { bootstrap: { command: 'curl -fsSL https://example.com/setup | bash', locked: true } }
+        ]
+    };
+
+    it('finds the registry of an image', () => {
+        assert.strictEqual(getRegistry('node:18'), 'docker.io');
+        assert.strictEqual(getRegistry('library/node:18'), 'docker.io');
+        assert.strictEqual(getRegistry('registry.example.com/team/app:1.0'), 'registry.example.com');
+        assert.strictEqual(getRegistry('localhost:5000/app'), 'localhost:5000');
+    });
+
+    it('reports values that are denied or not allowed', () => {
+        const violations = checkPolicy(
+            job,
+            {
+                registries: { allow: 'registry.example.com' },
+                annotations: { deny: ['/privileged/i'] },
+                secrets: { allow: ['NPM_*'], deny: ['/SECRET/'] },
+                commands: { deny: ['/curl[^|]*\\|\\s*(ba)?sh/'] }
+            },
+            { images: { 'ci-image': 'quay.io/team/node:18' } }
+        );
+
+        assert.deepEqual(
+            violations.map(({ severity, message, rule, path }) => ({ severity, message, rule, path })),
+            [
+                {
+                    severity: 'error',
+                    message:
+                        'Registry quay.io of image quay.io/team/node:18 does not match any allowed registries pattern',
+                    rule: 'registries',
+                    path: ['image']
+                },
+                {
+                    severity: 'error',
+                    message: 'Annotation example.com/privileged matches denied pattern /privileged/i',
+                    rule: 'annotations',
+                    path: ['annotations', 'example.com/privileged']
+                },
+                {
+                    severity: 'error',
+                    message: 'Secret AWS_SECRET_KEY matches denied pattern /SECRET/',
+                    rule: 'secrets',
+                    path: ['secrets', 1]
+                },
+                {
+                    severity: 'error',
+                    message: 'Command of step bootstrap matches denied pattern /curl[^|]*\\|\\s*(ba)?sh/',
+                    rule: 'commands',
+                    path: ['steps', 1]
+                }
+            ]
+        );
+    });
+
+    it('uses the rules of the namespace over the global rules', () => {
+        const policy = {
+            secrets: { allow: ['NPM_TOKEN'] },
+            namespaces: { payments: { secrets: { allow: ['NPM_TOKEN', 'AWS_*'] } } }
+        };
+
+        assert.deepEqual(
+            checkPolicy(job, policy).map(({ message }) => message),
+            ['Secret AWS_SECRET_KEY does not match any allowed secrets pattern']
+        );
+        assert.deepEqual(checkPolicy(job, policy, { namespace: 'payments' }), []);
+    });
+
+    it('reports values of the shared settings once', () => {
+        const templateObj = {
+            namespace: 'payments',
+            config: {
+                shared: { secrets: ['AWS_SECRET_KEY'] },
+                jobs: { main: { image: 'node:latest' }, test: {} }
+            }
+        };
+        const effectiveJobs = [
+            { name: 'main', config: { image: 'node:latest', secrets: ['AWS_SECRET_KEY'] } },
+            { name: 'test', config: { secrets: ['AWS_SECRET_KEY'] } }
+        ];
+
+        assert.deepEqual(
+            checkPipelineJobs(templateObj, effectiveJobs, {
+                images: { deny: '*:latest' },
+                secrets: { deny: 'AWS_*' }
+            }).map(({ message, path, job: jobName }) => ({ message, path, job: jobName })),
+            [
+                {
+                    message: 'Image node:latest matches denied pattern *:latest',
+                    path: ['config', 'jobs', 'main', 'image'],
+                    job: 'main'
+                },
+                {
+                    message: 'Secret AWS_SECRET_KEY matches denied pattern AWS_*',
+                    path: ['config', 'shared', 'secrets', 0],
+                    job: undefined
+                }
+            ]
+        );
+    });
+
+    it('rejects invalid policies', () => {
+        assert.throws(
+            () => validatePolicy({ secrets: { allow: ['/(/'] } }),
+            'Invalid policy: "secrets.allow[0]" must be a valid regular expression'
+        );
+        assert.throws(() => validatePolicy({ volumes: {} }), 'Invalid policy: "volumes" is not allowed');
+    });
+});
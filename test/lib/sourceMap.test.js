@@ -0,0 +1,73 @@
+'use strict';
+
+const { assert } = require('chai');
+const { addSourceLocations, createSourceMap } = require('../../lib/sourceMap');
+
+describe('sourceMap test', () => {
+    const yaml = [
+        'config:',
+        '  base: &base',
+        '    image: node:18',
+        '  steps:',
+        '    - install: npm install',
+        '    - test: npm test',
+        '  settings: *base'
+    ].join('\n');
+
+    it('locates sequence items', () => {
+        assert.deepEqual(createSourceMap(yaml).locate(['config', 'steps', 1]), {
+            line: 6,
+            column: 7,
+            snippet: '    - test: npm test'
+        });
+    });
+
+    it('follows aliases', () => {
+        assert.include(createSourceMap(yaml).locate(['config', 'settings', 'image']), { line: 3, column: 12 });
+    });
+
+    it('returns the anchor definition of aliases on the path', () => {
+        assert.deepEqual(createSourceMap(yaml).locate(['config', 'settings', 'image']).anchor, {
+            name: 'base',
+            line: 2,
+            column: 9,
+            snippet: '  base: &base'
+        });
+        assert.include(createSourceMap(yaml).locate(['config', 'settings']).anchor, { name: 'base' });
+        assert.notProperty(createSourceMap(yaml).locate(['config', 'base', 'image']), 'anchor');
+    });
+
+    it('follows merge keys', () => {
+        const merged = [
+            'shared: &shared',
+            '  image: node:18',
+            'other: &other',
+            '  image: node:20',
+            '  environment:',
+            '    CI: true',
+            'jobs:',
+            '  main:',
+            '    <<: [*shared, *other]',
+            '    steps: []'
+        ].join('\n');
+        const sourceMap = createSourceMap(merged);
+
+        assert.include(sourceMap.locate(['jobs', 'main', 'image']), { line: 2, column: 10 });
+        assert.include(sourceMap.locate(['jobs', 'main', 'environment', 'CI']), { line: 6, column: 9 });
+        assert.include(sourceMap.locate(['jobs', 'main', 'environment', 'CI']).anchor, { name: 'other', line: 3 });
+        assert.include(sourceMap.locate(['jobs', 'main', 'steps']), { line: 10, column: 12 });
+    });
+
+    it('falls back to the deepest existing node', () => {
+        assert.include(createSourceMap(yaml).locate(['config', 'steps', 5, 'test']), { line: 5, column: 5 });
+    });
+
+    it('adds locations only to items with a path', () => {
+        const items = [{ message: 'no path' }, { message: 'with path', path: ['config', 'base'] }];
+
+        addSourceLocations(items, yaml);
+
+        assert.notProperty(items[0], 'line');
+        assert.include(items[1], { line: 3, column: 5 });
+    });
+});
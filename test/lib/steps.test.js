@@ -0,0 +1,38 @@
+'use strict';
+
+const { assert } = require('chai');
+const { getCommand, getStepNames, isLocked, normalizeStep, stepsToObject } = require('../../lib/steps');
+
+describe('steps test', () => {
+    const job = {
+        steps: [
+            { install: 'npm ci' },
+            { test: { command: 'npm test' } },
+            { audit: { command: 'audit.sh', locked: true } }
+        ]
+    };
+
+    it('gets the step names in order', () => {
+        assert.deepEqual(getStepNames(job), ['install', 'test', 'audit']);
+        assert.deepEqual(getStepNames({ steps: ['echo hi', { test: 'npm test' }] }), [undefined, 'test']);
+        assert.deepEqual(getStepNames({}), []);
+    });
+
+    it('normalizes step definitions by name', () => {
+        assert.strictEqual(normalizeStep({ command: 'npm test' }), 'npm test');
+        assert.deepEqual(stepsToObject(job.steps), {
+            install: 'npm ci',
+            test: 'npm test',
+            audit: { command: 'audit.sh', locked: true }
+        });
+        assert.deepEqual(stepsToObject(undefined), {});
+    });
+
+    it('gets the command and lock of a step definition', () => {
+        assert.strictEqual(getCommand('npm ci'), 'npm ci');
+        assert.strictEqual(getCommand({ command: 'audit.sh', locked: true }), 'audit.sh');
+        assert.isTrue(isLocked({ command: 'audit.sh', locked: true }));
+        assert.isFalse(isLocked('npm ci'));
+        assert.isFalse(isLocked(undefined));
+    });
+});
@@ -0,0 +1,107 @@
+'use strict';
+
+const { assert } = require('chai');
+const sinon = require('sinon');
+const { createTemplateCache } = require('../../lib/templateCache');
+
+describe('templateCache test', () => {
+    let clock;
+    let templateFactory;
+
+    beforeEach(() => {
+        clock = sinon.useFakeTimers();
+        templateFactory = {
+            getTemplate: sinon.stub().callsFake(async name => ({ name, config: { steps: [] } })),
+            listVersions: sinon.stub().resolves(['1.0.0', '1.1.0']),
+            getFullNameAndVersion: sinon.stub().returns({ templateName: 'ns/name' })
+        };
+    });
+
+    afterEach(() => {
+        clock.restore();
+    });
+
+    it('fetches each reference once and hands out copies', async () => {
+        const cache = createTemplateCache(templateFactory);
+        const first = await cache.getTemplate('ns/name@1.0.0');
+
+        first.config.steps.push({ mutated: 'true' });
+
+        const second = await cache.getTemplate('ns/name@1.0.0');
+
+        assert.deepEqual(second, { name: 'ns/name@1.0.0', config: { steps: [] } });
+        sinon.assert.calledOnce(templateFactory.getTemplate);
+        assert.deepEqual(cache.stats(), { hits: 1, misses: 1, evictions: 0, size: 1 });
+    });
+
+    it('shares one fetch between concurrent requests', async () => {
+        const cache = createTemplateCache(templateFactory);
+
+        await Promise.all([cache.getTemplate('ns/name@1.0.0'), cache.getTemplate('ns/name@1.0.0')]);
+
+        sinon.assert.calledOnce(templateFactory.getTemplate);
+    });
+
+    it('expires entries after the ttl', async () => {
+        const cache = createTemplateCache(templateFactory, { ttl: 1000 });
+
+        await cache.getTemplate('ns/name@1.0.0');
+        clock.tick(999);
+        await cache.getTemplate('ns/name@1.0.0');
+        clock.tick(1);
+        await cache.getTemplate('ns/name@1.0.0');
+
+        sinon.assert.calledTwice(templateFactory.getTemplate);
+        assert.include(cache.stats(), { hits: 1, misses: 2 });
+    });
+
+    it('evicts the least recently used entry', async () => {
+        const cache = createTemplateCache(templateFactory, { maxSize: 2 });
+
+        await cache.getTemplate('ns/a@1.0.0');
+        await cache.getTemplate('ns/b@1.0.0');
+        await cache.getTemplate('ns/a@1.0.0');
+        await cache.getTemplate('ns/c@1.0.0');
+        await cache.getTemplate('ns/a@1.0.0');
+        await cache.getTemplate('ns/b@1.0.0');
+
+        sinon.assert.calledWith(templateFactory.getTemplate.getCall(3), 'ns/b@1.0.0');
+        assert.deepEqual(cache.stats(), { hits: 2, misses: 4, evictions: 2, size: 2 });
+    });
+
+    it('does not cache missing templates or failures', async () => {
+        const cache = createTemplateCache(templateFactory);
+
+        templateFactory.getTemplate.onFirstCall().resolves(null);
+        templateFactory.getTemplate.onSecondCall().rejects(new Error('API unavailable'));
+
+        assert.isNull(await cache.getTemplate('ns/name@2.0.0'));
+        await cache.getTemplate('ns/name@2.0.0').then(assert.fail, err => {
+            assert.strictEqual(err.message, 'API unavailable');
+        });
+        assert.deepEqual(await cache.getTemplate('ns/name@2.0.0'), { name: 'ns/name@2.0.0', config: { steps: [] } });
+        assert.strictEqual(cache.stats().size, 1);
+    });
+
+    it('caches listed versions and passes other calls through', async () => {
+        const cache = createTemplateCache(templateFactory);
+
+        assert.deepEqual(await cache.listVersions('ns/name'), ['1.0.0', '1.1.0']);
+        assert.deepEqual(await cache.listVersions('ns/name'), ['1.0.0', '1.1.0']);
+        assert.deepEqual(cache.getFullNameAndVersion('ns/name@1'), { templateName: 'ns/name' });
+        sinon.assert.calledOnce(templateFactory.listVersions);
+    });
+
+    it('only lists versions if the wrapped factory can', () => {
+        assert.notProperty(createTemplateCache({ getTemplate: sinon.stub() }), 'listVersions');
+    });
+
+    it('clears entries and stats', async () => {
+        const cache = createTemplateCache(templateFactory);
+
+        await cache.getTemplate('ns/name@1.0.0');
+        cache.clear();
+
+        assert.deepEqual(cache.stats(), { hits: 0, misses: 0, evictions: 0, size: 0 });
+    });
+});
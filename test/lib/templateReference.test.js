@@ -0,0 +1,75 @@
+'use strict';
+
+const { assert } = require('chai');
+const sinon = require('sinon');
+const { getTemplateByReference, parseTemplateReference } = require('../../lib/templateReference');
+
+describe('templateReference test', () => {
+    describe('parseTemplateReference', () => {
+        it('parses exact versions, ranges and tags', () => {
+            assert.deepEqual(parseTemplateReference('ns/name@1.2.3'), {
+                reference: 'ns/name@1.2.3',
+                namespace: 'ns',
+                name: 'name',
+                fullName: 'ns/name',
+                exactVersion: '1.2.3'
+            });
+            assert.include(parseTemplateReference('ns/name@1'), { range: '1', requiresResolution: false });
+            assert.include(parseTemplateReference('ns/name@^1.2'), { range: '^1.2', requiresResolution: true });
+            assert.include(parseTemplateReference('ns/name@~1.2.3'), { range: '~1.2.3', requiresResolution: true });
+            assert.include(parseTemplateReference('name@1.x'), { fullName: 'name', range: '1.x' });
+            assert.include(parseTemplateReference('name@stable'), { tag: 'stable' });
+            assert.notProperty(parseTemplateReference('ns/name'), 'range');
+        });
+
+        it('rejects invalid references', () => {
+            ['ns/name@', 'ns/name@>=1', 'a/b/c@1', 'ns/name@1.2.3.4', 'ns name'].forEach(reference => {
+                assert.isNull(parseTemplateReference(reference), reference);
+            });
+        });
+    });
+
+    describe('getTemplateByReference', () => {
+        let templateFactory;
+
+        beforeEach(() => {
+            templateFactory = {
+                getTemplate: sinon.stub().resolves({ name: 'name' }),
+                listVersions: sinon.stub().resolves(['1.0.0', '1.2.0', '1.10.1', '2.0.0', 'not-a-version'])
+            };
+        });
+
+        it('resolves ranges to the highest matching exact version', () =>
+            getTemplateByReference('ns/name@^1.2', templateFactory).then(() => {
+                sinon.assert.calledWith(templateFactory.getTemplate, 'ns/name@1.10.1');
+            }));
+
+        it('resolves to null when no version matches', () =>
+            getTemplateByReference('ns/name@~3.0', templateFactory).then(template => {
+                assert.isNull(template);
+                sinon.assert.notCalled(templateFactory.getTemplate);
+            }));
+
+        it('passes exact versions and tags through', () =>
+            getTemplateByReference('ns/name@stable', templateFactory).then(() => {
+                sinon.assert.calledWith(templateFactory.getTemplate, 'ns/name@stable');
+                sinon.assert.notCalled(templateFactory.listVersions);
+            }));
+
+        it('throws for ranges when the factory cannot list versions', () => {
+            delete templateFactory.listVersions;
+
+            return getTemplateByReference('ns/name@^1.2', templateFactory).then(assert.fail, err => {
+                assert.match(err.message, /uses a version range, but the template factory cannot list versions/);
+            });
+        });
+
+        it('passes ranges through when the factory cannot list the versions of a template', () => {
+            templateFactory.listVersions.resolves(undefined);
+
+            return getTemplateByReference('ns/name@1', templateFactory).then(() => {
+                sinon.assert.calledWith(templateFactory.getTemplate, 'ns/name@1');
+            });
+        });
+    });
+});
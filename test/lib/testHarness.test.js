@@ -0,0 +1,236 @@
+'use strict';
+
+const { assert } = require('chai');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+    discoverTemplateTests,
+    findFixtures,
+    formatTestReport,
+    runTemplateTest,
+    summarizeTests
+} = require('../../lib/testHarness');
+const { checkAssertions } = require('../../lib/testHarness/assertions');
+const { diffValues } = require('../../lib/diff');
+const { formatDiff } = require('../../lib/testHarness/diff');
+
+const TESTS_PATH = path.resolve(__dirname, '..', 'data', 'template_tests');
+
+describe('testHarness test', () => {
+    describe('discoverTemplateTests', () => {
+        it('pairs templates with their snapshots and assertions', async () => {
+            assert.deepEqual(await discoverTemplateTests(TESTS_PATH), [
+                {
+                    name: 'app',
+                    file: path.join(TESTS_PATH, 'app.yaml'),
+                    snapshotFile: path.join(TESTS_PATH, 'app.json'),
+                    assertionsFile: path.join(TESTS_PATH, 'app.assertions.yaml')
+                },
+                {
+                    name: 'pipeline',
+                    file: path.join(TESTS_PATH, 'pipeline.yaml'),
+                    assertionsFile: path.join(TESTS_PATH, 'pipeline.assertions.yaml')
+                }
+            ]);
+        });
+
+        it('finds the fixture templates of a test directory', async () => {
+            assert.strictEqual(await findFixtures(TESTS_PATH), path.join(TESTS_PATH, 'templates'));
+            assert.isUndefined(await findFixtures(path.join(TESTS_PATH, 'templates')));
+        });
+    });
+
+    describe('checkAssertions', () => {
+        const result = {
+            errors: [{ message: '"config.image" must be a string', type: 'string.base' }],
+            warnings: [{ code: 'ORDER_STEP_MISSING' }],
+            template: {
+                config: {
+                    image: 'node:18',
+                    environment: { FOO: 'bar' },
+                    steps: [{ 'teardown-clean': 'rm -rf tmp' }, { install: 'npm ci' }, { test: 'npm test' }],
+                    jobs: { main: { image: 'node:20' } }
+                }
+            }
+        };
+
+        it('passes assertions that hold', () => {
+            assert.deepEqual(
+                checkAssertions(
+                    [
+                        { valid: false },
+                        { image: 'node:18' },
+                        { environment: { FOO: 'bar' } },
+                        { stepsInOrder: ['install', 'test', 'teardown-clean'] },
+                        { warnings: ['ORDER_STEP_MISSING'] },
+                        { errors: ['string.base', 'must be a string'] },
+                        { image: 'node:20', job: 'main' }
+                    ],
+                    result
+                ),
+                []
+            );
+        });
+
+        it('explains assertions that fail', () => {
+            assert.deepEqual(
+                checkAssertions(
+                    [
+                        { valid: true },
+                        { environment: { FOO: 'baz' } },
+                        { stepsInOrder: ['test', 'install'] },
+                        { stepsInOrder: ['deploy'] },
+                        { warnings: [] },
+                        { errors: ['any.required'] },
+                        { image: 'node:18', job: 'missing' },
+                        { imag: 'node:18' }
+                    ],
+                    result
+                ).map(({ message }) => message),
+                [
+                    'valid: Expected no errors, but got: "config.image" must be a string',
+                    'environment: Expected env FOO to equal baz, but got bar',
+                    'stepsInOrder: Expected step test to run before install, but the steps are: ' +
+                        'install, test, teardown-clean',
+                    'stepsInOrder: Expected step deploy, but the steps are: install, test, teardown-clean',
+                    'warnings: Expected no warnings, but got: ORDER_STEP_MISSING',
+                    'errors: Expected error any.required, but got: string.base',
+                    'Job missing does not exist',
+                    'Invalid assertion {"imag":"node:18"}; use one of: valid, image, environment, stepsInOrder, ' +
+                        'warnings, errors'
+                ]
+            );
+        });
+    });
+
+    describe('diff', () => {
+        it('finds the values that differ', () => {
+            const differences = diffValues(
+                { config: { image: 'node:18', steps: [{ install: 'npm ci' }], secrets: ['A'] } },
+                { config: { image: 'node:20', steps: [{ install: 'npm ci' }, { test: 'npm test' }], secrets: ['A'] } }
+            );
+
+            assert.deepEqual(differences, [
+                { path: ['config', 'image'], expected: 'node:18', actual: 'node:20' },
+                { path: ['config', 'steps', 1], expected: undefined, actual: { test: 'npm test' } }
+            ]);
+            assert.deepEqual(formatDiff(differences), [
+                'config.image',
+                '  - expected: "node:18"',
+                '  + actual:   "node:20"',
+                'config.steps[1]',
+                '  - expected: (missing)',
+                '  + actual:   {"test":"npm test"}'
+            ]);
+        });
+    });
+
+    describe('runTemplateTest', () => {
+        let location;
+        let test;
+
+        beforeEach(() => {
+            location = fs.mkdtempSync(path.join(os.tmpdir(), 'template-tests-'));
+            test = { name: 'child', file: path.join(location, 'child.yaml') };
+            fs.writeFileSync(test.file, 'name: child\n');
+        });
+
+        afterEach(() => {
+            fs.rmSync(location, { recursive: true, force: true });
+        });
+
+        it('writes and compares snapshots', async () => {
+            const validateTemplate = async yaml => ({ errors: [], yaml, ignored: undefined });
+            const written = await runTemplateTest(test, validateTemplate, { update: true });
+
+            assert.isTrue(written.updated);
+            assert.deepEqual(JSON.parse(fs.readFileSync(path.join(location, 'child.json'), 'utf-8')), {
+                errors: [],
+                yaml: 'name: child\n'
+            });
+
+            test.snapshotFile = path.join(location, 'child.json');
+
+            const compared = await runTemplateTest(test, async () => ({ errors: [], yaml: 'name: other\n' }));
+
+            assert.isFalse(compared.passed);
+            assert.deepEqual(compared.failures, [
+                {
+                    message: 'Output differs from child.json',
+                    differences: [{ path: ['yaml'], expected: 'name: child\n', actual: 'name: other\n' }]
+                }
+            ]);
+        });
+
+        it('fails tests without snapshot or assertions', async () => {
+            const result = await runTemplateTest(test, async () => ({ errors: [] }));
+
+            assert.isFalse(result.passed);
+            assert.match(result.failures[0].message, /^No child.json or child.assertions.yaml/);
+        });
+
+        it('checks assertions without writing a snapshot in update mode', async () => {
+            test.assertionsFile = path.join(location, 'child.assertions.yaml');
+            fs.writeFileSync(test.assertionsFile, '- valid: true\n');
+
+            const result = await runTemplateTest(test, async () => ({ errors: [{ message: 'broken' }] }), {
+                update: true
+            });
+
+            assert.isFalse(result.updated);
+            assert.isFalse(fs.existsSync(path.join(location, 'child.json')));
+            assert.deepEqual(
+                result.failures.map(({ message }) => message),
+                ['valid: Expected no errors, but got: broken']
+            );
+        });
+
+        it('fails tests whose template cannot be validated', async () => {
+            const result = await runTemplateTest(test, async () => {
+                throw new Error('YAMLException: bad indentation');
+            });
+
+            assert.isFalse(result.passed);
+            assert.deepEqual(result.failures, [{ message: 'YAMLException: bad indentation' }]);
+        });
+    });
+
+    describe('formatTestReport', () => {
+        it('lists failures with their differences', () => {
+            const report = summarizeTests([
+                { name: 'app', file: 'app.yaml', passed: true, failures: [], updated: true },
+                {
+                    name: 'child',
+                    file: 'child.yaml',
+                    passed: false,
+                    failures: [
+                        { message: 'stepsInOrder: Expected step deploy, but the steps are: install' },
+                        {
+                            message: 'Output differs from child.json',
+                            differences: [{ path: ['template', 'version'], expected: '1.0.0', actual: '1.1.0' }]
+                        }
+                    ],
+                    updated: false
+                }
+            ]);
+
+            assert.deepEqual(report.summary, { tests: 2, passed: 1, failed: 1, updated: 1 });
+            assert.strictEqual(
+                formatTestReport(report),
+                [
+                    '✔ app (snapshot written)',
+                    '✖ child (child.yaml)',
+                    '    stepsInOrder: Expected step deploy, but the steps are: install',
+                    '    Output differs from child.json',
+                    '      template.version',
+                    '        - expected: "1.0.0"',
+                    '        + actual:   "1.1.0"',
+                    '',
+                    '✖ 1 passed, 1 failed, 1 written',
+                    ''
+                ].join('\n')
+            );
+        });
+    });
+});
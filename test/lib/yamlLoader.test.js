@@ -0,0 +1,142 @@
+'use strict';
+
+const { assert } = require('chai');
+const { DEFAULT_LIMITS, loadDocuments, loadYaml } = require('../../lib/yamlLoader');
+
+/**
+ * Catch the error thrown by a function
+ * @method getError
+ * @param  {Function} fn Function expected to throw
+ * @return {Error}       Thrown error
+ */
+function getError(fn) {
+    try {
+        fn();
+    } catch (err) {
+        return err;
+    }
+
+    throw new Error('Expected an error to be thrown');
+}
+
+describe('yamlLoader test', () => {
+    describe('loadYaml', () => {
+        it('loads anchors, aliases and merge keys', () => {
+            const yaml = [
+                'shared: &shared',
+                '  image: node:18',
+                'config:',
+                '  <<: *shared',
+                '  steps:',
+                '    - test: npm test'
+            ].join('\n');
+
+            assert.deepEqual(loadYaml(yaml).config, { image: 'node:18', steps: [{ test: 'npm test' }] });
+        });
+
+        it('returns undefined for an empty string', () => {
+            assert.isUndefined(loadYaml(''));
+        });
+
+        it('throws the parser error for invalid yaml', () => {
+            const err = getError(() => loadYaml('main: :'));
+
+            assert.strictEqual(err.name, 'YAMLException');
+            assert.match(err.message, /^Nested mappings are not allowed in compact mappings/);
+            assert.deepEqual([err.line, err.column, err.snippet], [1, 7, 'main: :']);
+        });
+
+        it('throws an error in the same shape for values that cannot be loaded', () => {
+            const err = getError(() => loadYaml('a: &a [1]\nb:\n  <<: *a\n'));
+
+            assert.strictEqual(err.name, 'YAMLException');
+            assert.match(err.message, /^Merge sources must be maps or map aliases/);
+            assert.strictEqual(err.line, 1);
+        });
+
+        it('rejects aliases that expand beyond the limit and points at the anchor', () => {
+            const yaml = [
+                'a: &a [lol, lol, lol, lol, lol, lol, lol, lol, lol]',
+                'b: &b [*a, *a, *a, *a, *a, *a, *a, *a, *a]',
+                'c: &c [*b, *b, *b, *b, *b, *b, *b, *b, *b]',
+                'd: [*c, *c, *c, *c, *c, *c, *c, *c, *c]'
+            ].join('\n');
+            const err = getError(() => loadYaml(yaml));
+
+            assert.strictEqual(err.name, 'YAMLException');
+            assert.match(err.message, /more than the limit of 100; anchor &c is defined at 3:4/);
+            assert.deepEqual(err.anchor, { name: 'c', line: 3, column: 4, snippet: yaml.split('\n')[2] });
+            assert.strictEqual(err.line, 4);
+        });
+
+        it('accepts a custom alias limit', () => {
+            const yaml = 'a: &a [1]\nb: [*a, *a, *a]';
+
+            assert.deepEqual(loadYaml(yaml, { maxAliasCount: 3 }).b, [[1], [1], [1]]);
+            assert.throws(() => loadYaml(yaml, { maxAliasCount: 2 }), /expands to 3 aliases/);
+        });
+
+        it('rejects documents nested too deeply', () => {
+            const err = getError(() => loadYaml('a:\n  b:\n    c:\n      d: 1', { maxDepth: 3 }));
+
+            assert.include(err, { line: 4, column: 7 });
+            assert.match(err.message, /nested deeper than 3 levels/);
+            assert.isUndefined(err.anchor);
+        });
+
+        it('counts the depth of collections reached through aliases', () => {
+            const yaml = 'deep: &deep\n  b:\n    c: 1\nx:\n  y: *deep';
+            const err = getError(() => loadYaml(yaml, { maxDepth: 3 }));
+
+            assert.include(err, { line: 5, column: 6 });
+            assert.include(err.anchor, { name: 'deep', line: 1, column: 7 });
+        });
+
+        it('rejects aliases inside the collection they refer to', () => {
+            const err = getError(() => loadYaml('a: &a\n  b: *a'));
+
+            assert.match(err.message, /Alias \*a refers to a collection that contains it/);
+            assert.include(err.anchor, { name: 'a', line: 1 });
+        });
+
+        it('rejects yaml larger than the size limit', () => {
+            assert.throws(() => loadYaml('a: 1234', { maxSize: 5 }), /7 characters long, more than the limit of 5/);
+            assert.strictEqual(DEFAULT_LIMITS.maxSize, 1024 * 1024);
+        });
+
+        it('rejects several documents', () => {
+            const err = getError(() => loadYaml('a: 1\n---\nb: 2'));
+
+            assert.match(err.message, /Expected a single template, but the YAML has 2 documents/);
+            assert.include(err, { line: 3, column: 1 });
+        });
+    });
+
+    describe('loadDocuments', () => {
+        it('loads each document with the line it starts at', () => {
+            const yaml = 'name: one\n---\n# second\nname: two\n---\n';
+            const documents = loadDocuments(yaml);
+
+            assert.deepEqual(
+                documents.map(({ template, line }) => ({ template, line })),
+                [
+                    { template: { name: 'one' }, line: 1 },
+                    { template: { name: 'two' }, line: 4 }
+                ]
+            );
+            // Lines of later documents stay where they are in the file
+            assert.strictEqual(documents[1].yaml.split('\n')[3], 'name: two');
+            assert.match(documents[1].yaml, /^ +\n---\n/);
+        });
+
+        it('keeps the yaml of a single document', () => {
+            const yaml = '---\nname: one\n';
+
+            assert.deepEqual(loadDocuments(yaml), [{ template: { name: 'one' }, yaml, line: 2 }]);
+        });
+
+        it('checks the limits of every document', () => {
+            assert.throws(() => loadDocuments('a: 1\n---\na:\n  b:\n    c: 1', { maxDepth: 2 }), /nested deeper/);
+        });
+    });
+});